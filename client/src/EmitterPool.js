@@ -11,6 +11,9 @@ export class EmitterPool {
             trail: { available: [], inUse: new Map() },
             smallTrail: { available: [], inUse: new Map() },
             burnTrail: { available: [], inUse: new Map() },
+            splash: { available: [], inUse: new Map() },
+            napalm: { available: [], inUse: new Map() },
+            dust: { available: [], inUse: new Map() },
         };
         
         // Initialize the pools with configured emitters
@@ -139,6 +142,83 @@ export class EmitterPool {
             useDirectionalScaling: true,
             directionalScaling: 5.0
         });
+
+        // Initialize pool for water splash emitters
+        this.initializePool('splash', 30, {
+            type: 'burst',
+            particleCount: 24,
+            particleSize: { min: 0.6, max: 1.2 },
+            particleSizeEnd: { min: 0.2, max: 0.4 },
+            lifeTime: { min: 0.6, max: 1.2 },
+            color: new THREE.Color(0xffffff),
+            colorEnd: new THREE.Color(0x6fa8dc),
+            velocity: { 
+                min: new THREE.Vector3(-3, 6, -3), 
+                max: new THREE.Vector3(3, 14, 3) 
+            },
+            blending: THREE.NormalBlending,
+            opacity: { min: 0.8, max: 0.8 },
+            opacityEnd: { min: 0.0, max: 0.0 },
+            rotationSpeed: { min: 0.0, max: 0.0 }
+        });
+
+        // Initialize pool for dust kicked up by burrowing projectiles
+        this.initializePool('dust', 40, {
+            type: 'burst',
+            particleCount: 10,
+            particleSize: { min: 0.8, max: 1.6 },
+            particleSizeEnd: { min: 1.5, max: 2.5 },
+            lifeTime: { min: 0.5, max: 1.0 },
+            color: new THREE.Color(0x8b6b43),
+            colorEnd: new THREE.Color(0x5a4630),
+            velocity: { 
+                min: new THREE.Vector3(-1.5, 2, -1.5), 
+                max: new THREE.Vector3(1.5, 5, 1.5) 
+            },
+            blending: THREE.NormalBlending,
+            opacity: { min: 0.7, max: 0.7 },
+            opacityEnd: { min: 0.0, max: 0.0 },
+            rotationSpeed: { min: 0.0, max: 0.0 }
+        });
+
+        // Initialize pool for sparks where a shell strikes a shield
+        this.initializePool('shieldSpark', 20, {
+            type: 'burst',
+            particleCount: 16,
+            particleSize: { min: 0.3, max: 0.6 },
+            particleSizeEnd: { min: 0.05, max: 0.1 },
+            lifeTime: { min: 0.3, max: 0.6 },
+            color: new THREE.Color(0xddeeff),
+            colorEnd: new THREE.Color(0x6688ff),
+            velocity: { 
+                min: new THREE.Vector3(-6, -6, -6), 
+                max: new THREE.Vector3(6, 6, 6) 
+            },
+            blending: THREE.AdditiveBlending,
+            opacity: { min: 1.0, max: 1.0 },
+            opacityEnd: { min: 0.0, max: 0.0 },
+            rotationSpeed: { min: 0.0, max: 0.0 }
+        });
+
+        // Initialize pool for napalm fire emitters, one per burning cell
+        this.initializePool('napalm', 120, {
+            type: 'continuous',
+            emissionRate: 12, // Particles per second
+            duration: -1,
+            particleSize: { min: 0.8, max: 1.4 },
+            particleSizeEnd: { min: 0.2, max: 0.4 },
+            lifeTime: { min: 0.4, max: 0.9 },
+            color: new THREE.Color(0xffaa22),
+            colorEnd: new THREE.Color(0xaa2200),
+            blending: THREE.AdditiveBlending,
+            rotationSpeed: { min: 0.0, max: 0.0 },
+            velocity: { 
+                min: new THREE.Vector3(-0.3, 1.5, -0.3), 
+                max: new THREE.Vector3(0.3, 3.0, 0.3) 
+            },
+            opacity: { min: 0.9, max: 0.9 },
+            opacityEnd: { min: 0.0, max: 0.0 }
+        });
     }
     
     initializePool(emitterType, count, emitterConfig) {
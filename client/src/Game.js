@@ -19,6 +19,9 @@ import { notificationManager } from './NotificationManager';
 import { ProjectileTimelineManager } from './ProjectileTimelineManager.js';
 import { PhysicsManager } from './PhysicsManager.js';
 import { CurrentPlayerArrow } from './CurrentPlayerArrow.js';
+import { TargetPicker } from './TargetPicker.js';
+import { PracticeTools } from './PracticeTools.js';
+import { ShotTrails } from './ShotTrails.js';
 
 class FPSDisplay {
     constructor() {
@@ -74,6 +77,14 @@ export class Game extends EventEmitter {
         this.currentRound = 0;
         this.totalRounds = 0;
         this.currentTheme = null;
+        this.wind = { x: 0, z: 0 };
+        this.weaponDefinitions = {}; // Weapon registry from gameSetup, keyed by code
+        this.rules = null;        // Match rules from gameSetup
+        this.teams = [];          // Team names from gameSetup; empty in free-for-all
+        this.finalStandings = []; // Ranked totals from gameOver
+        this.teamStandings = [];  // Ranked team totals from gameOver
+        this.roundResults = [];   // Each round's scores from gameOver
+        this.defense = null;      // Co-op defense wave state from waveUpdate, and gameOver
         this.sunRotationRPM = 0;
         this.isDroneView = false;
         this.state = 'pregame';
@@ -101,6 +112,10 @@ setupManagers() {
         this.sceneManager = new SceneManager(this);
 
         if (gameData.terrain) this.currentTheme = gameData.terrain.theme;
+        if (gameData.wind) this.wind = gameData.wind;
+        if (gameData.weapons) this.weaponDefinitions = gameData.weapons;
+        if (gameData.teams) this.teams = gameData.teams;
+        if (gameData.rules) this.rules = gameData.rules;
         const { scene, renderer } = this.sceneManager.setupScene();
         this.scene = scene;
         this.renderer = renderer;
@@ -130,6 +145,11 @@ setupManagers() {
         this.cameraManager = new CameraManager(this, this.terrainRenderer);
         this.cameraManager.spectatorMode = 'auto';
         this.dmgManager = new DamageNumberManager(this.scene, this.cameraManager);
+        this.targetPicker = new TargetPicker(this);
+        if (this.rules?.practice) {
+            this.practiceTools = new PracticeTools(this, this.socket);
+            this.shotTrails = new ShotTrails(this);
+        }
         this.inputManager = new InputManager(this, this.socket);
         this.timelineManager = new ProjectileTimelineManager(this, this.helicopterController, this.terrainRenderer);
         this.helicopterController = new HelicopterController(this.scene, this.socket, this);   
@@ -192,6 +212,15 @@ setupManagers() {
         this.timelineManager.queueTimeline(timelineData);
     }
 
+    handleProjectileTimelineAmendment(amendment) {
+        this.timelineManager.spliceTimeline(amendment);
+    }
+
+    // Drowning happens between turns, outside any timeline
+    handleTankDrown(playerId, position) {
+        this.timelineManager.spawnBurst('splash', `drown_${playerId}_${Date.now()}`, position);
+    }
+
     isInPreGame() {
         return this.state === 'pregame';
     }
@@ -348,7 +377,7 @@ async loadNewTerrain(terrain) {
             const player = this.playerManager.getPlayer(data.playerId);
             if (player) {
                 player.setShield(data.totalShield);
-                this.shieldManager.addShield(player.mesh);
+                this.shieldManager.addShield(player.mesh, data.shieldType);
             } else {
                 console.warn(`Player with id ${data.playerId} not found.`);
             }
@@ -376,15 +405,57 @@ async loadNewTerrain(terrain) {
     
 
     handleRoundStarting(currentRound, totalRounds) {
-        notificationManager.showMessage(`Round ${currentRound} of ${totalRounds} starting!`, 5000);
+        const message = this.rules?.coop
+            ? `Wave ${currentRound} of ${totalRounds} incoming!`
+            : `Round ${currentRound} of ${totalRounds} starting!`;
+        notificationManager.showMessage(message, 5000);
     }
 
-    handleRoundEnded(currentRound, totalRounds) {
-        notificationManager.showMessage('Round ' + currentRound + ' ended!', 5000);
-        if (currentRound === totalRounds) {
-            this.state = 'postgame';
-            this.emit('stateChange', this.state);
+    handleRoundEnded(currentRound, totalRounds, result) {
+        // Co-op waves are announced by handleWaveEnded
+        if (this.rules?.coop) return;
+        const outcome = result && result.winnerName
+            ? `${result.winnerName} wins round ${currentRound}!`
+            : `Round ${currentRound} ended in a draw!`;
+        notificationManager.showMessage(outcome, 5000);
+    }
+
+    /**
+     * Co-op defense: the wave, the base's health or the helicopters left
+     * changed. Emits 'waveUpdate' with the state and when it arrived, so
+     * the wave clock can count down locally.
+     * @param {Object} state - { wave, baseHealth, maxBaseHealth, helicoptersLeft,
+     *   helicoptersInWave, timeRemaining, wavesSurvived }
+     */
+    handleWaveUpdate(state) {
+        this.defense = { ...state, receivedAt: Date.now() };
+        this.emit('waveUpdate', this.defense);
+    }
+
+    handleWaveEnded(data) {
+        let message;
+        if (data.defeated) {
+            message = `The base has fallen in wave ${data.wave}!`;
+        } else if (data.cleared) {
+            message = `Wave ${data.wave} cleared!`;
+        } else {
+            const helicopters = data.breakthroughs === 1 ? 'helicopter' : 'helicopters';
+            message = `Wave ${data.wave} held, but ${data.breakthroughs} ${helicopters} broke through!`;
         }
+        notificationManager.showMessage(message, 5000);
+    }
+
+    /**
+     * Keeps the final standings for the post-game screen and switches to it.
+     * @param {Object} data - { players, standings, teamStandings, rounds, defense } from the server
+     */
+    handleGameOver(data) {
+        this.finalStandings = data.standings || [];
+        this.teamStandings = data.teamStandings || [];
+        this.roundResults = data.rounds || [];
+        if (data.defense) this.defense = data.defense;
+        this.state = 'postgame';
+        this.emit('stateChange', this.state);
     }
     
     handlePlayerDefeated(data) {
@@ -408,6 +479,21 @@ async loadNewTerrain(terrain) {
         this.terrainRenderer.updateNormals();
     }
 
+    /**
+     * Looks up a weapon's definition, also for sub-projectile codes such as
+     * RF01_BOMBLET. Returns null for unknown codes.
+     */
+    getWeaponDefinition(weaponCode) {
+        if (!weaponCode) return null;
+        return this.weaponDefinitions[weaponCode.split('_')[0]] || null;
+    }
+
+    handleWindUpdate(wind) {
+        if (!wind) return;
+        this.wind = wind;
+        this.emit('windChange', this.wind);
+    }
+
     handleTurnUpdate(currentPlayerId) {
         this.playerManager.setCurrentPlayerId(currentPlayerId);
         const currentTank = this.playerManager.getCurrentPlayer();
@@ -443,7 +529,10 @@ async loadNewTerrain(terrain) {
             // In freeFly mode, we don't change anything and let the player control the camera
         }
         
-        notificationManager.showMessage(`${currentTank.name}'s Turn!`, 3000);
+        // Practice has no turns to announce, just the one tank firing again
+        if (!this.rules?.practice) {
+            notificationManager.showMessage(`${currentTank.name}'s Turn!`, 3000);
+        }
         this.state = 'playing';
         this.emit('stateChange', this.state);
     }
@@ -494,6 +583,9 @@ async loadNewTerrain(terrain) {
         if (this.currentPlayerArrow) {
             this.currentPlayerArrow.update(deltaTime);
         }
+        if (this.targetPicker) {
+            this.targetPicker.update();
+        }
 
         this.terrainRenderer.update();
         this.terrainRenderer.updateReflections(this.renderer, this.scene, this.cameraManager.camera);
@@ -175,6 +175,10 @@ function renderGamesList() {
     headerInfo.appendChild(spectateBtn);
     li.appendChild(headerInfo);
 
+    if (game.rules) {
+      li.appendChild(renderRulesSummary(game.rules));
+    }
+
     // Container for slot information using grid layout
     const slotsContainer = document.createElement('div');
     slotsContainer.className = 'game-slots-grid';
@@ -247,6 +251,50 @@ function renderGamesList() {
   });
 }
 
+/**
+ * One-line summary of a game's match rules for its lobby card.
+ */
+function renderRulesSummary(rules) {
+  const summary = document.createElement('div');
+  summary.className = 'game-rules';
+
+  const parts = [
+    `Turn ${rules.turnDuration / 1000}s`,
+    `Shop ${rules.shoppingDuration / 1000}s`,
+    `$${rules.startingCash.toLocaleString()}`,
+    `${rules.maxHelicopters} heli${rules.maxHelicopters === 1 ? '' : 's'}`,
+    `Damage x${rules.damageMultiplier}`,
+    rules.friendlyFire ? 'Friendly fire on' : 'Friendly fire off',
+  ];
+  if (rules.interestRate > 0) {
+    parts.push(`Interest ${Math.round(rules.interestRate * 100)}%`);
+  }
+  if (rules.maxWind === 0) {
+    parts.push('No wind');
+  } else if (rules.windChange === 'round') {
+    parts.push('Wind per round');
+  }
+  if (rules.teams > 0) {
+    parts.push(`${rules.teams} teams`);
+  }
+  if (rules.fireMode === 'simultaneous') {
+    parts.push('Simultaneous fire');
+  }
+  if (rules.practice) {
+    parts.push('Practice');
+  }
+  if (rules.coop) {
+    parts.push('Co-op defense');
+  }
+  parts.forEach((text) => {
+    const tag = document.createElement('span');
+    tag.className = 'rule-tag';
+    tag.textContent = text;
+    summary.appendChild(tag);
+  });
+  return summary;
+}
+
 function generatePublicGameName() {
   const timestamp = new Date().getTime().toString().slice(-4);
   return `Public-${timestamp}`;
@@ -393,6 +441,31 @@ newGameForm.addEventListener('submit', async function (event) {
   const visualTheme = document.getElementById('visualTheme').value;
   const terrainSeed = document.getElementById('terrainSeed').value.trim();
   const numRounds = document.getElementById('numRounds').value;
+  const rules = {
+    turnDuration: parseInt(document.getElementById('turnSeconds').value, 10) * 1000,
+    shoppingDuration: parseInt(document.getElementById('shoppingSeconds').value, 10) * 1000,
+    startingCash: parseInt(document.getElementById('startingCash').value, 10),
+    maxHelicopters: parseInt(document.getElementById('maxHelicopters').value, 10),
+    damageMultiplier: parseFloat(document.getElementById('damageMultiplier').value),
+    friendlyFire: document.getElementById('friendlyFire').checked,
+    interestRate: parseFloat(document.getElementById('interestRate').value),
+    maxWind: parseFloat(document.getElementById('maxWind').value),
+    windChange: document.getElementById('windChange').value,
+    teams: parseInt(document.getElementById('teams').value, 10),
+    fireMode: document.getElementById('fireMode').value,
+    practice: document.getElementById('practice').checked,
+    coop: document.getElementById('coop').checked,
+  };
+  if (rules.practice) {
+    // Practice is played alone, so the other slots, teams and firing mode don't apply
+    rules.teams = 0;
+    rules.fireMode = 'turns';
+    rules.coop = false;
+  } else if (rules.coop) {
+    // Everyone defends together, taking turns
+    rules.teams = 0;
+    rules.fireMode = 'turns';
+  }
 
   // Gather player slot values
   const slots = [];
@@ -412,7 +485,11 @@ newGameForm.addEventListener('submit', async function (event) {
     }
   }
   // Calculate numPlayers as the count of slots that are not closed.
-  const numPlayers = slots.filter(slot => slot !== 'closed').length;
+  let numPlayers = slots.filter(slot => slot !== 'closed').length;
+  if (rules.practice) {
+    numPlayers = 1;
+    cpuPlayers = 0;
+  }
 
   try {
     const response = await fetch('/create-game', {
@@ -426,6 +503,7 @@ newGameForm.addEventListener('submit', async function (event) {
         totalRounds: parseInt(numRounds, 10),
         cpuPlayers,
         numPlayers,
+        rules,
         isPublic: gameType === 'public'
       }),
     });
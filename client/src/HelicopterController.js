@@ -63,6 +63,11 @@ class HelicopterController {
         this.removeHelicopter(data.id);
       });
 
+      // Handle hits that don't bring a helicopter down (co-op defense helicopters take several)
+      this.socketClient.on('helicopterDamaged', (data) => {
+        this.handleHelicopterDamaged(data.id, data.health);
+      });
+
       // Handle helicopter destruction events
       this.socketClient.on('helicopterDestroyed', (data) => {
         this.handleHelicopterDestroyed(data.helicopterId, data.position);
@@ -284,6 +289,17 @@ class HelicopterController {
       }
     }
     
+    // Method to handle a helicopter being hit and staying up
+    handleHelicopterDamaged(helicopterId, health) {
+      const helicopter = this.helicopters.get(helicopterId);
+      if (!helicopter || helicopter.isDestroyed) return;
+
+      helicopter.health = health;
+      if (health > 0 && this.emitterPool) {
+        this.emitterManager.createExplosionEmitters(helicopter.model.position);
+      }
+    }
+
     // Method to handle helicopter destruction
     handleHelicopterDestroyed(helicopterId, position) {
       const helicopter = this.helicopters.get(helicopterId);
@@ -16,6 +16,18 @@ export class InputManager {
         });
     }
 
+    /**
+     * Fires `weaponCode`, along with the picked target if it's a guided weapon.
+     */
+    fire(weaponCode) {
+        this.socket.emit('clientInput', {
+            action: 'fire',
+            weaponCode,
+            target: this.game.targetPicker.getFireTarget(weaponCode)
+        });
+        this.game.targetPicker.clear();
+    }
+
     setupEventListeners() {
         document.addEventListener('keydown', (event) => {
             this.keys.add(event.code);
@@ -28,12 +40,14 @@ export class InputManager {
             if (event.code === 'Space' && 
                 this.game.playerManager.isCurrentPlayer(this.game.playerManager.playerId) &&
                 !this.inventoryOpen) {
+                // While our shot is in the air, Space detonates the carrier
+                // (the server ignores it for weapons that can't be detonated)
+                if (this.game.timelineManager.playbackActive) {
+                    this.socket.emit('clientInput', { action: 'detonate' });
+                    return;
+                }
                 const currentTank = this.game.playerManager.getPlayer(this.game.playerManager.playerId);
-                const weaponCode = currentTank.getSelectedWeapon();
-                this.socket.emit('clientInput', { 
-                    action: 'fire', 
-                    weaponCode: weaponCode
-                });
+                this.fire(currentTank.getSelectedWeapon());
             }
             else if (event.code === 'KeyC' && !this.inventoryOpen) {
                 this.game.cameraManager.setView('overhead');
@@ -57,6 +57,7 @@ export class PlayerManager {
         if (state.armor !== undefined) tank.setArmor(state.armor);
         if (state.shield !== undefined) tank.setShield(state.shield);
         if (state.color !== undefined) tank.setColor(state.color);
+        if (state.team !== undefined) tank.setTeam(state.team);
         if (state.cash !== undefined) tank.setCash(state.cash);
         if (state.inventory !== undefined) tank.setInventory(state.inventory);
         if (state.selectedItem !== undefined) tank.setSelectedItem(state.selectedItem);
@@ -141,6 +142,10 @@ export class PlayerManager {
         const { id, state } = data;
         const tank = this.players[id];
         if (tank) {
+            if (!tank.isAlive) {
+                // Clear away the wreck before standing the tank back up
+                tank.resetForNewRound();
+            }
             tank.isAlive = true;  // Reset alive status
             tank.tankGroup.visible = true;  // Make sure tank is visible
             this.updateTankProperties(tank, state, { actualPosition: true });
@@ -180,6 +185,7 @@ export class PlayerManager {
             armor: tank.armor,
             shield: tank.shield,
             color: tank.color,
+            team: tank.team,
         }));
     }
     
@@ -190,10 +196,14 @@ export class PlayerManager {
         playerHit.setHealth(data.damageDistribution.remainingHealth);
         playerHit.setArmor(data.damageDistribution.remainingArmor);
         playerHit.setShield(data.damageDistribution.remainingShield);
+        // Direct hits get a bigger, gold number; glancing blows shrink with falloff
+        const falloff = data.falloff ?? 1;
         this.game.dmgManager.createDamageNumber(data.damage, playerHit.mesh.position, {
             initialVelocity: 15,
             drag: 0.98,
-            lifetime: 5.0
+            lifetime: 5.0,
+            fontSize: data.directHit ? 2.25 : 1 + 0.5 * falloff,
+            fontColor: data.directHit ? 0xffd700 : null
         });
     }
 
@@ -0,0 +1,87 @@
+// PracticeTools.js
+import * as THREE from 'three';
+import { EventEmitter } from './EventEmitter';
+
+const CLICK_TOLERANCE = 5; // Pixels the mouse may move and still count as a click (not a camera drag)
+
+/**
+ * Client side of practice games. Sends the practice panel's commands to the
+ * server and, once the player asks to place a target dummy, turns their next
+ * click on the terrain into one. Emits 'placingChanged' with the dummy kind
+ * being placed ('stationary' or 'moving'), or null when done.
+ */
+export class PracticeTools extends EventEmitter {
+    constructor(game, socket) {
+        super();
+        this.game = game;
+        this.socket = socket;
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.downPosition = null;
+        this.placing = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const canvas = this.game.renderer.domElement;
+
+        canvas.addEventListener('mousedown', (event) => {
+            if (event.button !== 0) return;
+            this.downPosition = { x: event.clientX, y: event.clientY };
+        });
+
+        canvas.addEventListener('mouseup', (event) => {
+            if (event.button !== 0 || !this.downPosition) return;
+            const moved = Math.hypot(event.clientX - this.downPosition.x, event.clientY - this.downPosition.y);
+            this.downPosition = null;
+            if (moved <= CLICK_TOLERANCE && this.placing) {
+                this.placeDummyAt(event);
+            }
+        });
+    }
+
+    /**
+     * @param {'stationary'|'moving'|null} kind - What the next terrain click places; null cancels.
+     */
+    setPlacing(kind) {
+        this.placing = kind;
+        this.emit('placingChanged', kind);
+    }
+
+    placeDummyAt(event) {
+        const rect = this.game.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.game.cameraManager.camera);
+
+        const terrain = this.game.terrainRenderer.mesh;
+        const hit = terrain && this.raycaster.intersectObject(terrain)[0];
+        if (!hit) return;
+
+        this.socket.emit('practiceCommand', {
+            action: 'placeDummy',
+            x: hit.point.x,
+            z: hit.point.z,
+            moving: this.placing === 'moving'
+        });
+        this.setPlacing(null);
+    }
+
+    clearDummies() {
+        this.socket.emit('practiceCommand', { action: 'clearDummies' });
+    }
+
+    /**
+     * Regenerate the terrain; a blank seed or theme keeps the current one.
+     */
+    resetTerrain(seed, theme) {
+        this.socket.emit('practiceCommand', {
+            action: 'resetTerrain',
+            seed: String(seed).trim(),
+            theme
+        });
+    }
+}
@@ -208,14 +208,10 @@ isGuidedMissile(spawnEvent) {
         
         // Customize based on weapon type if needed
         if (spawnEvent.weaponCode) {
-            // For rockets/artillery, use higher pitch with longer sound
-            if (spawnEvent.weaponCode.startsWith('RF01')) {
-                return {
-                    startFreq: 2950,
-                    endFreq: 1150,
-                    maxVolume: 0.3,
-                    duration: 4.0
-                };
+            // Weapons can declare their own sound in the registry
+            const definition = this.game.getWeaponDefinition(spawnEvent.weaponCode);
+            if (definition && definition.client && definition.client.sound) {
+                return { ...defaults, ...definition.client.sound };
             }
             
             // For mortars, use lower pitch
@@ -4,6 +4,7 @@ import { ParticleSystem } from './ClaudeParticleSystem.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { EmitterPool } from './EmitterPool.js';
 import { ProjectileAudioSystem } from './ProjectileAudioSystem.js';
+import { decodeTimeline } from './TimelineCodec.js';
 
 export class ProjectileTimelineManager {
     constructor(game, helicopterManager, terrainRenderer) {
@@ -197,7 +198,11 @@ export class ProjectileTimelineManager {
         }
     }
     
-    async queueTimeline(timelineData) {
+    async queueTimeline(payload) {
+        // Expand the compact wire format back into individual events
+        const timelineData = decodeTimeline(payload);
+        this.game.shotTrails?.addTimeline(timelineData);
+
         // Reset previous timeline state
         this.resetTimelineState();
         
@@ -232,6 +237,84 @@ export class ProjectileTimelineManager {
         this.placeLightsForImpacts(timelineData);
     }
     
+    /**
+     * Splice a server amendment into the timeline that is playing (e.g. a
+     * carrier its player detonated early): everything after cutTime is
+     * replaced by the amendment's events.
+     */
+    async spliceTimeline({ cutTime, timeline }) {
+        const amendment = decodeTimeline(timeline);
+        this.game.shotTrails?.amendLatest(cutTime, amendment);
+        const amendmentMap = new Map();
+        amendment.forEach(event => {
+            if (!amendmentMap.has(event.projectileId)) {
+                amendmentMap.set(event.projectileId, []);
+            }
+            amendmentMap.get(event.projectileId).push(event);
+        });
+
+        // Drop what the server cut
+        this.events = this.events.filter(evt => evt.time <= cutTime);
+        this.projectileEventMap.forEach((events, projectileId) => {
+            this.projectileEventMap.set(projectileId, events.filter(evt => evt.time <= cutTime));
+        });
+
+        for (const [projectileId, { projectile, spawnEvent }] of this.preCreatedProjectiles) {
+            if (spawnEvent.time > cutTime) {
+                projectile.destroy();
+                this.preCreatedProjectiles.delete(projectileId);
+                this.game.projectileMap.delete(projectileId);
+                this.game.projectiles = this.game.projectiles.filter(p => p !== projectile);
+                continue;
+            }
+
+            // Projectiles already in the air continue along the amended path
+            const amendedPath = (amendmentMap.get(projectileId) || [])
+                .filter(evt => evt.type === 'projectileMove' ||
+                    evt.type === 'shieldDeflect' ||
+                    evt.type === 'projectileImpact' ||
+                    evt.type === 'projectileHelicopterImpact')
+                .map(evt => ({
+                    time: evt.time,
+                    position: evt.position,
+                    isImpact: evt.type !== 'projectileMove'
+                }));
+            const trajectory = [
+                ...projectile.trajectory.filter(point => point.time <= cutTime),
+                ...amendedPath
+            ].sort((a, b) => a.time - b.time);
+            if (trajectory.length > 0) {
+                projectile.setTrajectory(trajectory);
+            }
+        }
+
+        // Pre-create the new projectiles before their spawn events can play
+        await Promise.all(amendment
+            .filter(evt => evt.type === 'projectileSpawn' && !this.preCreatedProjectiles.has(evt.projectileId))
+            .map(spawnEvent => {
+                const events = amendmentMap.get(spawnEvent.projectileId);
+                return this.preCreateProjectile(
+                    spawnEvent,
+                    events.filter(evt => evt.type === 'projectileMove' || evt.type === 'shieldDeflect'),
+                    events.find(evt =>
+                        evt.type === 'projectileImpact' ||
+                        evt.type === 'projectileHelicopterImpact'
+                    )
+                );
+            }));
+
+        amendmentMap.forEach((events, projectileId) => {
+            const existing = this.projectileEventMap.get(projectileId) || [];
+            this.projectileEventMap.set(
+                projectileId,
+                [...existing, ...events].sort((a, b) => a.time - b.time)
+            );
+        });
+        this.events.push(...amendment);
+        this.events.sort((a, b) => a.time - b.time);
+        this.playbackActive = true;
+    }
+
     resetTimelineState() {
 
         // Stop all active sounds
@@ -275,7 +358,8 @@ export class ProjectileTimelineManager {
             const events = this.projectileEventMap.get(projectileId) || [];
             
             // Collect trajectory events
-            const moveEvents = events.filter(evt => evt.type === 'projectileMove');
+            // Deflections are path points too, so the shell turns right at the bubble
+            const moveEvents = events.filter(evt => evt.type === 'projectileMove' || evt.type === 'shieldDeflect');
             const impactEvent = events.find(evt => 
                 evt.type === 'projectileImpact' || 
                 evt.type === 'projectileHelicopterImpact'
@@ -462,12 +546,47 @@ export class ProjectileTimelineManager {
             case 'projectileHelicopterImpact':
                 this.handleProjectileImpact(evt);
                 break;
+            case 'projectileSplash':
+                this.spawnBurst('splash', `splash_${evt.projectileId}_${evt.time}`, evt.position);
+                break;
+            case 'projectileBurrow':
+                this.handleProjectileBurrow(evt);
+                break;
+            case 'shieldDeflect':
+            case 'shieldAbsorb':
+                this.handleShieldHit(evt);
+                break;
+            case 'napalmBurn':
+                this.igniteNapalmCells(evt);
+                break;
+            case 'beamFire':
+                this.handleBeamFire(evt);
+                break;
             case 'helicopterDamage':
                 this.helicopterManager.handleHelicopterDamage(evt.helicopterId, evt.damage);
                 break;
             case 'helicopterDestroyed':
                 this.helicopterManager.handleHelicopterDestroyed(evt.helicopterId, evt.position);
                 break;
+            case 'tankFall':
+            case 'tankMove':
+            case 'tankLand':
+                this.handleTankFallEvent(evt);
+                break;
+        }
+    }
+
+    handleTankFallEvent(evt) {
+        const tank = this.game.playerManager.getPlayer(evt.playerId);
+        if (!tank) return;
+
+        // Follow the server path exactly; the regular lerp is far too slow for a fall
+        tank.setPosition(evt.position);
+
+        if (evt.type === 'tankFall' && evt.parachute) {
+            tank.deployParachute();
+        } else if (evt.type === 'tankLand') {
+            tank.stowParachute();
         }
     }
     
@@ -501,7 +620,8 @@ export class ProjectileTimelineManager {
         
         // Adjust camera if needed
         if (!this.cameraAdjustedThisTimeline && this.game.cameraManager.spectatorMode === 'auto') {
-            if (spawnEvent.weaponCode && spawnEvent.weaponCode.startsWith('RF01')) {
+            const definition = this.game.getWeaponDefinition(spawnEvent.weaponCode);
+            if (definition && definition.client && definition.client.camera === 'projectile') {
                 this.game.cameraManager.setView('projectile');
                 this.game.cameraManager.setProjectileTarget(projectile);
             } else {
@@ -514,6 +634,15 @@ export class ProjectileTimelineManager {
     handleProjectileImpact(evt) {
         const projectile = this.game.projectileMap.get(evt.projectileId);
         if (!projectile) return;
+
+        // Fizzled submunitions just vanish into the water
+        if (evt.fizzled) {
+            this.audioSystem.stopProjectileSound(evt.projectileId);
+            projectile.destroy();
+            this.game.projectileMap.delete(evt.projectileId);
+            this.game.projectiles = this.game.projectiles.filter(p => p !== projectile);
+            return;
+        }
         
         // Play impact sound
         this.audioSystem.handleProjectileImpact(evt.projectileId, evt);
@@ -562,6 +691,99 @@ export class ProjectileTimelineManager {
         this.game.projectiles = this.game.projectiles.filter(p => p !== projectile);
     }
 
+    spawnBurst(emitterType, borrowerId, position) {
+        const emitter = this.emitterPool.borrowEmitter(emitterType, borrowerId);
+        if (!emitter) return;
+
+        emitter.setPosition(new THREE.Vector3(position.x, position.y, position.z));
+        emitter.burst();
+
+        setTimeout(() => {
+            this.emitterPool.returnEmitter(emitterType, borrowerId);
+        }, 2000);
+    }
+
+    handleShieldHit(evt) {
+        this.spawnBurst('shieldSpark', `shield_${evt.projectileId}_${evt.time}`, evt.position);
+
+        const tank = this.game.playerManager.getPlayer(evt.playerId);
+        if (tank) {
+            this.game.shieldManager.flashShield(tank.mesh);
+        }
+    }
+
+    handleProjectileBurrow(evt) {
+        this.spawnBurst('dust', `dust_${evt.projectileId}_${evt.time}`, evt.position);
+
+        // Out of sight while underground
+        const projectile = this.game.projectileMap.get(evt.projectileId);
+        if (!projectile) return;
+        if (evt.phase === 'enter') {
+            projectile.hide();
+        } else if (evt.phase === 'exit') {
+            projectile.show();
+        }
+    }
+
+    handleBeamFire(evt) {
+        const currentLocalTime = performance.now() - this.simulationStartTime;
+        const start = new THREE.Vector3(evt.start.x, evt.start.y, evt.start.z);
+        const end = new THREE.Vector3(evt.end.x, evt.end.y, evt.end.z);
+        const length = start.distanceTo(end);
+
+        // A thin cylinder from the barrel to wherever the beam stopped
+        const beam = new THREE.Mesh(
+            new THREE.CylinderGeometry(evt.beamWidth / 2, evt.beamWidth / 2, length, 6, 1, true),
+            new THREE.MeshBasicMaterial({ color: evt.beamColor, transparent: true, opacity: 0.85 })
+        );
+        beam.position.copy(start).lerp(end, 0.5);
+        beam.quaternion.setFromUnitVectors(
+            new THREE.Vector3(0, 1, 0),
+            end.clone().sub(start).normalize()
+        );
+        beam.layers.enable(1);
+        this.game.scene.add(beam);
+        this.explosionSpheres.push({
+            mesh: beam,
+            expirationTime: currentLocalTime + evt.duration
+        });
+
+        // Flashes wherever it burned something
+        const flashPoints = evt.hits.map(hit => hit.position);
+        if (evt.hitTerrain) flashPoints.push(evt.end);
+        flashPoints.forEach(point => {
+            const flash = new THREE.Mesh(
+                new THREE.SphereGeometry(0.8 + evt.beamWidth, 8, 8),
+                new THREE.MeshBasicMaterial({ color: 0xffffff })
+            );
+            flash.position.set(point.x, point.y, point.z);
+            flash.layers.enable(1);
+            this.game.scene.add(flash);
+            this.explosionSpheres.push({
+                mesh: flash,
+                expirationTime: currentLocalTime + 150
+            });
+            this.audioSystem.createImpactSound({ position: point, explosionSize: 0.5 });
+        });
+    }
+
+    igniteNapalmCells(evt) {
+        evt.cells.forEach((cell, i) => {
+            const borrowerId = `napalm_${evt.projectileId}_${evt.time}_${i}`;
+            const fire = this.emitterPool.borrowEmitter('napalm', borrowerId);
+            if (!fire) return;
+
+            // Set twice so the emitter doesn't streak from wherever it was last used
+            fire.setPosition(cell.x, cell.y + 0.3, cell.z);
+            fire.setPosition(cell.x, cell.y + 0.3, cell.z);
+            fire.activate();
+
+            setTimeout(() => {
+                this.emitterPool.deactivateAndReturnEmitter('napalm', borrowerId);
+            }, evt.burnDuration);
+        });
+    }
+
     // Helper method to handle common projectile destruction logic
     handleProjectileDestruction(projectile, evt) {
         // Trigger explosion effect
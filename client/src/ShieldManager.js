@@ -1,6 +1,16 @@
 // ShieldManager.js
 import * as THREE from 'three';
 
+// Bubble tint per shield type; plain shield boosts keep the original green
+const SHIELD_COLORS = {
+    deflector: 0x66aaff,
+    force: 0xcc66ff,
+};
+const DEFAULT_SHIELD_COLOR = 0x77bb77;
+const BASE_OPACITY = 0.3;
+const FLASH_OPACITY = 0.9;
+const FLASH_DECAY = 2.0; // Opacity units per second back down to BASE_OPACITY
+
 export class ShieldManager {
     /**
      * Creates an instance of ShieldManager.
@@ -140,8 +150,8 @@ export class ShieldManager {
             `,
             uniforms: {
                 time: { value: 0.0 },
-                color: { value: new THREE.Color(0x77bb77) }, 
-                opacity: { value: 0.3 },
+                color: { value: new THREE.Color(DEFAULT_SHIELD_COLOR) }, 
+                opacity: { value: BASE_OPACITY },
                 shieldTexture: { value: shieldTexture }, // Optional texture
                 rotationAngle: { value: 1.0 } // New uniform for rotation
             },
@@ -150,19 +160,24 @@ export class ShieldManager {
         });
 
         this.clock = new THREE.Clock();
+        this.lastUpdateTime = 0;
     }
 
     /**
      * Adds a shield around a player.
      * @param {THREE.Object3D} player - The player object to surround with a shield.
+     * @param {string} [shieldType] - 'deflector' or 'force'; tints the bubble.
      */
-    addShield(player) {
+    addShield(player, shieldType = null) {
+        const color = SHIELD_COLORS[shieldType] ?? DEFAULT_SHIELD_COLOR;
         if (this.shields.has(player)) {
-            console.warn('ShieldManager: Shield already exists for this player.');
+            // A new shield type replaces the old one
+            this.shields.get(player).material.uniforms.color.value.set(color);
             return;
         }
 
         this.shieldMesh = new THREE.Mesh(this.shieldGeometry, this.shieldMaterial.clone());
+        this.shieldMesh.material.uniforms.color.value = new THREE.Color(color);
         this.shieldMesh.scale.copy(player.scale).multiplyScalar(3);
 
         // Ensure the shield doesn't interfere with player controls by disabling interactions
@@ -189,14 +204,29 @@ export class ShieldManager {
         this.shields.delete(player);
     }
 
+    /**
+     * Lights up a player's shield for a moment, e.g. when a shell hits it.
+     * @param {THREE.Object3D} player - The player object whose shield was hit.
+     */
+    flashShield(player) {
+        const shield = this.shields.get(player);
+        if (shield) {
+            shield.material.uniforms.opacity.value = FLASH_OPACITY;
+        }
+    }
+
     /**
      * Updates all shields. Should be called once per frame.
      */
     update() {
         const elapsedTime = this.clock.getElapsedTime();
+        const delta = elapsedTime - this.lastUpdateTime;
+        this.lastUpdateTime = elapsedTime;
         this.shields.forEach(shield => {
-            shield.material.uniforms.time.value = elapsedTime;
-            shield.material.uniforms.rotationAngle.value = elapsedTime * 1.5; // Rotate over time
+            const uniforms = shield.material.uniforms;
+            uniforms.time.value = elapsedTime;
+            uniforms.rotationAngle.value = elapsedTime * 1.5; // Rotate over time
+            uniforms.opacity.value = Math.max(BASE_OPACITY, uniforms.opacity.value - FLASH_DECAY * delta);
         });
         const axis = new THREE.Vector3(0, 1, 0);
     }
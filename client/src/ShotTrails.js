@@ -0,0 +1,132 @@
+// ShotTrails.js
+import * as THREE from 'three';
+
+const TRAIL_COLOR = 0xffdd55;
+const NEWEST_OPACITY = 0.9;
+const OLDEST_OPACITY = 0.2;
+
+// Events whose positions a projectile's path runs through
+const PATH_EVENT_TYPES = new Set([
+    'projectileMove',
+    'projectileBounce',
+    'shieldDeflect',
+    'projectileImpact',
+    'projectileHelicopterImpact'
+]);
+
+/**
+ * Practice aid: keeps the flight paths of the local player's last few shots
+ * drawn on the map, so the effect of a change of aim can be seen. Each shot
+ * is everything one timeline launched for us, submunitions and bounces
+ * included; older shots fade out.
+ */
+export class ShotTrails {
+    constructor(game, maxShots = 5) {
+        this.game = game;
+        this.maxShots = maxShots;
+        this.shots = []; // Oldest first: { events, group }
+    }
+
+    /**
+     * Adds a decoded timeline as the newest shot, if we fired in it.
+     */
+    addTimeline(events) {
+        const ownEvents = this.selectOwnEvents(events);
+        if (ownEvents.length === 0) return;
+
+        this.shots.push({ events: ownEvents, group: null });
+        this.redraw();
+    }
+
+    /**
+     * The server replaced everything after cutTime in the timeline playing
+     * (an early detonation), so redraw the newest shot the way it really flew.
+     */
+    amendLatest(cutTime, amendment) {
+        const latest = this.shots[this.shots.length - 1];
+        if (!latest) return;
+
+        latest.events = this.selectOwnEvents([
+            ...latest.events.filter(evt => evt.time <= cutTime),
+            ...amendment
+        ]);
+        this.redraw();
+    }
+
+    setMaxShots(maxShots) {
+        this.maxShots = maxShots;
+        this.redraw();
+    }
+
+    clear() {
+        this.shots.forEach(shot => this.disposeGroup(shot.group));
+        this.shots = [];
+    }
+
+    /**
+     * Spawns of our projectiles and the path events that belong to them.
+     */
+    selectOwnEvents(events) {
+        const localPlayerId = this.game.playerManager.playerId;
+        const ownProjectiles = new Set(events
+            .filter(evt => evt.type === 'projectileSpawn' && evt.playerId === localPlayerId)
+            .map(evt => evt.projectileId));
+
+        return events.filter(evt => ownProjectiles.has(evt.projectileId) &&
+            (evt.type === 'projectileSpawn' || PATH_EVENT_TYPES.has(evt.type)));
+    }
+
+    redraw() {
+        while (this.shots.length > this.maxShots) {
+            this.disposeGroup(this.shots.shift().group);
+        }
+
+        this.shots.forEach((shot, index) => {
+            this.disposeGroup(shot.group);
+            const age = this.shots.length - 1 - index;
+            const fade = this.maxShots > 1 ? age / (this.maxShots - 1) : 0;
+            shot.group = this.buildGroup(shot.events, NEWEST_OPACITY - fade * (NEWEST_OPACITY - OLDEST_OPACITY));
+            this.game.scene.add(shot.group);
+        });
+    }
+
+    /**
+     * One line per projectile, from its spawn point through each move to
+     * where it came down.
+     */
+    buildGroup(events, opacity) {
+        const group = new THREE.Group();
+        const paths = new Map();
+        const sorted = [...events].sort((a, b) => a.time - b.time);
+
+        for (const evt of sorted) {
+            const position = evt.type === 'projectileSpawn' ? evt.startPos : evt.position;
+            if (!position) continue;
+            if (!paths.has(evt.projectileId)) paths.set(evt.projectileId, []);
+            paths.get(evt.projectileId).push(new THREE.Vector3(position.x, position.y, position.z));
+        }
+
+        for (const points of paths.values()) {
+            if (points.length < 2) continue;
+            const line = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(points),
+                new THREE.LineBasicMaterial({ color: TRAIL_COLOR, transparent: true, opacity })
+            );
+            group.add(line);
+        }
+        return group;
+    }
+
+    disposeGroup(group) {
+        if (!group) return;
+        this.game.scene.remove(group);
+        group.children.forEach(line => {
+            line.geometry.dispose();
+            line.material.dispose();
+        });
+    }
+
+    dispose() {
+        this.clear();
+    }
+}
@@ -110,8 +110,17 @@ const setupGameEvents = () => {
     socket.on('roundStarting', (currentRound, totalRounds) => {
         game.handleRoundStarting(currentRound, totalRounds);
     });
-    socket.on('roundEnded', (currentRound, totalRounds) => {
-        game.handleRoundEnded(currentRound, totalRounds);
+    socket.on('roundEnded', (currentRound, totalRounds, result) => {
+        game.handleRoundEnded(currentRound, totalRounds, result);
+    });
+    socket.on('gameOver', (data) => {
+        game.handleGameOver(data);
+    });
+    socket.on('waveUpdate', (state) => {
+        game.handleWaveUpdate(state);
+    });
+    socket.on('waveEnded', (data) => {
+        game.handleWaveEnded(data);
     });
 };
 
@@ -132,6 +141,7 @@ const setupPlayerEvents = () => {
 
 const setupTurnEvents = () => {
     socket.on('turnUpdate', (data) => {
+        game.handleWindUpdate(data.wind);
         game.handleTurnUpdate(data.currentPlayerId);
     });
     
@@ -145,6 +155,12 @@ const setupCombatEvents = () => {
         'fullProjectileTimeline': (timelineData) => {
             game.handleFullProjectileTimeline(timelineData);
         },
+        'projectileTimelineAmendment': (amendment) => {
+            game.handleProjectileTimelineAmendment(amendment);
+        },
+        'tankDrown': ({ playerId, position }) => {
+            game.handleTankDrown(playerId, position);
+        },
     };
 
     Object.entries(projectileEvents).forEach(([event, handler]) => {
@@ -28,6 +28,7 @@ export class Tank {
         this.shield = 0;
         this.name = "Unknown";
         this.color = null;
+        this.team = null;
         this.cash = 0;
         this.isAlive = true;
         this.inventory = {};
@@ -69,6 +70,8 @@ export class Tank {
         this.turretPitchTarget = 0;
         this.turretLerpSpeed = 90; 
         
+        this.parachuteMesh = null;
+        
         this.ui = new TankUI(this);
     }
 
@@ -290,6 +293,10 @@ export class Tank {
         this.cash = newCash;
     }
 
+    setTeam(team) {
+        this.team = team;
+    }
+
     getCash() {
         return this.cash;
     }
@@ -330,6 +337,38 @@ export class Tank {
         }
     }
     
+    deployParachute() {
+        if (!this.parachuteMesh) {
+            this.parachuteMesh = new THREE.Group();
+            const canopy = new THREE.Mesh(
+                new THREE.SphereGeometry(4, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2),
+                new THREE.MeshStandardMaterial({ color: this.color || 0xdddddd, side: THREE.DoubleSide })
+            );
+            canopy.position.y = 8;
+            this.parachuteMesh.add(canopy);
+
+            const linePoints = [];
+            for (let i = 0; i < 4; i++) {
+                const angle = (i / 4) * Math.PI * 2;
+                linePoints.push(new THREE.Vector3(0, 1, 0));
+                linePoints.push(new THREE.Vector3(Math.cos(angle) * 4, 8, Math.sin(angle) * 4));
+            }
+            const lines = new THREE.LineSegments(
+                new THREE.BufferGeometry().setFromPoints(linePoints),
+                new THREE.LineBasicMaterial({ color: 0x222222 })
+            );
+            this.parachuteMesh.add(lines);
+            this.tankGroup.add(this.parachuteMesh);
+        }
+        this.parachuteMesh.visible = true;
+    }
+
+    stowParachute() {
+        if (this.parachuteMesh) {
+            this.parachuteMesh.visible = false;
+        }
+    }
+
     setTargetPosition(newPos) {
         this.targetPosition.set(newPos.x, newPos.y, newPos.z);
     }
@@ -0,0 +1,146 @@
+// TargetPicker.js
+import * as THREE from 'three';
+
+const CLICK_TOLERANCE = 5; // Pixels the mouse may move and still count as a click (not a camera drag)
+
+/**
+ * Picks what a guided weapon should home in on. While the local player has
+ * a weapon with `targeting` selected, clicking the terrain marks a ground
+ * point and clicking an enemy tank (not a teammate) locks onto it. The pick goes out with
+ * the fire input.
+ */
+export class TargetPicker {
+    constructor(game) {
+        this.game = game;
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.downPosition = null;
+        this.target = null; // { targeting, x, z } or { targeting, playerId }
+
+        this.createMarker();
+        this.setupEventListeners();
+    }
+
+    createMarker() {
+        const geometry = new THREE.RingGeometry(1.5, 2.2, 32);
+        geometry.rotateX(-Math.PI / 2);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xff3333,
+            transparent: true,
+            opacity: 0.8,
+            side: THREE.DoubleSide,
+            depthTest: false
+        });
+        this.marker = new THREE.Mesh(geometry, material);
+        this.marker.renderOrder = 999;
+        this.marker.visible = false;
+        this.game.scene.add(this.marker);
+    }
+
+    setupEventListeners() {
+        const canvas = this.game.renderer.domElement;
+
+        canvas.addEventListener('mousedown', (event) => {
+            if (event.button !== 0) return;
+            this.downPosition = { x: event.clientX, y: event.clientY };
+        });
+
+        canvas.addEventListener('mouseup', (event) => {
+            if (event.button !== 0 || !this.downPosition) return;
+            const moved = Math.hypot(event.clientX - this.downPosition.x, event.clientY - this.downPosition.y);
+            this.downPosition = null;
+            if (moved <= CLICK_TOLERANCE) {
+                this.pick(event);
+            }
+        });
+    }
+
+    /**
+     * Whether a tank is on our team, so it can't be locked onto.
+     */
+    isTeammate(tank) {
+        const ownTank = this.game.playerManager.getPlayer(this.game.playerManager.playerId);
+        return !!ownTank && ownTank.team !== null && tank.team === ownTank.team;
+    }
+
+    /**
+     * 'ground' or 'tank' when it's our turn and our selected weapon is guided.
+     */
+    getTargeting() {
+        const playerManager = this.game.playerManager;
+        if (!playerManager.isCurrentPlayer(playerManager.playerId)) return null;
+
+        const tank = playerManager.getPlayer(playerManager.playerId);
+        const definition = tank && this.game.getWeaponDefinition(tank.getSelectedWeapon());
+        return (definition && definition.targeting) || null;
+    }
+
+    pick(event) {
+        const targeting = this.getTargeting();
+        if (!targeting || this.game.practiceTools?.placing) return;
+
+        const rect = this.game.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.game.cameraManager.camera);
+
+        if (targeting === 'tank') {
+            const playerManager = this.game.playerManager;
+            let closest = null;
+            for (const [playerId, tank] of Object.entries(playerManager.players)) {
+                if (playerId === playerManager.playerId || !tank.mesh || this.isTeammate(tank)) continue;
+                const hit = this.raycaster.intersectObject(tank.mesh, true)[0];
+                if (hit && (!closest || hit.distance < closest.distance)) {
+                    closest = { distance: hit.distance, playerId };
+                }
+            }
+            if (closest) {
+                this.target = { targeting, playerId: closest.playerId };
+            }
+            return;
+        }
+
+        const terrain = this.game.terrainRenderer.mesh;
+        const hit = terrain && this.raycaster.intersectObject(terrain)[0];
+        if (hit) {
+            this.target = { targeting, x: hit.point.x, z: hit.point.z };
+            this.marker.position.copy(hit.point);
+        }
+    }
+
+    /**
+     * What to send with the fire input for this weapon, if anything fitting was picked.
+     * @returns {Object|undefined} { playerId } or { x, z }
+     */
+    getFireTarget(weaponCode) {
+        const definition = this.game.getWeaponDefinition(weaponCode);
+        if (!definition || !this.target || this.target.targeting !== definition.targeting) return undefined;
+
+        return this.target.playerId
+            ? { playerId: this.target.playerId }
+            : { x: this.target.x, z: this.target.z };
+    }
+
+    clear() {
+        this.target = null;
+        this.marker.visible = false;
+    }
+
+    /**
+     * Keeps the marker on a locked tank and hides it when the pick doesn't apply.
+     */
+    update() {
+        const showing = !!this.target && this.getTargeting() === this.target.targeting;
+        this.marker.visible = showing;
+        if (!showing || !this.target.playerId) return;
+
+        const tank = this.game.playerManager.getPlayer(this.target.playerId);
+        if (tank && tank.mesh) {
+            this.marker.position.copy(tank.mesh.position);
+        } else {
+            this.clear();
+        }
+    }
+}
@@ -372,8 +372,9 @@ export class TerrainRenderer {
       this.surfacePlane = null;
     }
 
-    // Desert => no plane
-    if (this.currentTheme === 'desert') {
+    // No water level (desert, arctic) => no plane, since the server never
+    // simulates water there and a plane would hide whatever dips below it
+    if (terrainData.waterLevel == null) {
       return;
     }
 
@@ -421,7 +422,8 @@ export class TerrainRenderer {
     planeGeometry.renderOrder = 0;
 
     this.surfacePlane = new THREE.Mesh(planeGeometry, planeMaterial);
-    this.surfacePlane.position.y = -2; 
+    this.surfacePlane.position.y = terrainData.waterLevel;
+    this.intersectionMaterial.uniforms.uWaterLevel.value = this.surfacePlane.position.y;
     this.surfacePlane.receiveShadow = true;
     this.scene.add(this.surfacePlane);
   }
@@ -511,6 +513,13 @@ export class TerrainRenderer {
       }
     }
     this.geometry.attributes.position.needsUpdate = true;
+
+    // Refresh the water intersection map so shorelines follow new craters
+    if (this.intersectionScene) {
+      this.renderer.setRenderTarget(this.intersectionRT);
+      this.renderer.render(this.intersectionScene, this.intersectionCamera);
+      this.renderer.setRenderTarget(null);
+    }
     
     // Notify physics that terrain was modified
     if (this.game && this.game.physicsManager) {
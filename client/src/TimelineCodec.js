@@ -0,0 +1,110 @@
+// client/src/TimelineCodec.js
+
+// Must match server/TimelineCodec.js
+export const TIMELINE_FORMAT = 'compact-v2';
+const DIRECTION_SCALE = 10000;
+const SPEED_SCALE = 100;
+
+/**
+ * Socket.io hands binary attachments back as ArrayBuffers (or views, depending
+ * on transport), so normalize them into the expected typed array.
+ */
+function toTypedArray(data, ArrayType) {
+    if (data instanceof ArrayType) return data;
+    if (data instanceof ArrayBuffer) return new ArrayType(data);
+    if (ArrayBuffer.isView(data)) {
+        // Copy to avoid alignment errors when the view starts at an odd offset
+        return new ArrayType(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+    }
+    return ArrayType.from(data || []);
+}
+
+/**
+ * Expand a compact `fullProjectileTimeline` payload back into the flat event
+ * list the timeline manager plays. Plain arrays (the old format) pass through.
+ *
+ * @param {Object|Array} payload
+ * @returns {Array<Object>} Timeline events
+ */
+export function decodeTimeline(payload) {
+    if (Array.isArray(payload)) return payload;
+    if (!payload || payload.format !== TIMELINE_FORMAT) {
+        console.warn('Unknown projectile timeline format:', payload && payload.format);
+        return [];
+    }
+
+    const events = [...payload.events];
+    const scale = payload.scale;
+
+    payload.paths.forEach(path => {
+        const moves = decodePath(path, scale, (time, position) => ({
+            type: 'projectileMove',
+            time,
+            projectileId: path.projectileId,
+            position
+        }));
+        events.push(...moves);
+        if (path.guidance) {
+            events.push(...decodeGuidance(path.guidance, moves));
+        }
+    });
+
+    payload.tankPaths.forEach(path => {
+        events.push(...decodePath(path, scale, (time, position) => ({
+            type: 'tankMove',
+            time,
+            playerId: path.playerId,
+            position
+        })));
+    });
+
+    return events;
+}
+
+/**
+ * Rebuild a path's events; makeEvent turns each time and position into one.
+ */
+function decodePath(path, scale, makeEvent) {
+    const times = toTypedArray(path.times, Uint16Array);
+    const positions = toTypedArray(path.positions, path.wide ? Int32Array : Int16Array);
+    const events = [];
+
+    let time = path.startTime;
+    let x = 0;
+    let y = 0;
+    let z = 0;
+    for (let i = 0; i < times.length; i++) {
+        time += times[i];
+        x += positions[i * 3];
+        y += positions[i * 3 + 1];
+        z += positions[i * 3 + 2];
+        events.push(makeEvent(time, { x: x / scale, y: y / scale, z: z / scale }));
+    }
+    return events;
+}
+
+/**
+ * Guidance updates travel as a direction and speed on the move they came
+ * with, so they take that move's time and position.
+ */
+function decodeGuidance(guidance, moves) {
+    const indices = toTypedArray(guidance.indices, Uint16Array);
+    const directions = toTypedArray(guidance.directions, Int16Array);
+    const speeds = toTypedArray(guidance.speeds, Uint16Array);
+
+    return Array.from(indices, (moveIndex, i) => {
+        const move = moves[moveIndex];
+        return {
+            type: 'projectileGuidanceUpdate',
+            time: move.time,
+            projectileId: move.projectileId,
+            position: move.position,
+            direction: {
+                x: directions[i * 3] / DIRECTION_SCALE,
+                y: directions[i * 3 + 1] / DIRECTION_SCALE,
+                z: directions[i * 3 + 2] / DIRECTION_SCALE
+            },
+            currentSpeed: speeds[i] / SPEED_SCALE
+        };
+    });
+}
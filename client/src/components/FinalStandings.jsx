@@ -0,0 +1,108 @@
+import { useGame } from '../contexts/GameContext';
+import './FinalStandings.css';
+
+const toHexColor = (color) => `#${(color || 0).toString(16).padStart(6, '0')}`;
+
+/**
+ * Post-game screen: everyone ranked by total points, with the totals the
+ * ties were broken on, and who won each round. Team games lead with the
+ * team ranking; co-op defense games with how the base held out.
+ */
+const FinalStandings = () => {
+  const { game } = useGame();
+  if (!game) return null;
+
+  const standings = game.finalStandings;
+  const teamStandings = game.teamStandings;
+  const rounds = game.roundResults;
+  const defense = game.rules?.coop ? game.defense : null;
+
+  return (
+    <div className="final-standings">
+      <h2>Final Standings</h2>
+      {defense && (
+        <p className="defense-summary">
+          {defense.baseHealth > 0 ? 'The base held!' : `The base fell in wave ${defense.wave}.`}
+          {' '}Waves survived: {defense.wavesSurvived} of {rounds.length}
+        </p>
+      )}
+      {teamStandings.length > 0 && (
+        <table className="team-standings">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Team</th>
+              <th>Points</th>
+              <th>Round Wins</th>
+              <th>Kills</th>
+              <th>Damage</th>
+              <th>Helis</th>
+            </tr>
+          </thead>
+          <tbody>
+            {teamStandings.map((entry) => (
+              <tr key={entry.team}>
+                <td>{entry.rank}</td>
+                <td>{entry.name}</td>
+                <td>{entry.points}</td>
+                <td>{entry.roundWins}</td>
+                <td>{entry.kills}</td>
+                <td>{entry.damageDealt}</td>
+                <td>{entry.helicopterKills}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <table>
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Player</th>
+            <th>Points</th>
+            <th>Round Wins</th>
+            <th>Kills</th>
+            <th>Damage</th>
+            <th>Helis</th>
+          </tr>
+        </thead>
+        <tbody>
+          {standings.map((entry) => (
+            <tr
+              key={entry.playerId}
+              className={entry.playerId === game.playerManager.playerId ? 'own-standing' : ''}
+            >
+              <td>{entry.rank}</td>
+              <td>
+                <span className="standing-color" style={{ backgroundColor: toHexColor(entry.color) }} />
+                {entry.name}
+                {game.teams[entry.team] && <span className="standing-team"> ({game.teams[entry.team]})</span>}
+              </td>
+              <td>{entry.points}</td>
+              <td>{entry.roundWins}</td>
+              <td>{entry.kills}</td>
+              <td>{entry.damageDealt}</td>
+              <td>{entry.helicopterKills}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {rounds.length > 0 && !defense && (
+        <ul className="round-winners">
+          {rounds.map((result) => (
+            <li key={result.round}>
+              Round {result.round}: {result.winnerName || 'Draw'}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <button onClick={() => { window.location.href = '/'; }}>
+        Back to Lobby
+      </button>
+    </div>
+  );
+};
+
+export default FinalStandings;
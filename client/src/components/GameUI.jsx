@@ -2,12 +2,17 @@ import React, { useEffect, useState } from 'react';
 import NotificationArea from './NotificationArea';
 import { ShopModal } from './ShopModal';
 import { CashDisplay } from './CashDisplay';
+import { WindDisplay } from './WindDisplay';
 import InventorySelector from './InventorySelector';
 import { useGame } from '../contexts/GameContext';
 import PlayerList from './PlayerList';
 import TurretControls from './TurretControls';
 import ReadyToggle from './ReadyToggle';
+import TeamPicker from './TeamPicker';
+import PracticePanel from './PracticePanel';
+import WaveDisplay from './WaveDisplay';
 import ChatComponent from './ChatComponent';
+import FinalStandings from './FinalStandings';
 import './GameUI.css';
 
 // Define game states
@@ -25,6 +30,7 @@ const COMPONENT_VISIBILITY = {
     notificationArea: true,
     playerList: false,
     cashDisplay: false,
+    windDisplay: false,
     weaponSelector: false,
     itemSelector: false,
     turretControls: false,
@@ -34,6 +40,7 @@ const COMPONENT_VISIBILITY = {
     notificationArea: true,
     playerList: false,
     cashDisplay: false,
+    windDisplay: false,
     weaponSelector: false,
     itemSelector: false,
     turretControls: false,
@@ -43,6 +50,7 @@ const COMPONENT_VISIBILITY = {
     notificationArea: true,
     playerList: true,
     cashDisplay: true,
+    windDisplay: false,
     weaponSelector: false,
     itemSelector: false,
     turretControls: false,
@@ -53,20 +61,25 @@ const COMPONENT_VISIBILITY = {
     notificationArea: true,
     playerList: true,
     cashDisplay: true,
+    windDisplay: true,
     weaponSelector: true,
     itemSelector: true,
     turretControls: true,
     shopModal: true,
     chatComponent: true,
+    practicePanel: true,
+    waveDisplay: true,
   },
   [GAME_STATES.POSTGAME]: {
     notificationArea: true,
     playerList: true,
     cashDisplay: true,
+    windDisplay: false,
     weaponSelector: false,
     itemSelector: false,
     turretControls: false,
-    shopModal: false
+    shopModal: false,
+    finalStandings: true
   }
 };
 
@@ -154,6 +167,8 @@ const GameUI = ({ connected }) => {
         </div>
       )}
 
+      {visibility.windDisplay && <WindDisplay />}
+
       {visibility.weaponSelector && (
         <InventorySelector
           inventory={weaponInventory}
@@ -175,9 +190,13 @@ const GameUI = ({ connected }) => {
       )}
 
       {visibility.turretControls && <TurretControls />}
+      {visibility.practicePanel && <PracticePanel />}
+      {visibility.waveDisplay && <WaveDisplay />}
 
       <div className="main-content">
       {gameState === GAME_STATES.PREGAME && <ReadyToggle />}
+      {gameState === GAME_STATES.PREGAME && <TeamPicker />}
+      {visibility.finalStandings && <FinalStandings />}
         <div>Game UI Base Container</div>
       </div>
 
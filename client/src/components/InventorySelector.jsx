@@ -78,10 +78,7 @@ const InventorySelector = ({
   const handleLongPress = () => {
     if (!isLocalTurn) return;
     if (inventoryType === 'weapon') {
-      game.socket.emit('clientInput', {
-        action: 'fire',
-        weaponCode: currentSelectedCode,
-      });
+      game.inputManager.fire(currentSelectedCode);
     } else {
       game.socket.emit('clientInput', {
         action: 'use',
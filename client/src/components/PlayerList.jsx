@@ -25,6 +25,8 @@ const PlayerList = () => {
     currentPlayerId: null,
     turnTimeRemaining: 0,
     turnStartServer: 0,
+    simultaneous: false,
+    lockedIn: [],
   });
   const [timeLeft, setTimeLeft] = useState(0);
   const intervalRef = useRef(null);
@@ -34,6 +36,7 @@ const PlayerList = () => {
     game?.playerManager?.currentPlayerId || null
   );
   const localPlayerId = game?.playerManager?.playerId;
+  const teams = game?.teams || [];
   const isMyTurn = localPlayerId === currentTurnPlayerId;
 
   useEffect(() => {
@@ -66,6 +69,8 @@ const PlayerList = () => {
         currentPlayerId,
         turnTimeRemaining,
         turnStartServer: turnStartTime,
+        simultaneous: !!data.simultaneous,
+        lockedIn: data.lockedIn || [],
       });
       setTimeLeft(turnTimeRemaining);
     };
@@ -182,12 +187,24 @@ useEffect(() => {
             <span className="player-name" style={{ color: player.color }}>
               {player.name}
             </span>
+            {teams[player.team] && (
+              <span className="player-team">{teams[player.team]}</span>
+            )}
             {renderStatusBar("HEALTH", player.health, getHealthColor(player.health))}
             {renderStatusBar("ARMOR", player.armor || 0, 'darkgreen')}
             {renderStatusBar("SHIELD", player.shield || 0, 'blue')}
           </div>
           {!player.isOnline ? (
             <span className="offline-indicator">OFFLINE</span>
+          ) : turnInfo.simultaneous ? (
+            player.health > 0 && (
+              <span
+                className="ready-status"
+                style={{ color: turnInfo.lockedIn.includes(player.id) ? '#00dd00' : '#dddd00' }}
+              >
+                {turnInfo.lockedIn.includes(player.id) ? 'Locked In' : 'Aiming'}
+              </span>
+            )
           ) : (
             turnInfo.currentPlayerId === null && (
               <span
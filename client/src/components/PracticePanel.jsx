@@ -0,0 +1,84 @@
+import { useEffect, useState } from 'react';
+import { useGame } from '../contexts/GameContext';
+import './PracticePanel.css';
+
+const THEMES = ['grassland', 'desert', 'arctic'];
+const TRAIL_COUNTS = [0, 3, 5, 10];
+
+/**
+ * Practice game controls: place and clear target dummies, reset or
+ * regenerate the terrain, and choose how many shot trails stay drawn.
+ */
+const PracticePanel = () => {
+  const { game } = useGame();
+  const practiceTools = game?.practiceTools;
+  const [placing, setPlacing] = useState(practiceTools?.placing || null);
+  const [seed, setSeed] = useState('');
+  const [theme, setTheme] = useState('');
+  const [trailCount, setTrailCount] = useState(game?.shotTrails?.maxShots ?? 0);
+
+  useEffect(() => {
+    if (!practiceTools) return;
+    practiceTools.on('placingChanged', setPlacing);
+    return () => {
+      practiceTools.off('placingChanged', setPlacing);
+    };
+  }, [practiceTools]);
+
+  if (!game?.rules?.practice || !practiceTools) return null;
+
+  const handleTrailCount = (event) => {
+    const count = Number(event.target.value);
+    setTrailCount(count);
+    game.shotTrails.setMaxShots(count);
+  };
+
+  return (
+    <div className="practice-panel">
+      <div className="practice-row">
+        {placing ? (
+          <>
+            <span className="practice-hint">Click the ground to place the dummy</span>
+            <button onClick={() => practiceTools.setPlacing(null)}>Cancel</button>
+          </>
+        ) : (
+          <>
+            <button onClick={() => practiceTools.setPlacing('stationary')}>Place Dummy</button>
+            <button onClick={() => practiceTools.setPlacing('moving')}>Place Moving Dummy</button>
+          </>
+        )}
+        <button onClick={() => practiceTools.clearDummies()}>Clear Dummies</button>
+      </div>
+
+      <div className="practice-row">
+        <input
+          type="text"
+          inputMode="numeric"
+          placeholder="Current seed"
+          value={seed}
+          onChange={(event) => setSeed(event.target.value)}
+        />
+        <select value={theme} onChange={(event) => setTheme(event.target.value)}>
+          <option value="">Current theme</option>
+          {THEMES.map(name => (
+            <option key={name} value={name}>{name[0].toUpperCase() + name.slice(1)}</option>
+          ))}
+        </select>
+        <button onClick={() => practiceTools.resetTerrain(seed, theme)}>Reset Terrain</button>
+      </div>
+
+      <div className="practice-row">
+        <label>
+          Shot trails
+          <select value={trailCount} onChange={handleTrailCount}>
+            {TRAIL_COUNTS.map(count => (
+              <option key={count} value={count}>{count === 0 ? 'Off' : count}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default PracticePanel;
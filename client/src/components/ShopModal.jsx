@@ -9,6 +9,7 @@ export const ShopModal = () => {
         playerCash,
         currentCategory,
         timeLeft,
+        roundEarnings,
         setOpen,
         setCurrentCategory,
         purchaseItem
@@ -67,6 +68,43 @@ export const ShopModal = () => {
                     </button>
                 </div>
 
+                {/* Last round's pay */}
+                {roundEarnings && (
+                    <div style={{
+                        padding: '10px 20px',
+                        borderBottom: '1px solid #333'
+                    }}>
+                        <div style={{ fontWeight: 'bold', marginBottom: '6px' }}>
+                            Round {roundEarnings.round} earnings
+                        </div>
+                        {roundEarnings.lines.map((line) => (
+                            <div
+                                key={line.label}
+                                style={{ display: 'flex', justifyContent: 'space-between', maxWidth: '320px' }}
+                            >
+                                <span style={{ color: '#aaa' }}>
+                                    {line.label}{line.count > 1 ? ` (${line.count})` : ''}
+                                </span>
+                                <span style={{ color: line.amount < 0 ? '#f87171' : '#4ade80' }}>
+                                    {line.amount < 0 ? '-' : '+'}${Math.abs(line.amount)}
+                                </span>
+                            </div>
+                        ))}
+                        <div style={{
+                            display: 'flex',
+                            justifyContent: 'space-between',
+                            maxWidth: '320px',
+                            borderTop: '1px solid #333',
+                            marginTop: '4px',
+                            paddingTop: '4px',
+                            fontWeight: 'bold'
+                        }}>
+                            <span>Total</span>
+                            <span>{roundEarnings.total < 0 ? '-' : '+'}${Math.abs(roundEarnings.total)}</span>
+                        </div>
+                    </div>
+                )}
+
                 {/* Items Grid */}
                 <div style={{
                     padding: '20px',
@@ -0,0 +1,46 @@
+import { useEffect, useState } from 'react';
+import { useGame } from '../contexts/GameContext';
+import './TeamPicker.css';
+
+/**
+ * Waiting-room team choice for team games. The server checks the team
+ * has room and answers with an updated player list.
+ */
+const TeamPicker = () => {
+  const { game, socket } = useGame();
+  const [players, setPlayers] = useState(() => game?.playerManager.getAllPlayersInfo() || []);
+
+  useEffect(() => {
+    if (!socket) return;
+    socket.on('playerListUpdated', setPlayers);
+    return () => {
+      socket.off('playerListUpdated', setPlayers);
+    };
+  }, [socket]);
+
+  if (!game || game.teams.length === 0) return null;
+
+  const localPlayerId = game.playerManager.playerId;
+  const ownTeam = players.find(player => player.id === localPlayerId)?.team;
+
+  return (
+    <div className="team-picker">
+      {game.teams.map((name, team) => {
+        const members = players.filter(player => !player.isSpectator && player.team === team);
+        return (
+          <button
+            key={name}
+            className={`team-${name.toLowerCase()} ${team === ownTeam ? 'own-team' : ''}`}
+            onClick={() => socket.emit('teamChange', team)}
+            disabled={team === ownTeam}
+          >
+            {name}
+            <span className="team-count">{members.length}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TeamPicker;
@@ -0,0 +1,56 @@
+import { useEffect, useState } from 'react';
+import { useGame } from '../contexts/GameContext';
+import './WaveDisplay.css';
+
+/**
+ * Co-op defense status: the wave, how much health the base has left, how
+ * many of the wave's helicopters are still flying and how long until they
+ * pull out. The clock counts down locally between the server's updates.
+ */
+const WaveDisplay = () => {
+  const { game } = useGame();
+  const [defense, setDefense] = useState(game?.defense || null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!game) return;
+    game.on('waveUpdate', setDefense);
+    return () => {
+      game.off('waveUpdate', setDefense);
+    };
+  }, [game]);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (!game?.rules?.coop || !defense) return null;
+
+  const healthPercent = Math.round((defense.baseHealth / defense.maxBaseHealth) * 100);
+  const msLeft = defense.timeRemaining > 0
+    ? Math.max(0, defense.timeRemaining - (now - defense.receivedAt))
+    : 0;
+  const secondsLeft = Math.ceil(msLeft / 1000);
+  const clock = `${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')}`;
+
+  return (
+    <div className="wave-display">
+      <div>Wave {defense.wave}</div>
+      <div className="wave-base">
+        <span>Base</span>
+        <div className="wave-base-bar">
+          <div
+            className={`wave-base-fill${healthPercent <= 30 ? ' low' : ''}`}
+            style={{ width: `${healthPercent}%` }}
+          />
+        </div>
+        <span>{defense.baseHealth}</span>
+      </div>
+      <div>Helicopters: {defense.helicoptersLeft} / {defense.helicoptersInWave}</div>
+      <div>Time left: {clock}</div>
+    </div>
+  );
+};
+
+export default WaveDisplay;
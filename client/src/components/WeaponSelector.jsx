@@ -77,10 +77,7 @@ const WeaponSelector = ({
 
   const handleFire = () => {
     if (!isLocalTurn) return; // Do nothing if it isn’t the local player's turn.
-    game.socket.emit('clientInput', {
-      action: 'fire',
-      weaponCode: currentSelectedWeaponCode,
-    });
+    game.inputManager.fire(currentSelectedWeaponCode);
   };
 
   // Close the dropdown when clicking outside or pressing the ESC key.
@@ -0,0 +1,57 @@
+// src/components/WindDisplay.jsx
+import { useState, useEffect } from 'react';
+import { useGame } from '../contexts/GameContext';
+import * as THREE from 'three';
+
+/**
+ * Shows the current wind strength and an arrow pointing the way the
+ * wind blows, relative to the camera.
+ */
+export const WindDisplay = () => {
+  const { game } = useGame();
+  const [wind, setWind] = useState(game?.wind || { x: 0, z: 0 });
+  const [arrowRotation, setArrowRotation] = useState(0);
+
+  useEffect(() => {
+    if (!game) return;
+    const handleWindChange = (newWind) => setWind(newWind);
+    game.on('windChange', handleWindChange);
+    return () => {
+      game.off('windChange', handleWindChange);
+    };
+  }, [game]);
+
+  // Keep the arrow in screen space as the camera turns
+  useEffect(() => {
+    let frameId;
+    const euler = new THREE.Euler();
+    const updateArrow = () => {
+      const camera = game?.cameraManager?.camera;
+      if (camera) {
+        const yaw = euler.setFromQuaternion(camera.quaternion, 'YXZ').y;
+        const forward = -(wind.x * Math.sin(yaw) + wind.z * Math.cos(yaw));
+        const right = wind.x * Math.cos(yaw) - wind.z * Math.sin(yaw);
+        setArrowRotation(THREE.MathUtils.radToDeg(Math.atan2(right, forward)));
+      }
+      frameId = requestAnimationFrame(updateArrow);
+    };
+    frameId = requestAnimationFrame(updateArrow);
+    return () => cancelAnimationFrame(frameId);
+  }, [game, wind]);
+
+  const strength = Math.hypot(wind.x, wind.z);
+
+  return (
+    <div className="wind-display">
+      <span>Wind: {strength.toFixed(1)}</span>
+      {strength > 0 && (
+        <span
+          className="wind-arrow"
+          style={{ transform: `rotate(${arrowRotation}deg)` }}
+        >
+          ↑
+        </span>
+      )}
+    </div>
+  );
+};
@@ -9,6 +9,7 @@ export const useShopStore = create((set, get) => ({
     timeLeft: 0,
     timerInterval: null,
     notifications: [],
+    roundEarnings: null, // Last round's pay: { round, lines, total, cash }
 
     // Core actions
     initialize: (socket) => {
@@ -29,6 +30,10 @@ export const useShopStore = create((set, get) => ({
             get().startTimer(data.duration);
             get().addNotification('Shop is now open!');
         });
+        // Sent just before the shop opens
+        socket.on('roundEarnings', (data) => {
+            set({ roundEarnings: data, playerCash: data.cash });
+        });
         socket.on('purchaseSuccess', (data) => {
             set({ playerCash: data.newCash });
             get().addNotification(`Successfully purchased ${data.quantity}x ${data.itemName}!`);
@@ -114,7 +119,8 @@ export const useShopStore = create((set, get) => ({
             items: [],
             timerInterval: null,
             timeLeft: 0,
-            notifications: []
+            notifications: [],
+            roundEarnings: null
         });
     }
 }));
@@ -1,5 +1,17 @@
 // server/ArmorShieldManager.js
 
+/**
+ * Shield types that act on projectiles in flight, keyed by Player.shieldType.
+ * A deflector bounces incoming shells off its bubble, a force shield sets
+ * them off at its edge. Either way the shield pays energyPerDamage points of
+ * energy per point of the shell's base damage; the energy left over still
+ * soaks up blast damage like any other shield.
+ */
+export const SHIELD_TYPES = {
+  deflector: { itemCode: 'DS01', energy: 100, energyPerDamage: 0.5 },
+  force: { itemCode: 'FS01', energy: 150, energyPerDamage: 1 },
+};
+
 export default class ArmorShieldManager {
     /**
      * Apply incoming damage to a player, taking into account shield and armor.
@@ -77,6 +89,32 @@ export default class ArmorShieldManager {
       player.shield += amount;
       player.hasShield = true;
     }
+
+    /**
+     * Raise a deflector or force shield, replacing any shield the player had.
+     *
+     * @param {Player} player - The player instance.
+     * @param {string} shieldType - Key of SHIELD_TYPES.
+     */
+    static raiseShield(player, shieldType) {
+      player.shield = SHIELD_TYPES[shieldType].energy;
+      player.shieldType = shieldType;
+      player.hasShield = true;
+    }
+
+    /**
+     * Take energy out of a player's shield, dropping it once it is empty.
+     *
+     * @param {Player} player - The player instance.
+     * @param {number} amount - Energy to drain.
+     * @returns {boolean} True if the shield is now down.
+     */
+    static drainShield(player, amount) {
+      player.shield = Math.max(0, player.shield - amount);
+      if (player.shield > 0) return false;
+      player.shieldType = null;
+      return true;
+    }
   
     /**
      * Add an armor value to the player.
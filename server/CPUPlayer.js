@@ -1,5 +1,6 @@
 import Player from './Player.js';
 import * as THREE from 'three';
+import { getAllWeaponDefinitions, getWeaponDefinition } from './WeaponRegistry.js';
 
 export default class CPUPlayer extends Player {
   constructor(x, y, z) {
@@ -16,6 +17,7 @@ export default class CPUPlayer extends Player {
     // AI difficulty settings
     this.perfectAim = true; // Always hit target
     this.maxIterations = 20; // Increase iterations for better accuracy
+    this.maxWindYawCorrection = 20; // Max degrees to aim off-line to compensate for crosswind
   }
 
   // Clear all pending timeouts
@@ -42,8 +44,10 @@ export default class CPUPlayer extends Player {
   }
 
   selectTarget(players, selfId) {
+    const ownTeam = players[selfId]?.team ?? null;
     const validTargets = Object.entries(players).filter(([id, player]) => 
       id !== selfId && 
+      (ownTeam === null || player.team !== ownTeam) && 
       player.isAlive && 
       player.health > 0 && 
       !player.isSpectator
@@ -110,19 +114,26 @@ export default class CPUPlayer extends Player {
   }
   
   calculateFiringSolution(target, gameInstance) {
+    const rng = gameInstance.rng;
     const myPos = this.getPosition();
     const targetPos = target.getPosition();
     
     // Base solution with direct line to target for yaw
     const dx = targetPos.x - myPos.x;
     const dz = targetPos.z - myPos.z;
-    const yaw = (Math.atan2(dx, dz) * 180 / Math.PI + 360) % 360;
+    const baseYaw = (Math.atan2(dx, dz) * 180 / Math.PI + 360) % 360;
     
     // For perfect aim, we'll use a binary search approach to find the right pitch and power
     let minPitch = this.minPitch;
     let maxPitch = this.maxPitch;
     let minPower = this.minPower;
     let maxPower = this.maxPower;
+
+    // The simulator applies the current wind, so also search a yaw offset to cancel any crosswind
+    const wind = gameInstance.projectileManager.wind;
+    const hasWind = wind && (wind.x !== 0 || wind.z !== 0);
+    let minYawOffset = hasWind ? -this.maxWindYawCorrection : 0;
+    let maxYawOffset = hasWind ? this.maxWindYawCorrection : 0;
     
     let bestSolution = null;
     let bestDistance = Infinity;
@@ -132,21 +143,25 @@ export default class CPUPlayer extends Player {
       // Try combinations of pitch and power
       for (let i = 0; i < 15; i++) {
         // Use weighted random within current bounds to focus on promising areas
-        let pitch, power;
+        let pitch, power, yawOffset;
         
         if (bestSolution) {
           // Focus search around the best solution found so far
-          pitch = bestSolution.pitch + (Math.random() - 0.5) * (maxPitch - minPitch) * 0.5;
-          power = bestSolution.power + (Math.random() - 0.5) * (maxPower - minPower) * 0.5;
+          pitch = bestSolution.pitch + (rng.next() - 0.5) * (maxPitch - minPitch) * 0.5;
+          power = bestSolution.power + (rng.next() - 0.5) * (maxPower - minPower) * 0.5;
+          yawOffset = bestSolution.yawOffset + (rng.next() - 0.5) * (maxYawOffset - minYawOffset) * 0.5;
           
           // Keep within bounds
           pitch = Math.max(minPitch, Math.min(maxPitch, pitch));
           power = Math.max(minPower, Math.min(maxPower, power));
+          yawOffset = Math.max(minYawOffset, Math.min(maxYawOffset, yawOffset));
         } else {
           // Initial wider search
-          pitch = minPitch + Math.random() * (maxPitch - minPitch);
-          power = minPower + Math.random() * (maxPower - minPower);
+          pitch = minPitch + rng.next() * (maxPitch - minPitch);
+          power = minPower + rng.next() * (maxPower - minPower);
+          yawOffset = minYawOffset + rng.next() * (maxYawOffset - minYawOffset);
         }
+        const yaw = (baseYaw + yawOffset + 360) % 360;
         
         // Build direction Vector3
         const direction = new THREE.Vector3(0, 0, 1);
@@ -177,6 +192,7 @@ export default class CPUPlayer extends Player {
             bestSolution = {
               pitch,
               yaw,
+              yawOffset,
               power,
               distance: distanceToTarget,
               collision
@@ -197,6 +213,11 @@ export default class CPUPlayer extends Player {
         maxPitch = Math.min(this.maxPitch, bestSolution.pitch + (maxPitch - minPitch) * rangeFactor);
         minPower = Math.max(this.minPower, bestSolution.power - (maxPower - minPower) * rangeFactor);
         maxPower = Math.min(this.maxPower, bestSolution.power + (maxPower - minPower) * rangeFactor);
+        if (hasWind) {
+          const yawRange = (maxYawOffset - minYawOffset) * rangeFactor;
+          minYawOffset = Math.max(-this.maxWindYawCorrection, bestSolution.yawOffset - yawRange);
+          maxYawOffset = Math.min(this.maxWindYawCorrection, bestSolution.yawOffset + yawRange);
+        }
       }
     }
     
@@ -207,29 +228,81 @@ export default class CPUPlayer extends Player {
     
     // If all else fails, use a direct shot
     return {
-      yaw,
+      yaw: baseYaw,
       pitch: -45,
       power: 50
     };
   }
   
+  // Weapons the CPU knows how to use (ai.weight > 0) and has in stock
   getAvailableWeapons() {
-    const weaponCodes = ['BW01', 'CW01', 'BB01', 'BR01', 'VW01', 'MM01', 'RF01', 'MS01', 'PC01', 'JB01', 'SP01', 'HK01', 'HK02'];
-    return weaponCodes.filter(code => this.hasItem(code));
+    return getAllWeaponDefinitions()
+      .filter(definition => definition.ai.weight > 0 && this.hasItem(definition.code))
+      .map(definition => definition.code);
   }
 
   getAvailableItems() {
-    const itemCodes = ['LA01', 'HA02', 'RK01', 'SB02', 'EF01'];
+    const itemCodes = ['LA01', 'HA02', 'RK01', 'SB02', 'DS01', 'FS01', 'EF01'];
     return itemCodes.filter(code => this.hasItem(code));
   }
 
-  // Random weapon selection
-  selectRandomWeapon() {
-    const availableWeapons = this.getAvailableWeapons();
+  // Random weapon selection, weighted by each weapon's ai.weight
+  selectRandomWeapon(rng, codes = this.getAvailableWeapons()) {
+    const availableWeapons = codes.map(getWeaponDefinition);
     if (availableWeapons.length === 0) return null;
-    
-    // Simply return a random weapon from the available ones
-    return availableWeapons[Math.floor(Math.random() * availableWeapons.length)];
+
+    const totalWeight = availableWeapons.reduce((sum, definition) => sum + definition.ai.weight, 0);
+    let roll = rng.range(0, totalWeight);
+    for (const definition of availableWeapons) {
+      roll -= definition.ai.weight;
+      if (roll < 0) return definition.code;
+    }
+    return availableWeapons[availableWeapons.length - 1].code;
+  }
+
+  /**
+   * Co-op defense: aim at the helicopter that will be nearest when we fire,
+   * with a helicopter-seeking weapon if we have one left. Weapons that need
+   * a ground point or a tank picked are left alone.
+   * @returns {{solution: Object, weaponCode: string|null}}
+   */
+  planAntiAirShot(gameInstance) {
+    const { helicopterManager, rng } = gameInstance;
+    const myPos = this.getPosition();
+    const fireTime = Date.now() + 7000; // When simulateTurn fires
+
+    let nearest = null;
+    for (const helicopterId of helicopterManager.getHelicopterIds()) {
+      const state = helicopterManager.getHelicopterPositionAtTime(helicopterId, fireTime);
+      if (!state) continue;
+      const position = new THREE.Vector3(state.position.x, state.position.y, state.position.z);
+      if (!nearest || position.distanceTo(myPos) < nearest.distanceTo(myPos)) {
+        nearest = position;
+      }
+    }
+
+    const available = this.getAvailableWeapons();
+    const antiAir = available.filter(code => getWeaponDefinition(code).ai.antiAir);
+    const weaponCode = antiAir.length > 0
+      ? this.selectRandomWeapon(rng, antiAir)
+      : this.selectRandomWeapon(rng, available.filter(code => !getWeaponDefinition(code).targeting));
+
+    if (!nearest) {
+      return { solution: { yaw: rng.next() * 360, pitch: -60, power: 70 }, weaponCode };
+    }
+
+    // Aim a little above it; seekers steer the rest of the way
+    const dx = nearest.x - myPos.x;
+    const dz = nearest.z - myPos.z;
+    const elevation = Math.atan2(nearest.y - myPos.y, Math.hypot(dx, dz)) * 180 / Math.PI;
+    return {
+      solution: {
+        yaw: (Math.atan2(dx, dz) * 180 / Math.PI + 360) % 360,
+        pitch: -Math.min(80, Math.max(30, elevation + 15)),
+        power: 70
+      },
+      weaponCode
+    };
   }
 
   simulateTurn(gameInstance, userId) {
@@ -237,32 +310,37 @@ export default class CPUPlayer extends Player {
       console.error('simulateTurn: gameInstance is undefined!');
       return;
     }
+    const rng = gameInstance.rng;
 
     // Clear any existing timeouts first
     this.clearTurnTimeouts();
 
     // Initial delay before starting turn
     this.addTimeout(() => {
-      // Select target and calculate firing solution
-      const target = this.selectTarget(
+      // Select target and calculate firing solution. In co-op defense the
+      // helicopters are the only enemy.
+      const antiAirShot = gameInstance.rules.coop ? this.planAntiAirShot(gameInstance) : null;
+      const target = antiAirShot ? null : this.selectTarget(
         gameInstance.playerManager.getPlayersObject(),
         userId
       );
 
       let solution;
-      if (!target) {
+      if (antiAirShot) {
+        solution = antiAirShot.solution;
+      } else if (!target) {
         // No valid targets, just fire randomly
         solution = {
-          yaw: Math.random() * 360,
-          pitch: this.minPitch + Math.random() * (this.maxPitch - this.minPitch),
-          power: this.minPower + Math.random() * (this.maxPower - this.minPower)
+          yaw: rng.next() * 360,
+          pitch: this.minPitch + rng.next() * (this.maxPitch - this.minPitch),
+          power: this.minPower + rng.next() * (this.maxPower - this.minPower)
         };
       } else {
         // Calculate perfect firing solution
         solution = this.calculateFiringSolution(target.targetPlayer, gameInstance);
         if (!solution) {
           solution = {
-            yaw: Math.random() * 360,
+            yaw: rng.next() * 360,
             pitch: -45,
             power: 500
           };
@@ -272,8 +350,8 @@ export default class CPUPlayer extends Player {
       // Use strategic items when appropriate
       let selectedItem = null;
       const availableItems = this.getAvailableItems();
-      if (availableItems.length > 0 && Math.random() < 0.5) { // Increased chance to use items
-        selectedItem = availableItems[Math.floor(Math.random() * availableItems.length)];
+      if (availableItems.length > 0 && rng.next() < 0.5) { // Increased chance to use items
+        selectedItem = rng.pick(availableItems);
         
         // First notify about item selection
         this.addTimeout(() => {
@@ -292,16 +370,28 @@ export default class CPUPlayer extends Player {
         }, 2000);
       }
 
-      // Select a random weapon
-      let selectedWeapon = this.selectRandomWeapon();
+      // Select a random weapon; guided ones need a tank to go for
+      const weaponCodes = this.getAvailableWeapons()
+        .filter(code => target || !getWeaponDefinition(code).targeting);
+      let selectedWeapon = antiAirShot ? antiAirShot.weaponCode : this.selectRandomWeapon(rng, weaponCodes);
+
+      // Guided weapons go for the tank we aimed at
+      let fireTarget;
+      const targeting = selectedWeapon && getWeaponDefinition(selectedWeapon).targeting;
+      if (targeting && target) {
+        const { x, z } = target.targetPlayer.getPosition();
+        fireTarget = targeting === 'tank' ? { playerId: target.targetId } : { x, z };
+      }
 
       // Select and notify about weapon choice
       this.addTimeout(() => {
         if (selectedWeapon) {
           // Call processWeaponChange directly since we're on the server
           gameInstance.playerManager.processWeaponChange(userId, selectedWeapon);
-          // Then broadcast to clients
-          gameInstance.io.to(gameInstance.gameId).emit('weaponSelected', userId, selectedWeapon);
+          // Then broadcast to clients, unless everyone is choosing in private
+          if (gameInstance.rules.fireMode !== 'simultaneous') {
+            gameInstance.io.to(gameInstance.gameId).emit('weaponSelected', userId, selectedWeapon);
+          }
         }
       }, 3000);
 
@@ -337,11 +427,12 @@ export default class CPUPlayer extends Player {
           this.hasFired = true; // Mark that we've fired
           gameInstance.processPlayerInput(userId, { 
             action: 'fire', 
-            weaponCode: selectedWeapon 
+            weaponCode: selectedWeapon,
+            target: fireTarget
           });
         }
       }, 7000);
 
-    }, 1000 + (Math.random() * 1000)); // Initial random delay
+    }, 1000 + (rng.next() * 1000)); // Initial random delay
   }
 }
\ No newline at end of file
@@ -1,4 +1,5 @@
 // HelicopterManager.js - Server-side class to manage helicopter spawning and flight paths
+import SeededRandom from './SeededRandom.js';
 
 class HelicopterManager {
   constructor(io, gameId, terrainManager, options = {}) {
@@ -26,6 +27,7 @@ class HelicopterManager {
       maxFlightTime: 100, // Maximum flight time (in seconds) before forcing an exit
       ...options
     };
+    this.rng = options.rng || new SeededRandom(gameId);
     
     this.nextHelicopterId = 1;
     this.spawnInterval = null;
@@ -105,18 +107,22 @@ class HelicopterManager {
     return filtered;
   }
   
-  // Spawn a new helicopter with pre-calculated flight path
-  spawnHelicopter() {
+  // Spawn a new helicopter with pre-calculated flight path. Co-op defense
+  // waves pass a tougher health and a loiterTime (seconds): the helicopter
+  // keeps touring the map that long before it heads for an exit.
+  spawnHelicopter({ health = this.options.baseHealth, loiterTime = null } = {}) {
     if (this._isDisposed) return null;
     
     const helicopterId = this.nextHelicopterId++;
     const spawnPoint = this.generateRandomSpawnPoint();
     
     // Calculate full flight path for accurate server-side calculations
-    const flightPath = this.calculateFlightPath(
-      spawnPoint, 
-      this.options.simAheadTime
-    );
+    const flightPath = loiterTime === null
+      ? this.calculateFlightPath(spawnPoint, this.options.simAheadTime)
+      : this.calculateFlightPath(spawnPoint, loiterTime + 10, {
+        maxWaypoints: Infinity,
+        maxFlightTime: loiterTime
+      });
     
     // Filter flight path for client transmission
     const filteredFlightPath = this.filterFlightPath(flightPath);
@@ -130,7 +136,7 @@ class HelicopterManager {
       spawnPoint,
       flightPath, // Full path for server calculations
       filteredFlightPath, // Reduced path for clients
-      health: this.options.baseHealth, // Initialize with full health
+      health, // Initialize with full health
       damaged: false // Track if helicopter has been damaged
     });
     
@@ -153,24 +159,24 @@ class HelicopterManager {
     let x, z;
     
     // Randomly choose which edge to spawn on
-    const edge = Math.floor(Math.random() * 4);
+    const edge = this.rng.int(4);
     
     switch (edge) {
       case 0: // North edge
-        x = Math.random() * this.options.mapSize - halfMapSize;
+        x = this.rng.next() * this.options.mapSize - halfMapSize;
         z = -halfMapSize - spawnDistance;
         break;
       case 1: // East edge
         x = halfMapSize + spawnDistance;
-        z = Math.random() * this.options.mapSize - halfMapSize;
+        z = this.rng.next() * this.options.mapSize - halfMapSize;
         break;
       case 2: // South edge
-        x = Math.random() * this.options.mapSize - halfMapSize;
+        x = this.rng.next() * this.options.mapSize - halfMapSize;
         z = halfMapSize + spawnDistance;
         break;
       case 3: // West edge
         x = -halfMapSize - spawnDistance;
-        z = Math.random() * this.options.mapSize - halfMapSize;
+        z = this.rng.next() * this.options.mapSize - halfMapSize;
         break;
     }
     
@@ -197,24 +203,24 @@ class HelicopterManager {
     let x, z;
     
     // Randomly choose which edge to exit from
-    const edge = Math.floor(Math.random() * 4);
+    const edge = this.rng.int(4);
     
     switch (edge) {
       case 0: // North edge
-        x = Math.random() * this.options.mapSize - halfMapSize;
+        x = this.rng.next() * this.options.mapSize - halfMapSize;
         z = -halfMapSize - exitDistance;
         break;
       case 1: // East edge
         x = halfMapSize + exitDistance;
-        z = Math.random() * this.options.mapSize - halfMapSize;
+        z = this.rng.next() * this.options.mapSize - halfMapSize;
         break;
       case 2: // South edge
-        x = Math.random() * this.options.mapSize - halfMapSize;
+        x = this.rng.next() * this.options.mapSize - halfMapSize;
         z = halfMapSize + exitDistance;
         break;
       case 3: // West edge
         x = -halfMapSize - exitDistance;
-        z = Math.random() * this.options.mapSize - halfMapSize;
+        z = this.rng.next() * this.options.mapSize - halfMapSize;
         break;
     }
     
@@ -226,8 +232,8 @@ class HelicopterManager {
     const halfMapSize = this.options.mapSize / 2;
     
     // Random position within map bounds
-    const x = Math.random() * this.options.mapSize - halfMapSize;
-    const z = Math.random() * this.options.mapSize - halfMapSize;
+    const x = this.rng.next() * this.options.mapSize - halfMapSize;
+    const z = this.rng.next() * this.options.mapSize - halfMapSize;
     
     // Get terrain height at destination point and add minimum height
     const terrainHeight = this.terrainManager.getHeightAtPosition(x, z);
@@ -531,6 +537,39 @@ class HelicopterManager {
     };
   }
   
+  // Ids of all active helicopters (cheaper than getAllHelicopters for per-step checks)
+  getHelicopterIds() {
+    if (this._isDisposed) return [];
+    return Array.from(this.helicopters.keys());
+  }
+
+  // Axis-aligned bounds of a helicopter's calculated flight path, valid up to
+  // endTime. Cached until the path is extended.
+  getFlightBounds(helicopterId) {
+    const helicopter = this.helicopters.get(helicopterId);
+    if (!helicopter || !helicopter.flightPath.length) return null;
+
+    const path = helicopter.flightPath;
+    if (!helicopter.flightBounds || helicopter.flightBounds.pathLength !== path.length) {
+      const bounds = {
+        minX: Infinity, minY: Infinity, minZ: Infinity,
+        maxX: -Infinity, maxY: -Infinity, maxZ: -Infinity,
+        pathLength: path.length,
+        endTime: helicopter.spawnTime + path[path.length - 1].time * 1000
+      };
+      for (const { position } of path) {
+        bounds.minX = Math.min(bounds.minX, position.x);
+        bounds.minY = Math.min(bounds.minY, position.y);
+        bounds.minZ = Math.min(bounds.minZ, position.z);
+        bounds.maxX = Math.max(bounds.maxX, position.x);
+        bounds.maxY = Math.max(bounds.maxY, position.y);
+        bounds.maxZ = Math.max(bounds.maxZ, position.z);
+      }
+      helicopter.flightBounds = bounds;
+    }
+    return helicopter.flightBounds;
+  }
+
   // Get information about all currently active helicopters
   getAllHelicopters() {
     if (this._isDisposed) return [];
@@ -0,0 +1,80 @@
+// server/EconomyManager.js
+
+/**
+ * What a round pays. Damage is counted after shields and armor, and only
+ * up to what the target had left, so overkill earns nothing.
+ */
+export const EARNINGS = {
+  perDamage: 10, // Per point of damage dealt to enemy tanks
+  perKill: 1000,
+  survival: 500,
+  perHelicopter: 750,
+  friendlyDamagePenalty: 15, // Per point of damage dealt to yourself or a teammate
+  maxInterest: 2500,
+  waveClear: 1000, // Co-op defense: everyone, for a wave with every helicopter shot down
+  waveClearPerWave: 250, // Added for each wave after the first
+};
+
+/**
+ * Pays players for what they did in a round, going by the ScoreManager's
+ * tally, with interest on their savings if the game's rules allow it.
+ */
+export default class EconomyManager {
+  /**
+   * @param {GameInstance} gameInstance - Reference to the parent game instance
+   */
+  constructor(gameInstance) {
+    this.gameInstance = gameInstance;
+  }
+
+  /**
+   * Itemized earnings for one player's round. Interest is worked out on the
+   * cash they held before this round's pay.
+   * @returns {{lines: Array<{label: string, count: number, amount: number}>, total: number}}
+   */
+  calculateEarnings(player, stats) {
+    const { interestRate } = this.gameInstance.rules;
+    const { wave, lastWaveCleared } = this.gameInstance.waveManager;
+    const lines = [
+      { label: 'Damage dealt', count: Math.round(stats.damageDealt), amount: Math.round(stats.damageDealt * EARNINGS.perDamage) },
+      { label: 'Kills', count: stats.kills, amount: stats.kills * EARNINGS.perKill },
+      { label: 'Helicopters', count: stats.helicopterKills, amount: stats.helicopterKills * EARNINGS.perHelicopter },
+      { label: 'Survived', count: player.isAlive ? 1 : 0, amount: player.isAlive ? EARNINGS.survival : 0 },
+      { label: 'Wave cleared', count: 1, amount: lastWaveCleared ? EARNINGS.waveClear + EARNINGS.waveClearPerWave * (wave - 1) : 0 },
+      { label: 'Interest', count: 0, amount: Math.min(EARNINGS.maxInterest, Math.floor(player.cash * interestRate)) },
+      { label: 'Friendly fire', count: Math.round(stats.friendlyDamage), amount: -Math.round(stats.friendlyDamage * EARNINGS.friendlyDamagePenalty) },
+    ].filter(line => line.amount !== 0);
+
+    return {
+      lines,
+      total: lines.reduce((sum, line) => sum + line.amount, 0)
+    };
+  }
+
+  /**
+   * Pays every tank for the round just played and sends each player their
+   * breakdown as 'roundEarnings'.
+   * @param {number} round - The round being paid for
+   */
+  payRoundEarnings(round) {
+    const { playerManager, scoreManager, io, gameId } = this.gameInstance;
+
+    for (const [playerId, player] of Object.entries(playerManager.players)) {
+      if (player.isSpectator) continue;
+
+      const { lines, total } = this.calculateEarnings(player, scoreManager.getRoundStats(playerId));
+      player.cash = Math.max(0, player.cash + total);
+
+      if (player.currentSocketId) {
+        io.to(player.currentSocketId).emit('roundEarnings', {
+          round,
+          lines,
+          total,
+          cash: player.cash
+        });
+      }
+    }
+
+    io.to(gameId).emit('playerListUpdated', playerManager.getAllPlayers());
+  }
+}
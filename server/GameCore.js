@@ -1,8 +1,13 @@
 // server/GameCore.js
 import { GameNetworking } from './GameNetworking.js';
-import PlayerManager from './PlayerManager.js';
+import PlayerManager, { TEAMS } from './PlayerManager.js';
 import TerrainManager from './TerrainManager.js';
 import ItemManager from './ItemManager.js';
+import EconomyManager from './EconomyManager.js';
+import ScoreManager from './ScoreManager.js';
+import VolleyManager from './VolleyManager.js';
+import PracticeManager from './PracticeManager.js';
+import WaveManager from './WaveManager.js';
 import { registerPlayerSocketHandlers } from './SocketHandlers.js';
 import { processInput } from './PlayerInput.js';
 import RoundManager, { GamePhase } from './RoundManager.js';
@@ -10,7 +15,11 @@ import ArmorShieldManager from './ArmorShieldManager.js';
 import CPUPlayer from './CPUPlayer.js';
 import { checkAllPlayersReady, startReadyCountdown, cancelReadyCountdown } from './ReadyCheck.js';
 import PrecalculatedProjectileManager from './PrecalculatedProjectileManager.js';
+import SeededRandom from './SeededRandom.js';
 import { HelicopterManager } from './ClaudeHelicopterManager.js';
+import { getClientWeaponDefinitions } from './WeaponRegistry.js';
+import { DEFAULT_RULES } from './GameRules.js';
+import { THEMES } from './TerrainGenerator.js';
 
 export default class GameCore {
   constructor(
@@ -22,7 +31,8 @@ export default class GameCore {
     cpuPlayers,
     numPlayers,
     onDestroyCb = null,
-    cpuNames = []
+    cpuNames = [],
+    rules = DEFAULT_RULES
   ) {
     this.networking = new GameNetworking(io, gameId);
     this.gameId = gameId;
@@ -32,26 +42,44 @@ export default class GameCore {
     this.theme = theme;
     this.numPlayers = numPlayers;
     this.numCpuPlayers = cpuPlayers;
+    this.rules = rules;
     this.gameState = GamePhase.WAITING_FOR_PLAYERS;
     
+    // Single seeded random source for the whole game so matches can be replayed
+    this.rng = new SeededRandom(seed);
+
     // Initialize managers
-    this.terrainManager = new TerrainManager({ seed: 1, theme: 'grassland' }, true);
-    this.itemManager = new ItemManager();
+    this.terrainManager = new TerrainManager({ seed: 1, theme: 'grassland', rng: this.rng }, true);
+    this.itemManager = new ItemManager(rules.starterItems);
     this.playerManager = new PlayerManager(this.networking.io, this.terrainManager, this.itemManager, gameId, this);
-    this.helicopterManager = new HelicopterManager(this.networking.io, this.gameId, this.terrainManager);
+    this.helicopterManager = new HelicopterManager(this.networking.io, this.gameId, this.terrainManager, {
+      rng: this.rng,
+      maxHelicopters: rules.maxHelicopters
+    });
     this.projectileManager = new PrecalculatedProjectileManager(
       this.networking.io,
       this.gameId,
       this.terrainManager,
       this.playerManager,
-      this.helicopterManager
+      this.helicopterManager,
+      this.rng,
+      rules
     );
-    this.roundManager = new RoundManager(this, totalRounds);
+    this.roundManager = new RoundManager(this, totalRounds, rules.shoppingDuration);
+    this.scoreManager = new ScoreManager(this);
+    this.economyManager = new EconomyManager(this);
+    this.volleyManager = new VolleyManager(this);
+    this.practiceManager = new PracticeManager(this);
+    this.waveManager = new WaveManager(this);
+    this.projectileManager.scoreManager = this.scoreManager;
+    if (rules.practice) {
+      this.practiceManager.stockItems(this.itemManager);
+    }
 
     // Timer and state management
     this.readyCheckTimer = null;
     this.isProcessingTurnChange = false;
-    this.turnChangeDelay = 4000;
+    this.turnChangeDelay = rules.turnChangeDelay;
     this.lastUpdateTime = Date.now();
     this.updateInterval = 1000 / 200;
     this.emptyGameTimer = null;
@@ -94,7 +122,7 @@ export default class GameCore {
       return this.getRandomCpuName();
     }
     
-    const randomName = availableNames[Math.floor(Math.random() * availableNames.length)];
+    const randomName = this.rng.pick(availableNames);
     this.usedCpuNames.add(randomName);
     return randomName;
   }
@@ -105,7 +133,7 @@ export default class GameCore {
     }
 
     const dummySocket = {
-      id: `cpu_${Date.now()}_${Math.random()}`,
+      id: `cpu_${Date.now()}_${this.rng.next()}`,
       join: () => {},
       emit: () => {}
     };
@@ -119,6 +147,7 @@ export default class GameCore {
     cpuPlayer.isOnline = true;
     cpuPlayer.isNewlyCreated = true;
     cpuPlayer.setName(cpuName);
+    cpuPlayer.cash = this.rules.startingCash;
 
     if (this.itemManager) {
       const starterItems = this.itemManager.getStarterItems();
@@ -130,10 +159,11 @@ export default class GameCore {
       });
     }
 
+    cpuPlayer.team = this.playerManager.pickTeam();
     try {
-      cpuPlayer.setColor(this.playerManager.getUniqueColor());
+      cpuPlayer.setColor(this.playerManager.getUniqueColor(cpuPlayer.team));
     } catch (error) {
-      cpuPlayer.setColor(Math.random() * 0xffffff);
+      cpuPlayer.setColor(this.rng.next() * 0xffffff);
     }
 
     this.playerManager.players[userId] = cpuPlayer;
@@ -164,6 +194,18 @@ export default class GameCore {
     this.broadcastLobbyInfo();
   }
 
+  /**
+   * A player asked to switch teams in the waiting room.
+   * @returns {string|null} Why the switch was refused, for the player's socket
+   */
+  setPlayerTeam(userId, team) {
+    const error = this.playerManager.setPlayerTeam(userId, team);
+    if (!error) {
+      this.broadcastLobbyInfo();
+    }
+    return error;
+  }
+
   addPlayer(socket, playerName, isSpectator = false) {
     const userId = socket.playerId || this.extractPlayerIdFromCookie(socket);
     
@@ -287,12 +329,20 @@ export default class GameCore {
       gameState: this.gameState,
       currentRound: this.roundManager.currentRound,
       totalRounds: this.roundManager.totalRounds,
+      wind: this.playerManager.turnManager.wind,
+      weapons: getClientWeaponDefinitions(),
+      rules: this.rules,
+      teams: TEAMS.slice(0, this.rules.teams).map(team => team.name),
     });
+    if (this.rules.coop) {
+      socketWrapper.emit('waveUpdate', this.waveManager.getState());
+    }
 
     socketWrapper.emit('turnUpdate', {
       currentPlayerId: this.playerManager.currentPlayer,
       turnTimeRemaining: this.playerManager.getTimeLeft(),
       turnStartTime: this.playerManager.turnManager.turnStartTime,
+      wind: this.playerManager.turnManager.wind,
     });
   
 
@@ -370,18 +420,33 @@ if (this.helicopterManager) {
 
   // Updated resetForNextRound using asynchronous terrain generation (chunking)
   async resetForNextRound() {
-    const themes = ['grassland', 'arctic', 'desert'];
-    const randomTheme = themes[Math.floor(Math.random() * themes.length)];
+    const randomTheme = this.rng.pick(THEMES);
+    await this.generateTerrain(this.seed * 10, this.theme === 'random' ? randomTheme : this.theme);
 
+    this.playerManager.resetPlayersForNextRound();
+    this.broadcastLobbyInfo();
+  }
+
+  /**
+   * Replace the terrain with a freshly generated one and send it, with its
+   * foliage, to everyone in the game. Tanks are left where they are.
+   * @param {number} seed
+   * @param {string} theme - One of THEMES
+   */
+  async generateTerrain(seed, theme) {
     this.terrainManager = new TerrainManager({
-      seed: this.seed * 10,
-      theme: this.theme === 'random' ? randomTheme : this.theme,
+      seed,
+      theme,
+      rng: this.rng,
     });
     
     // Await the asynchronous terrain generation.
     this.terrainManager.terrainData = await this.terrainManager.generator.generate();
 
-    this.helicopterManager.start();
+    // Co-op defense flies its own waves of helicopters (see WaveManager)
+    if (!this.rules.coop) {
+      this.helicopterManager.start();
+    }
     
     // Generate foliage spawn points based on the newly generated terrain.
     this.terrainManager.foliageSpawnPoints = this.terrainManager.makeFoliageSpawnPoints({
@@ -406,15 +471,64 @@ if (this.helicopterManager) {
       terrain: this.terrainManager.getTerrainData(),
     });
     this.networking.io.to(this.gameId).emit('foliagePoints', this.terrainManager.foliageSpawnPoints);
-
-    this.playerManager.resetPlayersForNextRound();
-    this.broadcastLobbyInfo();
   }
 
   processPlayerInput(userId, input) {
     processInput(userId, input, this);
   }
 
+  /**
+   * Called by a weapon once its shot is launched: after `delay` ms the round
+   * is checked and, if it goes on, the next player's turn starts. Shots in a
+   * volley only hold the volley open that long; it moves on by itself.
+   * Practice games have no turns to change: the player may fire again as
+   * soon as the shot has played out. Tanks under water drown as the turn
+   * changes; in co-op defense the helicopters make their attack run first.
+   * @param {number} delay - ms until the turn changes
+   * @param {Function} [onTurnEnd] - Runs just before the turn changes
+   * @returns {Timeout|null} The pending turn change, so it can be rescheduled
+   */
+  endTurnAfter(delay, onTurnEnd = null) {
+    if (this.volleyManager.isResolving) {
+      this.volleyManager.holdFor(delay);
+      return null;
+    }
+    if (this.rules.practice) {
+      return setTimeout(() => {
+        if (this._isDestroyed) return;
+        onTurnEnd?.();
+        this.practiceManager.shotSettled();
+      }, Math.max(0, delay - this.turnChangeDelay));
+    }
+
+    return setTimeout(async () => {
+      if (this._isDestroyed) return;
+      onTurnEnd?.();
+      if (this.rules.coop) {
+        await this.waveManager.afterTurn();
+        if (this._isDestroyed) return;
+      }
+      this.projectileManager.drownTanks();
+      if (!(await this.roundManager.checkRoundOver())) {
+        this.playerManager.advanceTurn();
+        this.playerManager.currentPlayer = this.playerManager.turnManager.getCurrentPlayerId();
+        this.playerManager.currentPlayerHasFired = false;
+      }
+    }, delay);
+  }
+
+  /**
+   * End the current turn without a shot, as when it runs out: everything
+   * that happens between turns still happens before the next one starts.
+   */
+  passTurn() {
+    if (this.gameState !== GamePhase.ROUND_IN_PROGRESS || this.playerManager.currentPlayerHasFired) return;
+
+    this.playerManager.stopTurnTimer();
+    this.playerManager.currentPlayerHasFired = true;
+    this.endTurnAfter(0);
+  }
+
   broadcastGameState() {
     if (this._isDestroyed) return;
     this.networking.broadcastGameState(
@@ -466,7 +580,7 @@ if (this.helicopterManager) {
     this.clearEmptyGameTimer();
 
     this.emptyGameTimer = setTimeout(() => {
-      const hasOnlinePlayers = Object.values(this.playerManager.players).some(player => player.isOnline);
+      const hasOnlinePlayers = Object.values(this.playerManager.players).some(player => player.isOnline && !player.isDummy);
       if (!hasOnlinePlayers) {
         console.log(`[GAME INACTIVE] Game [${this.gameId}] had no active players for ${this.EMPTY_GAME_TIMEOUT}ms. Shutting down.`);
         this.destroy();
@@ -510,7 +624,8 @@ if (this.helicopterManager) {
       state: this.gameState,
       slots: slots,
       currentRound: this.roundManager.currentRound,
-      totalRounds: this.roundManager.totalRounds
+      totalRounds: this.roundManager.totalRounds,
+      rules: this.rules
     };
   }
 
@@ -539,6 +654,9 @@ if (this.helicopterManager) {
     if (this.playerManager) {
       this.playerManager.stopTurnTimer();
     }
+    this.volleyManager?.destroy();
+    this.practiceManager?.destroy();
+    this.waveManager?.destroy();
 
     // Clean up socket listeners
     if (this.networking.io) {
@@ -11,9 +11,10 @@ export default class GameInstance extends GameCore {
     cpuPlayers,
     numPlayers,
     onDestroyCb = null,
-    cpuNames = []
+    cpuNames = [],
+    rules
   ) {
-    super(io, gameId, seed, theme, totalRounds, cpuPlayers, numPlayers, onDestroyCb, cpuNames);
+    super(io, gameId, seed, theme, totalRounds, cpuPlayers, numPlayers, onDestroyCb, cpuNames, rules);
     
     this.io = this.networking.io;
   }
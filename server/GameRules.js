@@ -0,0 +1,147 @@
+// server/GameRules.js
+
+import ItemManager, { DEFAULT_STARTER_ITEMS } from './ItemManager.js';
+import { TEAMS } from './PlayerManager.js';
+
+/**
+ * Match rules a game is created with. GameCore hands each manager the
+ * values it needs; the defaults are what every game used before rules
+ * could be chosen.
+ * @typedef {Object} GameRules
+ * @property {number} turnDuration - ms a player has to take their shot.
+ * @property {number} turnChangeDelay - ms between a shot settling and the next turn.
+ * @property {number} shoppingDuration - ms of shopping before each round.
+ * @property {number} startingCash - Cash each tank joins with.
+ * @property {Array<{name: string, quantity: number}>} starterItems - Items each tank joins with.
+ * @property {number} maxHelicopters - Helicopters allowed in the air at once.
+ * @property {number} damageMultiplier - Scales all damage dealt to tanks.
+ * @property {boolean} friendlyFire - Whether your own shots can hurt you and your teammates.
+ * @property {number} maxWind - Strongest wind that can blow (horizontal acceleration, units/s^2); 0 is calm.
+ * @property {'turn'|'round'} windChange - Whether the wind shifts every turn (every volley
+ *   in simultaneous fire) or holds for a whole round.
+ * @property {number} interestRate - Share of their cash players earn after each round.
+ * @property {number} teams - How many teams the slots are split into; 0 is free-for-all.
+ * @property {'turns'|'simultaneous'} fireMode - Take turns, or all aim during one
+ *   shared window (turnDuration long) and fire together.
+ * @property {boolean} practice - A one-player sandbox with target dummies,
+ *   terrain resets, no turn timer and every item in endless supply (see PracticeManager).
+ * @property {boolean} coop - Co-op helicopter defense: everyone takes turns on one
+ *   side against waves of helicopters, one wave per round (see WaveManager).
+ */
+
+/** @type {GameRules} */
+export const DEFAULT_RULES = Object.freeze({
+  turnDuration: 40000,
+  turnChangeDelay: 4000,
+  shoppingDuration: 2000,
+  startingCash: 5000,
+  starterItems: DEFAULT_STARTER_ITEMS,
+  maxHelicopters: 5,
+  damageMultiplier: 1,
+  friendlyFire: true,
+  maxWind: 6,
+  windChange: 'turn',
+  interestRate: 0,
+  teams: 0,
+  fireMode: 'turns',
+  practice: false,
+  coop: false,
+});
+
+export const FIRE_MODES = ['turns', 'simultaneous'];
+export const WIND_CHANGES = ['turn', 'round'];
+
+// [min, max, integer] for each numeric rule
+const NUMERIC_LIMITS = {
+  turnDuration: [10000, 120000, true],
+  turnChangeDelay: [1000, 10000, true],
+  shoppingDuration: [2000, 120000, true],
+  startingCash: [0, 1000000, true],
+  maxHelicopters: [0, 10, true],
+  damageMultiplier: [0.25, 4, false],
+  maxWind: [0, 20, false],
+  interestRate: [0, 0.25, false],
+  teams: [0, TEAMS.length, true],
+};
+
+const MAX_STARTER_QUANTITY = 9999;
+
+const itemCatalog = new ItemManager();
+
+/**
+ * Checks a rules object sent with /create-game. Rules left out keep their
+ * defaults.
+ * @param {Object} [input]
+ * @returns {{rules: GameRules|null, error: string|null}}
+ */
+export function validateRules(input) {
+  if (input === undefined || input === null) {
+    return { rules: { ...DEFAULT_RULES }, error: null };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { rules: null, error: 'Rules must be an object.' };
+  }
+
+  const rules = { ...DEFAULT_RULES };
+  for (const [key, value] of Object.entries(input)) {
+    if (!(key in DEFAULT_RULES)) {
+      return { rules: null, error: `Unknown rule "${key}".` };
+    }
+
+    if (key in NUMERIC_LIMITS) {
+      const [min, max, integer] = NUMERIC_LIMITS[key];
+      if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+        return { rules: null, error: `Rule "${key}" must be ${integer ? 'a whole number' : 'a number'}.` };
+      }
+      if (value < min || value > max) {
+        return { rules: null, error: `Rule "${key}" must be between ${min} and ${max}.` };
+      }
+      if (key === 'teams' && value === 1) {
+        return { rules: null, error: 'A team game needs at least 2 teams.' };
+      }
+    } else if (key === 'friendlyFire' || key === 'practice' || key === 'coop') {
+      if (typeof value !== 'boolean') {
+        return { rules: null, error: `Rule "${key}" must be true or false.` };
+      }
+    } else if (key === 'fireMode') {
+      if (!FIRE_MODES.includes(value)) {
+        return { rules: null, error: `Rule "fireMode" must be one of: ${FIRE_MODES.join(', ')}.` };
+      }
+    } else if (key === 'windChange') {
+      if (!WIND_CHANGES.includes(value)) {
+        return { rules: null, error: `Rule "windChange" must be one of: ${WIND_CHANGES.join(', ')}.` };
+      }
+    } else if (key === 'starterItems') {
+      const error = checkStarterItems(value);
+      if (error) return { rules: null, error };
+      rules.starterItems = value.map(({ name, quantity }) => ({ name, quantity }));
+      continue;
+    }
+
+    rules[key] = value;
+  }
+
+  if (rules.coop && (rules.teams > 0 || rules.fireMode !== 'turns' || rules.practice)) {
+    return { rules: null, error: 'Co-op defense puts everyone on one side taking turns, without teams, simultaneous fire or practice.' };
+  }
+  if (rules.practice && (rules.teams > 0 || rules.fireMode !== 'turns')) {
+    return { rules: null, error: 'Practice games are played alone, without teams or simultaneous fire.' };
+  }
+
+  return { rules, error: null };
+}
+
+function checkStarterItems(items) {
+  if (!Array.isArray(items)) {
+    return 'Rule "starterItems" must be a list of { name, quantity }.';
+  }
+  for (const entry of items) {
+    if (!entry || typeof entry.name !== 'string' || !itemCatalog.getItemByName(entry.name)) {
+      return `Unknown starter item "${entry?.name}".`;
+    }
+    if (!Number.isInteger(entry.quantity) || entry.quantity < 1 || entry.quantity > MAX_STARTER_QUANTITY) {
+      return `Starter item "${entry.name}" needs a quantity between 1 and ${MAX_STARTER_QUANTITY}.`;
+    }
+  }
+  return null;
+}
@@ -1,5 +1,7 @@
 // server/ItemManager.js
 
+import { getAllWeaponDefinitions } from './WeaponRegistry.js';
+
 /**
  * Enum-like structure to keep item categories consistent.
  */
@@ -21,121 +23,54 @@ export const ITEM_CATEGORIES = {
  * @property {string} icon - Path or identifier for the item's icon (sprite).
  */
 
+/**
+ * What every tank starts a game with, as { name, quantity } pairs.
+ */
+export const DEFAULT_STARTER_ITEMS = [
+  { name: 'Poverty Shot', quantity: 1000 },
+  { name: 'Jumping Bean', quantity: 40 },
+  { name: 'Popcorn', quantity: 40 },
+  { name: 'Heli Killer', quantity: 40 },
+  { name: 'Multi Heli Killer', quantity: 40 },
+  { name: 'Sprinkler', quantity: 40 },
+  { name: 'Pea Shooter', quantity: 12 },
+  { name: 'Bouncing Betty', quantity: 12 },
+  { name: 'Bouncing Rabbit', quantity: 12 },
+  { name: 'Volley Weapon', quantity: 102 },
+  { name: 'Cluster Weapon', quantity: 12 },
+  { name: 'Mountain Merc', quantity: 12 },
+  { name: 'Rain Of Fire', quantity: 122 },
+  { name: 'Light Armor', quantity: 1 },
+  { name: 'Heavy Armor', quantity: 1 },
+  { name: 'Shield Boost', quantity: 1 }
+];
+
 /**
  * Manages all purchasable items, their metadata, and purchase handling.
  */
 export default class ItemManager {
-  constructor() {
+  /**
+   * @param {Array<{name: string, quantity: number}>} [starterItems] - The game's starting loadout.
+   */
+  constructor(starterItems = DEFAULT_STARTER_ITEMS) {
+    this.starterItems = starterItems;
+    this.freePurchases = false; // Set for practice games, where cash is no object
+
     // ---------------------------------------------------------
     // Master list of all items in the game
     // ---------------------------------------------------------
     /** @type {GameItem[]} */
     this.items = [
       // -------------- WEAPONS ---------------
-      {
-        name: 'Poverty Shot',
-        code: 'BW01',
-        category: ITEM_CATEGORIES.WEAPON,
-        description: 'Single shot projectile with a small explosion radius.',
-        cost: 1,
-        icon: 'icons/basic_shot.png'
-      },
-      {
-        name: 'Pea Shooter',
-        code: 'MS01',
-        category: ITEM_CATEGORIES.WEAPON,
-        description: 'Several consecutive shots but with medium deviation.',
-        cost: 100,
-        icon: 'icons/basic_shot.png'
-      },
-      {
-        name: 'Bouncing Betty',
-        code: 'BB01',
-        category: ITEM_CATEGORIES.WEAPON,
-        description: 'Boing! .. Boing! .. Boing! .. Boing!',
-        cost: 300,
-        icon: 'icons/basic_shot.png'
-      },
-      {
-        name: 'Bouncing Rabbit',
-        code: 'BR01',
-        category: ITEM_CATEGORIES.WEAPON,
-        description: 'Multiplies on impact!',
-        cost: 500,
-        icon: 'icons/basic_shot.png'
-      },
-      {
-        name: 'Volley Weapon',
-        code: 'VW01',
-        category: ITEM_CATEGORIES.WEAPON,
-        description: 'Shoots a volley of projectiles with medium spread.',
-        cost: 950,
-        icon: 'icons/triple_shot.png'
-      },
-      {
-        name: 'Mountain Merc',
-        code: 'MM01',
-        category: ITEM_CATEGORIES.WEAPON,
-        description: 'One thing leads to another...',
-        cost: 900,
-        icon: 'icons/quad_shot.png'
-      },
-      {
-        name: 'Rain Of Fire',
-        code: 'RF01',
-        category: ITEM_CATEGORIES.WEAPON,
-        description: 'Rain down up to 30 shots from the carrier projectile.',
-        cost: 2300,
-        icon: 'icons/airstrike.png'
-      },
-      {
-        name: 'Cluster Weapon',
-        code: 'CW01',
-        category: ITEM_CATEGORIES.WEAPON,
-        description: 'A carrier projectile splits into multiple projectiles at the apex of flight.',
-        cost: 1250,
-        icon: 'icons/cluster_shot.png'
-      },
-      {
-        name: 'Jumping Bean',
-        code: 'JB01',
-        category: ITEM_CATEGORIES.WEAPON,
-        description: 'Damn Mexicans!',
-        cost: 1250,
-        icon: 'icons/cluster_shot.png'
-      },
-      {
-        name: 'Sprinkler',
-        code: 'SP01',
-        category: ITEM_CATEGORIES.WEAPON,
-        description: 'My sprinkler goes psh psh psh psh psh psh...',
-        cost: 1250,
-        icon: 'icons/cluster_shot.png'
-      },
-      {
-        name: 'Popcorn',
-        code: 'PC01',
-        category: ITEM_CATEGORIES.WEAPON,
-        description: 'Pop pop pop!',
-        cost: 1250,
-        icon: 'icons/cluster_shot.png'
-      },
-      {
-        name: 'Heli Killer',
-        code: 'HK01',
-        category: ITEM_CATEGORIES.WEAPON,
-        description: 'Seek and ye shall find...',
-        cost: 1250,
-        icon: 'icons/cluster_shot.png'
-      },
-      {
-        name: 'Multi Heli Killer',
-        code: 'HK02',
+      // Declared by the weapon modules themselves
+      ...getAllWeaponDefinitions().map(({ name, code, description, cost, icon }) => ({
+        name,
+        code,
         category: ITEM_CATEGORIES.WEAPON,
-        description: 'BOP BOP BOP BOP BOP',
-        cost: 1250,
-        icon: 'icons/cluster_shot.png'
-      },
+        description,
+        cost,
+        icon
+      })),
 
       // -------------- ARMOR ---------------
       {
@@ -172,6 +107,30 @@ export default class ItemManager {
         cost: 75,
         icon: 'icons/shield_boost.png'
       },
+      {
+        name: 'Deflector Shield',
+        code: 'DS01',
+        category: ITEM_CATEGORIES.CONSUMABLE,
+        description: 'Bounces incoming shells off a bubble around your tank.',
+        cost: 900,
+        icon: 'icons/shield_boost.png'
+      },
+      {
+        name: 'Force Shield',
+        code: 'FS01',
+        category: ITEM_CATEGORIES.CONSUMABLE,
+        description: 'Sets off incoming shells at the edge of its bubble.',
+        cost: 1500,
+        icon: 'icons/shield_boost.png'
+      },
+      {
+        name: 'Parachute',
+        code: 'PA01',
+        category: ITEM_CATEGORIES.CONSUMABLE,
+        description: 'Deploys automatically when the ground drops out from under you. No fall damage.',
+        cost: 150,
+        icon: 'icons/shield_boost.png'
+      },
 
       // -------------- MISC ---------------
       {
@@ -186,25 +145,7 @@ export default class ItemManager {
   }
 
   getStarterItems() {
-      // e.g., return a simple array of { name, quantity }
-      return [
-       { name: 'Poverty Shot', quantity: 1000 },
-       { name: 'Jumping Bean', quantity: 40 },
-       { name: 'Popcorn', quantity: 40 },
-       { name: 'Heli Killer', quantity: 40 },
-       { name: 'Multi Heli Killer', quantity: 40 },
-       { name: 'Sprinkler', quantity: 40 },    
-        { name: 'Pea Shooter', quantity: 12 },
-        { name: 'Bouncing Betty', quantity: 12 },
-        { name: 'Bouncing Rabbit', quantity: 12 },
-        { name: 'Volley Weapon', quantity: 102 },
-        { name: 'Cluster Weapon', quantity: 12 },
-        { name: 'Mountain Merc', quantity: 12 },
-        { name: 'Rain Of Fire', quantity: 122 },
-        { name: 'Light Armor', quantity: 1 },
-        { name: 'Heavy Armor', quantity: 1 },
-        { name: 'Shield Boost', quantity: 1 }
-      ];
+    return this.starterItems;
   }
 
   /**
@@ -304,7 +245,7 @@ export default class ItemManager {
       }
 
       // Calculate total cost
-      const totalCost = itemToPurchase.cost * qty;
+      const totalCost = this.freePurchases ? 0 : itemToPurchase.cost * qty;
 
       // Check player funds
       if (player.cash < totalCost) {
@@ -12,6 +12,8 @@ export default class Player {
         this.armor = 0;
         this.hasShield = false;
         this.shield = 0;
+        this.shieldType = null; // 'deflector' or 'force' (see SHIELD_TYPES)
+        this.team = null; // Index into TEAMS, or null in free-for-all games
         this.name = "Unknown";  
         this.color = null;
         this.cash = 5000;
@@ -21,6 +23,7 @@ export default class Player {
         this.isAlive = true;
         this.isReady = false;
         this.isSpectator = false;
+        this.isFalling = false;
     }
 
     // ----------------------------------------------------------------
@@ -63,13 +66,15 @@ export default class Player {
             health: this.health,
             armor: this.armor,
             shield: this.shield,
+            shieldType: this.shieldType,
             name: this.name,
             color: this.color,
             cash: this.cash,
             inventory: this.inventory,
             selectedWeapon: this.selectedWeapon,
             selectedItem: this.selectedItem,
-            isSpectator: this.isSpectator
+            isSpectator: this.isSpectator,
+            team: this.team
         };
     }
     
@@ -227,7 +232,9 @@ export default class Player {
          this.health = 100;
          this.armor = 0;
          this.shield = 0;
+         this.shieldType = null;
          this.turretPitch = -45;
          this.power = 20;
+         this.isFalling = false;
     }
 }
@@ -1,19 +1,7 @@
 // processInput.js
 
-import MultiShotWeapon from './weapons/MultiShotWeapon.js';
-import VolleyWeapon from './weapons/VolleyWeapon.js';
-import AirstrikeWeapon from './weapons/AirstrikeWeapon.js';
-import { MountainMercWeapon } from './weapons/MountainMerc.js';
-import ClusterWeapon from './weapons/ClusterWeapon.js';
-import { BouncingBettyWeapon } from './weapons/BouncingBetty.js';
-import BasicWeapon from './weapons/BasicWeapon.js';
-import { BouncingRabbitWeapon } from './weapons/BouncingRabbit.js';
-import { JumpingBeanWeapon } from './weapons/JumpingBean.js';
-import { SprinklerWeapon } from './weapons/SprinklerWeapon.js';
-import ArmorShieldManager from './ArmorShieldManager.js';
-import { PopcornWeapon } from './weapons/PopcornWeapon.js';
-import GuidedWeapon from './weapons/GuidedWeapon.js';
-import MultiGuidedWeapon from './weapons/MultiGuidedWeapon.js';
+import ArmorShieldManager, { SHIELD_TYPES } from './ArmorShieldManager.js';
+import { getWeaponDefinition, createWeapon } from './WeaponRegistry.js';
 
 /**
  * Process incoming input from a player (movement, firing, using an item, etc.).
@@ -28,11 +16,23 @@ export function processInput(playerId, input, gameInstance) {
     if (gameInstance.gameState !== 'ROUND_IN_PROGRESS') {
         return; 
     }
-    // Only process if it's the current player's turn and they haven't fired
-    if (
-        playerId !== gameInstance.playerManager.turnManager.getCurrentPlayerId() ||
-        gameInstance.playerManager.currentPlayerHasFired
-    ) {
+    // Detonating a carrier comes after firing, so skip the turn checks below;
+    // the projectile manager only accepts it from the player whose shot it is
+    if (input.action === 'detonate') {
+        gameInstance.projectileManager.detonate(playerId);
+        return;
+    }
+    // Only process if it's the current player's turn and they haven't fired;
+    // in simultaneous fire, anyone still aiming in the shared window. Nobody
+    // acts while practice terrain is being regenerated.
+    const volleyManager = gameInstance.volleyManager;
+    const simultaneous = gameInstance.rules.fireMode === 'simultaneous';
+    const canAct = simultaneous
+        ? volleyManager.canAim(playerId)
+        : playerId === gameInstance.playerManager.turnManager.getCurrentPlayerId() &&
+          !gameInstance.playerManager.currentPlayerHasFired &&
+          !gameInstance.practiceManager.isResettingTerrain;
+    if (!canAct) {
         console.log(playerId + ' trying input.');
         console.log('Current player is : ' + gameInstance.playerManager.currentPlayer);
         console.log('Current player has fired = ' + gameInstance.playerManager.currentPlayerHasFired);
@@ -42,115 +42,57 @@ export function processInput(playerId, input, gameInstance) {
     const tank = gameInstance.playerManager.players[playerId];
     if (!tank) return;
 
+    // Aim set during a shared window stays private until the volley fires
+    const aimChanged = () => simultaneous
+        ? gameInstance.playerManager.sendPlayerUpdate(playerId)
+        : gameInstance.playerManager.broadcastPlayerUpdate(playerId);
+
     switch (input.action) {
         case 'rotateTurret':
             tank.setTurretYaw(input.delta);
-            gameInstance.playerManager.broadcastPlayerUpdate(playerId);
+            aimChanged();
             break;
 
         case 'setTurretYaw':
             tank.newTurretYaw(input.value);
-            gameInstance.playerManager.broadcastPlayerUpdate(playerId);
+            aimChanged();
             break;
 
         case 'pitchTurret':
             tank.deltaTurretPitch(input.delta);
-            gameInstance.playerManager.broadcastPlayerUpdate(playerId);
+            aimChanged();
             break;
 
         case 'setTurretPitch':
             tank.setTurretPitch(input.value);
-            gameInstance.playerManager.broadcastPlayerUpdate(playerId);
+            aimChanged();
             break;
 
         case 'changePower':
             tank.adjustPower(input.delta);
-            gameInstance.playerManager.broadcastPlayerUpdate(playerId);
+            aimChanged();
             break;
 
         case 'setPower':
             tank.setPower(input.value);
-            gameInstance.playerManager.broadcastPlayerUpdate(playerId);
+            aimChanged();
             break;
 
         case 'fire': {
-            gameInstance.playerManager.stopTurnTimer();
+            const shot = checkShot(tank, playerId, input, gameInstance);
+            if (!shot) return;
 
-            const weaponCode = input.weaponCode;
-            if (!weaponCode) {
-                gameInstance.io.to(playerId).emit('errorMessage', 'No weapon specified.');
+            // In simultaneous fire the shot waits for everyone else's
+            if (simultaneous) {
+                volleyManager.lockIn(playerId, shot);
                 return;
             }
 
-            // Check player inventory
-            const inventoryEntry = tank.getInventory()[weaponCode];
-            if (!inventoryEntry || inventoryEntry.quantity <= 0) {
-                gameInstance.io.to(playerId).emit('errorMessage', 'You don\'t have any of that weapon left!');
-                return;
-            }
-
-            // Remove one usage from inventory
-            tank.removeItem(weaponCode, 1);
-
-            // Instantiate the correct weapon
-            let weaponInstance;
-            switch (weaponCode) {
-                case 'CW01': // ClusterWeapon
-                    weaponInstance = new ClusterWeapon(gameInstance.projectileManager);
-                    break;
-                case 'BB01': // Bouncing Betty
-                    weaponInstance = new BouncingBettyWeapon(gameInstance.projectileManager);
-                    break;
-                case 'BR01': // Bouncing Rabbit
-                    weaponInstance = new BouncingRabbitWeapon(gameInstance.projectileManager);
-                    break;
-                case 'VW01': // VolleyWeapon
-                    weaponInstance = new VolleyWeapon(gameInstance.projectileManager);
-                    break;
-                case 'MM01': // Mountain Merc
-                    weaponInstance = new MountainMercWeapon(gameInstance.projectileManager);
-                    break;
-                case 'RF01': // Airstrike
-                    weaponInstance = new AirstrikeWeapon(gameInstance.projectileManager);
-                    break;
-                case 'BW01': // BasicWeapon
-                    weaponInstance = new BasicWeapon(gameInstance.projectileManager);
-                    break;
-                    case 'MS01': // MultiShot
-                    weaponInstance = new MultiShotWeapon(gameInstance.projectileManager);
-                    break;
-                case 'JB01': // Jumping Bean
-                    weaponInstance = new JumpingBeanWeapon(gameInstance.projectileManager);
-                    break;
-                case 'SP01': // Sprinkler
-                    weaponInstance = new SprinklerWeapon(gameInstance.projectileManager);
-                    break;
-                    case 'PC01': // Popcorn
-                    weaponInstance = new PopcornWeapon(gameInstance.projectileManager);
-                    break;
-                    case 'HK01': // Heli Killer
-                    weaponInstance = new GuidedWeapon(gameInstance.projectileManager);
-                    break;
-                    case 'HK02': // Multi Heli Killer
-                    weaponInstance = new MultiGuidedWeapon(gameInstance.projectileManager);
-                    break;
-                default:
-                    gameInstance.io.to(playerId).emit('errorMessage', `Unknown weapon code: ${weaponCode}`);
-                    return;
-            }
+            gameInstance.playerManager.stopTurnTimer();
 
             // Mark that the current player has fired
             gameInstance.playerManager.currentPlayerHasFired = true;
-
-            // --------------  NEW: Get timeline and schedule it  --------------
-            // Fire the weapon, get its timeline of projectile events
-            const timelineEvents = weaponInstance.fire(tank, playerId, gameInstance);
-            if (Array.isArray(timelineEvents) && timelineEvents.length > 0) {
-                // Schedule these events to occur at the correct times
-                gameInstance.scheduleProjectileEvents(timelineEvents);
-            }
-            // -----------------------------------------------------------------
-
+            fireShot(tank, playerId, shot, gameInstance);
             break;
         }
 
@@ -167,8 +109,16 @@ export function processInput(playerId, input, gameInstance) {
                 return;
             }
 
-            // Remove one instance of the item
-            tank.removeItem(itemCode, 1);
+            // Parachutes are passive and deploy on their own during a fall
+            if (itemCode === 'PA01') {
+                gameInstance.io.to(playerId).emit('errorMessage', 'Parachutes deploy automatically when you fall.');
+                return;
+            }
+
+            // Remove one instance of the item; practice stock never runs out
+            if (!gameInstance.rules.practice) {
+                tank.removeItem(itemCode, 1);
+            }
 
             // Process the item
             switch (itemCode) {
@@ -209,12 +159,27 @@ export function processInput(playerId, input, gameInstance) {
                     ArmorShieldManager.addShield(tank, shieldValue);
                     gameInstance.io.in(gameInstance.gameId).emit('shieldAdded', {
                         playerId,
+                        shieldType: tank.shieldType,
                         amount: shieldValue,
                         totalShield: tank.shield
                     });
                     gameInstance.io.in(gameInstance.gameId).emit('playerListUpdated', gameInstance.playerManager.getAllPlayers());
                 }
                 break;
+                case 'DS01': // Deflector Shield
+                case 'FS01': // Force Shield
+                {
+                    const shieldType = Object.keys(SHIELD_TYPES).find(type => SHIELD_TYPES[type].itemCode === itemCode);
+                    ArmorShieldManager.raiseShield(tank, shieldType);
+                    gameInstance.io.in(gameInstance.gameId).emit('shieldAdded', {
+                        playerId,
+                        shieldType,
+                        amount: tank.shield,
+                        totalShield: tank.shield
+                    });
+                    gameInstance.io.in(gameInstance.gameId).emit('playerListUpdated', gameInstance.playerManager.getAllPlayers());
+                }
+                break;
 
                 // -------------- MISC ---------------
                 case 'EF01': // Extra Fuel
@@ -233,3 +198,101 @@ export function processInput(playerId, input, gameInstance) {
         }
     }
 }
+
+/**
+ * Check a fire input: the weapon exists, the player has one left and guided
+ * weapons come with a valid target. Tells the player what's wrong if not.
+ * @returns {Object|null} { weaponCode, target }
+ */
+export function checkShot(tank, playerId, input, gameInstance) {
+    const weaponCode = input.weaponCode;
+    if (!weaponCode) {
+        gameInstance.io.to(playerId).emit('errorMessage', 'No weapon specified.');
+        return null;
+    }
+
+    const definition = getWeaponDefinition(weaponCode);
+    if (!definition) {
+        gameInstance.io.to(playerId).emit('errorMessage', `Unknown weapon code: ${weaponCode}`);
+        return null;
+    }
+
+    // Guided weapons need the target the player picked
+    let target = null;
+    if (definition.targeting) {
+        target = resolveTarget(definition.targeting, input.target, playerId, gameInstance);
+        if (!target) {
+            const what = definition.targeting === 'tank' ? 'an enemy tank' : 'a spot on the ground';
+            gameInstance.io.to(playerId).emit('errorMessage', `Pick ${what} to guide the ${definition.name} to.`);
+            return null;
+        }
+    }
+
+    // Check player inventory
+    const inventoryEntry = tank.getInventory()[weaponCode];
+    if (!inventoryEntry || inventoryEntry.quantity <= 0) {
+        gameInstance.io.to(playerId).emit('errorMessage', 'You don\'t have any of that weapon left!');
+        return null;
+    }
+
+    return { weaponCode, target };
+}
+
+/**
+ * Fire a shot checkShot accepted, using up one of the weapon (except in
+ * practice games).
+ * @param {Object} shot - { weaponCode, target }
+ */
+export function fireShot(tank, playerId, shot, gameInstance) {
+    // Remove one usage from inventory
+    if (!gameInstance.rules.practice) {
+        tank.removeItem(shot.weaponCode, 1);
+    }
+
+    const weaponInstance = createWeapon(shot.weaponCode, gameInstance.projectileManager);
+
+    // --------------  NEW: Get timeline and schedule it  --------------
+    // Fire the weapon, get its timeline of projectile events
+    const timelineEvents = weaponInstance.fire(tank, playerId, gameInstance, shot.target);
+    if (Array.isArray(timelineEvents) && timelineEvents.length > 0) {
+        // Schedule these events to occur at the correct times
+        gameInstance.scheduleProjectileEvents(timelineEvents);
+    }
+    // -----------------------------------------------------------------
+}
+
+/**
+ * Check the target a guided weapon was fired with. Tank targets must be a
+ * live enemy, not a teammate; ground points are clamped to the map and dropped onto the
+ * terrain, so the client's height is never trusted.
+ * @param {'ground'|'tank'} targeting
+ * @param {Object} target - { playerId } or { x, z } from the fire input
+ * @returns {Object|null} { playerId } or { point: { x, y, z } }, null if invalid
+ */
+function resolveTarget(targeting, target, playerId, gameInstance) {
+    if (!target) return null;
+
+    if (targeting === 'tank') {
+        const player = gameInstance.playerManager.getPlayersObject()[target.playerId];
+        if (!player || !player.isAlive || player.isSpectator ||
+            gameInstance.playerManager.isFriendly(playerId, target.playerId)) {
+            return null;
+        }
+        return { playerId: target.playerId };
+    }
+
+    const x = Number(target.x);
+    const z = Number(target.z);
+    if (!Number.isFinite(x) || !Number.isFinite(z)) return null;
+
+    const { width, depth } = gameInstance.terrainManager.generator;
+    const clampedX = Math.max(-width / 2, Math.min(width / 2, x));
+    const clampedZ = Math.max(-depth / 2, Math.min(depth / 2, z));
+    return {
+        point: {
+            x: clampedX,
+            y: gameInstance.terrainManager.getHeightAtPosition(clampedX, clampedZ),
+            z: clampedZ
+        }
+    };
+}
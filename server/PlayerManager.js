@@ -2,6 +2,8 @@
 import SpawnManager from './SpawnManager.js';
 import Player from './Player.js';
 import TurnManager from './TurnManager.js';
+import { getWeaponDefinition } from './WeaponRegistry.js';
+import { GamePhase } from './RoundManager.js';
 
 
 const AVAILABLE_COLORS = [
@@ -19,6 +21,17 @@ const AVAILABLE_COLORS = [
   0x008080  // Teal
 ];
 
+/**
+ * Team names and the tints their members are coloured with, in team order.
+ * Teams never hold more than four tanks (eight slots, at least two teams).
+ */
+export const TEAMS = [
+  { name: 'Red', colors: [0xff0000, 0xff6666, 0xb30000, 0xff9999] },
+  { name: 'Blue', colors: [0x0000ff, 0x6666ff, 0x0000b3, 0x9999ff] },
+  { name: 'Green', colors: [0x00cc00, 0x66ff66, 0x008000, 0x99ff99] },
+  { name: 'Yellow', colors: [0xffff00, 0xffff80, 0xb3b300, 0xffffb3] }
+];
+
 export default class PlayerManager {
   /**
    * @param {Object} io - Socket.IO server
@@ -43,11 +56,10 @@ export default class PlayerManager {
      */
     this.currentPlayer = null;
 
-    this.spawnManager = new SpawnManager(terrainManager, this.players);
+    this.spawnManager = new SpawnManager(terrainManager, this.players, gameInstance.rng);
     this.turnManager = new TurnManager(io, gameId, this, this.gameInstance);
 
     this.turnTimer = null;
-    this.TURN_DURATION_MS = 30_000; // 30 seconds
     this.isAdvancingTurn = false;
 
     this.currentPlayerHasFired = false;
@@ -55,20 +67,23 @@ export default class PlayerManager {
 
     // Track available colors for this game instance
     this.availableColors = [...AVAILABLE_COLORS];
+    this.availableTeamColors = TEAMS.map(team => [...team.colors]);
 
   }
 
   /**
    * Get a random unused color from the available pool
+   * @param {number|null} [team] - Pick one of this team's tints instead
    * @returns {number} Random unused color
    * @throws {Error} If no colors are available
    */
-  getUniqueColor() {
-    if (this.availableColors.length === 0) {
+  getUniqueColor(team = null) {
+    const pool = team === null ? this.availableColors : this.availableTeamColors[team];
+    if (pool.length === 0) {
       throw new Error('No more unique colors available');
     }
-    const randomIndex = Math.floor(Math.random() * this.availableColors.length);
-    return this.availableColors.splice(randomIndex, 1)[0];
+    const randomIndex = this.gameInstance.rng.int(pool.length);
+    return pool.splice(randomIndex, 1)[0];
   }
 
   /**
@@ -81,6 +96,87 @@ export default class PlayerManager {
     if (AVAILABLE_COLORS.includes(color) && !this.availableColors.includes(color)) {
       this.availableColors.push(color);
     }
+    TEAMS.forEach((team, index) => {
+      const pool = this.availableTeamColors[index];
+      if (team.colors.includes(color) && !pool.includes(color)) {
+        pool.push(color);
+      }
+    });
+  }
+
+  /**
+   * @returns {number} How many teams this game is split into (0 = free-for-all)
+   */
+  getTeamCount() {
+    return this.gameInstance.rules.teams;
+  }
+
+  /**
+   * Most tanks a team may hold: the game's slots split evenly.
+   */
+  getMaxTeamSize() {
+    return Math.ceil(this.gameInstance.numPlayers / this.getTeamCount());
+  }
+
+  getTeamSize(team) {
+    return Object.values(this.players)
+      .filter(player => !player.isSpectator && player.team === team).length;
+  }
+
+  /**
+   * The team a new tank joins: whichever has the fewest members.
+   * @returns {number|null} null in free-for-all games
+   */
+  pickTeam() {
+    const teamCount = this.getTeamCount();
+    if (!teamCount) return null;
+
+    let smallest = 0;
+    for (let team = 1; team < teamCount; team++) {
+      if (this.getTeamSize(team) < this.getTeamSize(smallest)) {
+        smallest = team;
+      }
+    }
+    return smallest;
+  }
+
+  /**
+   * Moves a player to another team while the game is waiting for players,
+   * re-tinting their tank.
+   * @returns {string|null} Why the move was refused, or null if it went through
+   */
+  setPlayerTeam(userId, team) {
+    const player = this.players[userId];
+    const teamCount = this.getTeamCount();
+    if (!player || player.isSpectator) return 'Only players can pick a team.';
+    if (!teamCount) return 'This game has no teams.';
+    if (this.gameInstance.gameState !== GamePhase.WAITING_FOR_PLAYERS) return 'Teams are locked once the game starts.';
+    if (!Number.isInteger(team) || team < 0 || team >= teamCount) return 'That team does not exist.';
+    if (player.team === team) return null;
+    if (this.getTeamSize(team) >= this.getMaxTeamSize()) return `The ${TEAMS[team].name} team is full.`;
+
+    this.returnColor(player.getColor());
+    player.team = team;
+    player.setColor(this.getUniqueColor(team));
+
+    this.broadcastPlayerUpdate(userId);
+    this.io.to(this.gameId).emit('playerListUpdated', this.getAllPlayers());
+    return null;
+  }
+
+  /**
+   * Whether damage from attackerId to victimId is friendly fire: a tank
+   * hurting itself, or a teammate. In co-op defense every tank is on the
+   * same side.
+   */
+  isFriendly(attackerId, victimId) {
+    if (!attackerId) return false;
+    if (attackerId === victimId) return true;
+    const attacker = this.players[attackerId];
+    const victim = this.players[victimId];
+    if (!attacker || !victim) return false;
+    if (this.gameInstance.rules.coop) return true;
+    return attacker.team !== null && attacker.team === victim.team;
   }
 
   /**
@@ -178,6 +274,7 @@ resetPlayersForNextRound() {
     newTank.isOnline = true;
     newTank.isNewlyCreated = true;
     newTank.isSpectator = isSpectator;
+    newTank.cash = this.gameInstance.rules.startingCash;
 
   // Only give starter items to non-spectators
   if (this.itemManager && !isSpectator) {
@@ -196,10 +293,14 @@ resetPlayersForNextRound() {
   }
   newTank.setName(finalName);
 
+  if (!isSpectator) {
+    newTank.team = this.pickTeam();
+  }
+
   try {
-    newTank.setColor(this.getUniqueColor());
+    newTank.setColor(this.getUniqueColor(newTank.team));
   } catch (error) {
-    newTank.setColor(Math.random() * 0xffffff);
+    newTank.setColor(this.gameInstance.rng.next() * 0xffffff);
   }
 
   this.players[userId] = newTank;
@@ -351,6 +452,7 @@ ensureTurnIsValid() {
         isOnline: player.isOnline ?? false,
         isReady: player.isReady,
         isSpectator: player.isSpectator ?? false,
+        team: player.team,
         isCurrent: userId === this.getCurrentPlayerId()
       };
       
@@ -426,6 +528,18 @@ ensureTurnIsValid() {
     });
   }
 
+  /**
+   * Send a player's updated state to that player only.
+   */
+  sendPlayerUpdate(userId) {
+    const player = this.players[userId];
+    if (!player || !player.currentSocketId) return;
+    this.io.to(player.currentSocketId).emit('playerUpdate', {
+      id: userId,
+      state: player.getState()
+    });
+  }
+
   /**
    * Broadcast player respawn
    */
@@ -438,11 +552,13 @@ ensureTurnIsValid() {
   }
 
   /**
-   * Adjust each player's Y-position so they sit on top of the terrain
+   * Adjust each player's Y-position so they sit on top of the terrain.
+   * Tanks mid-fall are left to their timeline fall events.
    */
   adjustPositionsToTerrain() {
     const GROUND_OFFSET = 2;
     for (const [userId, tank] of Object.entries(this.players)) {
+      if (tank.isFalling) continue;
       const pos = tank.getPosition();
       const newTerrainY = this.terrainManager.getHeightAtPosition(
         pos.x,
@@ -466,7 +582,10 @@ initializeTurns() {
     .filter(([_, player]) => !player.isSpectator)
     .map(([id, _]) => id);
 
-  if (playerIds.length >= 2) {
+  // Practice is played alone, and co-op defense can be
+  const { practice, coop } = this.gameInstance.rules;
+  const minPlayers = practice || coop ? 1 : 2;
+  if (playerIds.length >= minPlayers) {
     playerIds.forEach(id => this.turnManager.addPlayer(id));
     this.turnManager.randomizeOrder();
     this.currentPlayer = this.turnManager.getCurrentPlayerId();
@@ -480,8 +599,17 @@ initializeTurns() {
 processWeaponChange(tankId, weaponCode) {
   const player = this.getPlayer(tankId);
   if (!player || player.isSpectator) return;
+  if (!getWeaponDefinition(weaponCode)) {
+    this.io.to(tankId).emit('errorMessage', `Unknown weapon code: ${weaponCode}`);
+    return;
+  }
   player.selectedWeapon = weaponCode;
-  this.broadcastPlayerUpdate(tankId);
+  // Simultaneous fire keeps weapon choices secret until the volley
+  if (this.gameInstance.rules.fireMode === 'simultaneous') {
+    this.sendPlayerUpdate(tankId);
+  } else {
+    this.broadcastPlayerUpdate(tankId);
+  }
 }
 
 /**
@@ -537,5 +665,6 @@ processItemChange(tankId, itemCode) {
     this.gameId = null;
     
     this.availableColors = [...AVAILABLE_COLORS];
+    this.availableTeamColors = TEAMS.map(team => [...team.colors]);
   }
 }
\ No newline at end of file
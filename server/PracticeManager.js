@@ -0,0 +1,312 @@
+// server/PracticeManager.js
+import Player from './Player.js';
+import { GamePhase } from './RoundManager.js';
+import { THEMES } from './TerrainGenerator.js';
+
+/**
+ * How many of every item a practice tank carries. Practice shots and items
+ * never use them up.
+ */
+export const PRACTICE_STOCK = 99;
+
+const MAX_DUMMIES = 10;
+const DUMMY_COLOR = 0xa0a0a0;
+const PATROL_DISTANCE = 25; // How far a moving dummy strays either side of where it was placed
+const PATROL_SPEED = 5;     // Units per second
+const PATROL_TICK = 200;    // ms between moving dummies' position updates
+const MAX_SEED = 999999;
+
+/**
+ * Runs practice games: one player with every item in endless supply, firing
+ * as often as they like at target dummies they place themselves, on terrain
+ * they can reset or regenerate at will. Anything knocked out, the player's
+ * own tank included, comes back once the shot that got it has played out.
+ *
+ * Moving dummies patrol back and forth across the player's line of fire.
+ * A shot's flight is worked out when it's fired, so direct hits on them are
+ * checked against where they were then; blasts catch them wherever they are
+ * when they go off.
+ */
+export default class PracticeManager {
+  /**
+   * @param {GameInstance} gameInstance - Reference to the parent game instance
+   */
+  constructor(gameInstance) {
+    this.gameInstance = gameInstance;
+    this.dummies = new Map(); // playerId -> { anchor: {x, z}, direction: {x, z}|null, offset, heading }
+    this.nextDummyNumber = 1;
+    this.patrolTimer = null;
+    this.isResettingTerrain = false;
+  }
+
+  /**
+   * Stock every item for new tanks and make the shop free.
+   * @param {ItemManager} itemManager
+   */
+  stockItems(itemManager) {
+    itemManager.starterItems = itemManager.getAllItems()
+      .map(item => ({ name: item.name, quantity: PRACTICE_STOCK }));
+    itemManager.freePurchases = true;
+  }
+
+  /**
+   * A command from the player's practice panel.
+   * @param {string} playerId
+   * @param {Object} command - { action: 'placeDummy', x, z, moving }, { action: 'clearDummies' }
+   *   or { action: 'resetTerrain', seed, theme }
+   * @returns {Promise<string|null>} Why the command was refused, for the player's socket
+   */
+  async handleCommand(playerId, command) {
+    const { rules, gameState, playerManager } = this.gameInstance;
+    if (!rules.practice) {
+      return 'That only works in practice games.';
+    }
+    if (gameState !== GamePhase.ROUND_IN_PROGRESS) {
+      return 'Wait for practice to start.';
+    }
+    const player = playerManager.players[playerId];
+    if (!player || player.isSpectator) {
+      return 'Only the player can set up the practice range.';
+    }
+
+    switch (command?.action) {
+      case 'placeDummy':
+        return this.placeDummy(command);
+      case 'clearDummies':
+        return this.clearDummies();
+      case 'resetTerrain':
+        return this.resetTerrain(command);
+      default:
+        return `Unknown practice command "${command?.action}".`;
+    }
+  }
+
+  /**
+   * Whether the player's last shot is still playing out. The range can't be
+   * cleared or rebuilt under it.
+   */
+  isShotInFlight() {
+    return this.gameInstance.playerManager.currentPlayerHasFired;
+  }
+
+  /**
+   * Put a target dummy on the ground at (x, z). It has a tank's health and
+   * takes damage like one, but never fires.
+   */
+  placeDummy({ x, z, moving }) {
+    if (this.dummies.size >= MAX_DUMMIES) {
+      return `There can be at most ${MAX_DUMMIES} dummies.`;
+    }
+    if (!Number.isFinite(Number(x)) || !Number.isFinite(Number(z))) {
+      return 'Pick a spot on the ground for the dummy.';
+    }
+
+    const { terrainManager, playerManager, io, gameId } = this.gameInstance;
+    const anchor = this.clampToMap(Number(x), Number(z));
+    const dummyId = `dummy_${this.nextDummyNumber}`;
+    const dummy = new Player(anchor.x, terrainManager.getHeightAtPosition(anchor.x, anchor.z), anchor.z);
+    dummy.currentSocketId = `cpu_${dummyId}`; // Not a human's socket (see GameCore.checkForActivePlayers)
+    dummy.isOnline = true;
+    dummy.isReady = true;
+    dummy.isDummy = true;
+    dummy.isMoving = !!moving;
+    dummy.cash = 0;
+    dummy.setName(`Dummy ${this.nextDummyNumber}`);
+    dummy.setColor(DUMMY_COLOR);
+    this.nextDummyNumber++;
+
+    playerManager.players[dummyId] = dummy;
+    this.dummies.set(dummyId, {
+      anchor,
+      direction: moving ? this.getPatrolDirection(anchor) : null,
+      offset: 0,
+      heading: 1
+    });
+
+    io.to(gameId).emit('playerJoined', {
+      id: dummyId,
+      state: dummy.getState(),
+      isPreGame: false
+    });
+    io.to(gameId).emit('playerListUpdated', playerManager.getAllPlayers());
+
+    if (moving) {
+      this.startPatrols();
+    }
+    return null;
+  }
+
+  clearDummies() {
+    if (this.isShotInFlight()) {
+      return 'Wait for your shot to land first.';
+    }
+    for (const dummyId of this.dummies.keys()) {
+      this.gameInstance.playerManager.removePlayerPermanently(dummyId);
+    }
+    this.dummies.clear();
+    this.stopPatrols();
+    return null;
+  }
+
+  /**
+   * Regenerate the terrain and stand everything back up on it. Leaving out
+   * the seed or theme keeps the current one, so an empty command just
+   * undoes every crater.
+   * @param {Object} options - { seed, theme }
+   */
+  async resetTerrain({ seed, theme }) {
+    if (this.isShotInFlight()) {
+      return 'Wait for your shot to land first.';
+    }
+    if (this.isResettingTerrain) {
+      return 'The terrain is already being reset.';
+    }
+
+    const { generator } = this.gameInstance.terrainManager;
+    const newSeed = seed === undefined || seed === null || seed === '' ? generator.seed : Number(seed);
+    if (newSeed !== generator.seed && (!Number.isInteger(newSeed) || newSeed < 1 || newSeed > MAX_SEED)) {
+      return `The seed must be a whole number from 1 to ${MAX_SEED}.`;
+    }
+    const newTheme = theme || generator.theme;
+    if (!THEMES.includes(newTheme)) {
+      return `The theme must be one of: ${THEMES.join(', ')}.`;
+    }
+
+    this.isResettingTerrain = true;
+    try {
+      await this.gameInstance.generateTerrain(newSeed, newTheme);
+    } finally {
+      this.isResettingTerrain = false;
+    }
+    if (this.gameInstance._isDestroyed) return null;
+
+    const { playerManager } = this.gameInstance;
+    for (const [playerId, player] of Object.entries(playerManager.players)) {
+      if (!player.isSpectator) {
+        this.respawn(playerId);
+      }
+    }
+    // Fresh wind to go with the fresh ground
+    playerManager.startTurnTimer();
+    this.gameInstance.io.to(this.gameInstance.gameId).emit('playerListUpdated', playerManager.getAllPlayers());
+    return null;
+  }
+
+  /**
+   * The player's shot has played out: drown anything left under water, bring
+   * back anything knocked out and let them fire again.
+   */
+  shotSettled() {
+    const { playerManager, projectileManager, io, gameId } = this.gameInstance;
+    projectileManager.drownTanks();
+    for (const [playerId, player] of Object.entries(playerManager.players)) {
+      if (!player.isSpectator && !player.isAlive) {
+        this.respawn(playerId);
+      }
+    }
+    playerManager.currentPlayerHasFired = false;
+    playerManager.turnManager.broadcastTurnUpdate();
+    io.to(gameId).emit('playerListUpdated', playerManager.getAllPlayers());
+  }
+
+  /**
+   * Stand a tank back up at full health on the ground below it, keeping the
+   * aim being practised. Dummies go back to where they were placed; the
+   * player gets a fresh spawn point if they'd be under water.
+   */
+  respawn(playerId) {
+    const { playerManager, terrainManager } = this.gameInstance;
+    const player = playerManager.players[playerId];
+    const patrol = this.dummies.get(playerId);
+
+    const { turretYaw, turretPitch, power } = player;
+    player.resetForNewRound();
+    Object.assign(player, { turretYaw, turretPitch, power });
+
+    let { x, z } = patrol ? patrol.anchor : player.getPosition();
+    let y = terrainManager.getHeightAtPosition(x, z);
+    const waterLevel = terrainManager.generator.waterLevel;
+    if (patrol) {
+      patrol.offset = 0;
+    } else if (waterLevel !== null && y < waterLevel) {
+      ({ x, z } = playerManager.spawnManager.generateSpawnPoint());
+      y = terrainManager.getHeightAtPosition(x, z);
+    }
+
+    player.setPosition({ x, y, z });
+    playerManager.broadcastPlayerRespawn(playerId);
+  }
+
+  /**
+   * Which way a moving dummy placed at `anchor` patrols: side to side as
+   * seen from the player's tank.
+   */
+  getPatrolDirection(anchor) {
+    const { playerManager } = this.gameInstance;
+    const shooter = playerManager.players[playerManager.turnManager.getCurrentPlayerId()];
+    if (!shooter) return { x: 1, z: 0 };
+
+    const from = shooter.getPosition();
+    const dx = anchor.x - from.x;
+    const dz = anchor.z - from.z;
+    const length = Math.hypot(dx, dz);
+    return length > 0 ? { x: -dz / length, z: dx / length } : { x: 1, z: 0 };
+  }
+
+  clampToMap(x, z) {
+    const { width, depth } = this.gameInstance.terrainManager.generator;
+    return {
+      x: Math.max(-width / 2, Math.min(width / 2, x)),
+      z: Math.max(-depth / 2, Math.min(depth / 2, z))
+    };
+  }
+
+  startPatrols() {
+    if (this.patrolTimer) return;
+    this.patrolTimer = setInterval(() => this.movePatrols(PATROL_TICK / 1000), PATROL_TICK);
+  }
+
+  stopPatrols() {
+    if (this.patrolTimer) {
+      clearInterval(this.patrolTimer);
+      this.patrolTimer = null;
+    }
+  }
+
+  /**
+   * Step every moving dummy along its patrol, turning back at the end of
+   * it, at the map's edge or at the water's edge.
+   * @param {number} deltaTime - Seconds since the last step
+   */
+  movePatrols(deltaTime) {
+    const { playerManager, terrainManager, _isDestroyed } = this.gameInstance;
+    if (_isDestroyed || this.isResettingTerrain) return;
+    const waterLevel = terrainManager.generator.waterLevel;
+
+    for (const [dummyId, patrol] of this.dummies) {
+      const dummy = playerManager.players[dummyId];
+      if (!patrol.direction || !dummy?.isAlive) continue;
+
+      const offset = patrol.offset + patrol.heading * PATROL_SPEED * deltaTime;
+      const wantX = patrol.anchor.x + patrol.direction.x * offset;
+      const wantZ = patrol.anchor.z + patrol.direction.z * offset;
+      const { x, z } = this.clampToMap(wantX, wantZ);
+      const y = terrainManager.getHeightAtPosition(x, z);
+      const intoWater = waterLevel !== null && y < waterLevel && dummy.position.y >= waterLevel;
+
+      if (Math.abs(offset) > PATROL_DISTANCE || x !== wantX || z !== wantZ || intoWater) {
+        patrol.heading = -patrol.heading;
+        continue;
+      }
+
+      patrol.offset = offset;
+      dummy.setPosition({ x, y, z });
+      playerManager.broadcastPlayerUpdate(dummyId);
+    }
+  }
+
+  destroy() {
+    this.stopPatrols();
+    this.dummies.clear();
+  }
+}
@@ -1,6 +1,39 @@
 import * as THREE from 'three';
 import { v4 as uuidv4 } from 'uuid';
-import ArmorShieldManager from './ArmorShieldManager.js';
+import ArmorShieldManager, { SHIELD_TYPES } from './ArmorShieldManager.js';
+import TerrainGenerator from './TerrainGenerator.js';
+import SeededRandom from './SeededRandom.js';
+import { encodeTimeline } from './TimelineCodec.js';
+import { DEFAULT_RULES } from './GameRules.js';
+
+/**
+ * Blast falloff curves. Each maps normalized distance from the blast center
+ * (0 = center, 1 = edge of aoeSize) to a damage multiplier.
+ */
+const DAMAGE_FALLOFF_CURVES = {
+  flat: () => 1,
+  linear: (t) => 1 - t,
+  quadratic: (t) => (1 - t) * (1 - t),
+  smooth: (t) => 1 - t * t * (3 - 2 * t),
+};
+
+/**
+ * Timeline order: by time, and a tank's fall ahead of anything else at the
+ * same moment so it starts alongside the blast that caused it.
+ */
+function compareTimelineEvents(a, b) {
+  return a.time - b.time || (b.type === 'tankFall') - (a.type === 'tankFall');
+}
+
+// Events finalizeTimeline adds for tanks falling, sliding or being thrown
+const TANK_MOTION_EVENTS = new Set(['tankFall', 'tankMove', 'tankLand']);
+
+// Events that use up shield energy when replayed (see _getShieldEnergy)
+const SHIELD_DRAINING_EVENTS = new Set(['projectileImpact', 'projectileBounce', 'shieldDeflect', 'shieldAbsorb']);
+
+function mergeTimelines(timelines) {
+  return timelines.flat().sort(compareTimelineEvents);
+}
 
 /**
  * Represents one projectile in the pre-calculated system.
@@ -21,9 +54,13 @@ class SimulatedProjectile {
     this.isFinal = data.isFinalProjectile || false;
     this.bounceCount = data.bounceCount || 0;
     this.doesCollide = data.doesCollide ?? true;
+    this.ignoresHelicopters = data.ignoresHelicopters ?? false; // Helicopters' own missiles fly past them
     this.craterSize = data.craterSize ?? 20;
     this.aoeSize = data.aoeSize ?? 5;
     this.baseDamage = data.baseDamage ?? 50;
+    this.damageFalloff = data.damageFalloff ?? 'linear'; // Key into DAMAGE_FALLOFF_CURVES
+    this.directHitRadius = data.directHitRadius ?? 3; // 3D distance counted as a direct hit
+    this.directHitBonus = data.directHitBonus ?? 1.5; // Damage multiplier for a direct hit
     this.explosionSize = data.explosionSize ?? 1;
     this.explosionType = data.explosionType ?? 'normal';
     this.projectileStyle = data.projectileStyle ?? 'missile';
@@ -32,6 +69,8 @@ class SimulatedProjectile {
     // Guided
     this.isGuided = data.isGuided ?? false;
     this.targetHelicopterId = data.targetHelicopterId || null;
+    this.targetPoint = data.targetPoint || null; // { x, y, z } on the ground
+    this.targetPlayerId = data.targetPlayerId || null; // Tank to home in on
     this.maxTurnRate = data.maxTurnRate ?? 0.05; // Base turn rate in radians per simulation step
     this.addedTurnRatePerSecond = data.addedTurnRatePerSecond ?? 0; // Rate of increase for turn rate
     this.guidanceDelay = data.guidanceDelay ?? 500; // ms before guidance kicks in
@@ -45,6 +84,24 @@ class SimulatedProjectile {
     this.bounceExplosion = data.bounceExplosion ?? false;
     this.bounceDamage = data.bounceDamage ?? 0;
     this.bounceCraterSize = data.bounceCraterSize ?? 0;
+
+    // On hitting water: 'explode' sinks slowly and blows up with a reduced
+    // blast on the bottom, 'fizzle' dies at the surface
+    this.waterBehavior = data.waterBehavior ?? 'explode';
+
+    // Dirt weapons: { operation, radius, ...shape options } applied to the
+    // terrain on impact (see TerrainGenerator.getShapeOffset)
+    this.terrainEffect = data.terrainEffect ?? null;
+
+    // Diggers: on first ground contact, run along under the surface for
+    // burrowDistance, carving a furrow, then surface or blow up under a tank
+    this.burrowDistance = data.burrowDistance ?? 0;
+    this.burrowDepth = data.burrowDepth ?? 1.5; // Below the surface while burrowing
+    this.burrowSpeed = data.burrowSpeed ?? 20;
+    this.burrowExitSpeed = data.burrowExitSpeed ?? 15; // Upward pop on resurfacing
+    this.tunnelWidth = data.tunnelWidth ?? 2.5;
+    this.tunnelDepth = data.tunnelDepth ?? 1.5;
+    this.hasBurrowed = false;
     
     // New parameter for controlling post-bounce power
     this.preImpactBouncePower = data.preImpactBouncePower ?? null;
@@ -54,6 +111,7 @@ class SimulatedProjectile {
     this.currentSpeed = 0;
     this.acceleration = data.acceleration ?? 30;
     this.gravity = data.gravity ?? -30;
+    this.windFactor = data.windFactor ?? 1.0; // How strongly wind pushes this projectile
 
     // Adaptive simulation properties
     this.minTimeStep = data.minTimeStep ?? 1; // Minimum simulation step in ms
@@ -83,32 +141,100 @@ class SimulatedProjectile {
  * Implements adaptive time stepping for accurate collision detection.
  */
 export default class PrecalculatedProjectileManager {
-  constructor(io, gameId, terrainManager, playerManager, helicopterManager = null) {
+  constructor(io, gameId, terrainManager, playerManager, helicopterManager = null, rng = null, rules = DEFAULT_RULES) {
     this.io = io;
     this.gameId = gameId;
     this.terrainManager = terrainManager;
     this.lastPathUpdateTime = Date.now();
     this.playerManager = playerManager;
     this.helicopterManager = helicopterManager;
+    this.rng = rng || new SeededRandom(gameId); // Game-wide random source used by weapons
+    this.rules = rules; // Damage multiplier and friendly fire
+    this.scoreManager = null; // Set by GameCore to tally damage, kills and helicopters
 
     // Simulation constants
     this.NETWORK_UPDATE_INTERVAL = 25; // ms between network updates
     this.MAX_SIMULATION_TIME = 15000; // ms maximum simulation duration
     this.COLLISION_GRACE_PERIOD = 500; // ms grace period after bounces
+    this.CRATER_SCALE = 0.2; // World-unit crater radius per point of craterSize
+
+    // Tank falling / sliding
+    this.TANK_GROUND_OFFSET = 2; // Tank origin height above the ground
+    this.TANK_FALL_GRAVITY = -30;
+    this.PARACHUTE_FALL_SPEED = 6; // Max descent speed with a parachute deployed
+    this.SAFE_FALL_HEIGHT = 3; // Drops up to this height do no damage
+    this.FALL_DAMAGE_PER_UNIT = 2; // Damage per unit dropped beyond the safe height
+    this.MAX_STABLE_SLOPE = 0.6; // Radians (~35 deg); steeper ground makes tanks slide
+    this.SLIDE_FRICTION = 4; // Horizontal deceleration while on the ground (units/s^2)
+    this.MAX_TANK_FALL_TIME = 6000; // ms cap on a single fall/slide
+
+    // Knockback from big blasts
+    this.KNOCKBACK_MIN_EXPLOSION_SIZE = 2; // Smaller explosions don't move tanks
+    this.KNOCKBACK_SPEED = 5; // Launch speed per point of explosionSize at the blast center
+    this.KNOCKBACK_LIFT = 1; // Upward launch speed relative to the outward speed
+    this.KNOCKBACK_LANDING_SPEED_KEPT = 0.3; // Fraction of horizontal speed kept on touchdown
+
+    // Water (the level comes from the terrain; null when the theme has none)
+    this.WATER_SPEED_DAMPING = 0.3; // Fraction of speed kept on splashdown
+    this.WATER_DRAG = 2.5; // Exponential velocity decay while submerged (1/s)
+    this.UNDERWATER_BLAST_SCALE = 0.5; // Blast radius and damage kept under water
+    this.DROWNING_DAMAGE = 10; // Per turn for tanks below the water line
+
+    // Beams (hitscan)
+    this.BEAM_RANGE = 400; // Max beam length
+    this.BEAM_STEP = 0.25; // Sampling step when measuring how thick a ridge is
+    this.TANK_HIT_RADIUS = 2.5; // Beam vs tank sphere around the tank origin
+    this.HELICOPTER_HIT_RADIUS = 2.5;
+
+    // Diggers
+    this.BURROW_DUST_INTERVAL = 100; // ms between projectileBurrow dust events
+
+    // Deflector and force shields
+    this.SHIELD_RADIUS = 3.6; // Bubble around the tank origin, as drawn by the client's ShieldManager
+    this.SHIELD_DEFLECT_RESTITUTION = 0.8; // Fraction of speed a deflected shell keeps
+    this.SHIELD_MIN_ENERGY_COST = 2; // Even harmless shells cost this much to stop
+
+    // Horizontal wind acceleration (units/s^2), set per turn by the TurnManager
+    this.wind = { x: 0, z: 0 };
 
     // Weapon handlers for custom impact effects
     this.weaponHandlers = new Map();
     this.onImpactCallback = null;
     this.onHelicopterImpactCallback = null;
 
+    // Craters and dirt shapes added while simulating, keyed by the timeline
+    // they belong to. The real heightfield is only changed when each impact
+    // is replayed.
+    this.timelineTerrainEdits = new WeakMap();
+
+    // Where tanks will have been moved to, for shields (see _getTankPositionAt)
+    this.tankMotionPreviews = new WeakMap();
+
     // For cleanup
     this.scheduledTimeouts = [];
+    this.eventTimeouts = new Map(); // Pending event -> timeout, so amendments can cancel it
+
+    // Carrier shots their players may still detonate (see allowDetonation)
+    this.detonations = new Map(); // playerId -> { startAt, onDetonate }
+
+    // Simultaneous fire: shots held back while a volley is gathered, then
+    // the volley that is playing, its shots and their merged timeline (see beginVolley)
+    this.volley = null;
+    this.playingVolley = null;
   }
 
   registerWeaponHandler(weaponId, callback) {
     this.weaponHandlers.set(weaponId, callback);
   }
 
+  /**
+   * Set the wind applied to all subsequently simulated projectiles.
+   * @param {{x: number, z: number}} wind - Horizontal wind acceleration
+   */
+  setWind(wind) {
+    this.wind = { x: wind?.x ?? 0, z: wind?.z ?? 0 };
+  }
+
   updatePathTime(newTime) {
     this.lastPathUpdateTime = newTime;
   }
@@ -131,38 +257,554 @@ export default class PrecalculatedProjectileManager {
   }
 
   /**
-   * Check if a movement between two points intersects with terrain
+   * Terrain height at a point as it will be at `time` in the given timeline,
+   * including craters from impacts earlier in that same timeline.
    */
-  _checkTerrainIntersection(start, end, radius) {
-    const direction = end.clone().sub(start);
-    const distance = direction.length();
-    const steps = Math.ceil(distance / radius);
-    
-    if (steps <= 1) {
-      const groundHeight = this.terrainManager.generator.getHeightAtPositionBicubic(end.x, end.z);
-      return {
-        collision: end.y <= groundHeight,
-        position: new THREE.Vector3(end.x, groundHeight, end.z)
-      };
+  _getTerrainHeight(x, z, time = Infinity, timelineEvents = null) {
+    let height = this.terrainManager.generator.getHeightAtPositionBicubic(x, z);
+    const edits = timelineEvents && this.timelineTerrainEdits.get(timelineEvents);
+    if (edits) {
+      for (const edit of edits) {
+        if (edit.time > time) continue;
+        height += TerrainGenerator.getShapeOffset(edit.operation, x - edit.x, z - edit.z, edit.radius, edit.options, height);
+      }
     }
+    return height;
+  }
 
-    direction.normalize();
-    const stepSize = distance / steps;
+  /**
+   * Most the timeline's dirt shapes can have raised any point by `time`.
+   * Added to the base terrain bounds so the DDA walk doesn't skip new mounds.
+   */
+  _getTimelineRaise(time, timelineEvents) {
+    const edits = timelineEvents && this.timelineTerrainEdits.get(timelineEvents);
+    if (!edits) return 0;
+    let raise = 0;
+    for (const edit of edits) {
+      if (edit.time <= time) raise += edit.peak;
+    }
+    return raise;
+  }
 
-    for (let i = 0; i <= steps; i++) {
-      const point = start.clone().add(direction.clone().multiplyScalar(i * stepSize));
-      const groundHeight = this.terrainManager.generator.getHeightAtPositionBicubic(point.x, point.z);
-      if (point.y <= groundHeight) {
-        return {
-          collision: true,
-          position: new THREE.Vector3(point.x, groundHeight, point.z)
-        };
+  _recordTerrainEdit(timelineEvents, edit) {
+    if (!this.timelineTerrainEdits.has(timelineEvents)) {
+      this.timelineTerrainEdits.set(timelineEvents, []);
+    }
+    // Shapes that only cut (crater, tunnel, trench) never raise anything
+    edit.peak = Math.max(0, TerrainGenerator.getShapeOffset(edit.operation, 0, 0, edit.radius, edit.options));
+    this.timelineTerrainEdits.get(timelineEvents).push(edit);
+  }
+
+  /**
+   * Water surface height for the current terrain, or null if there is none.
+   */
+  _getWaterLevel() {
+    return this.terrainManager?.generator?.waterLevel ?? null;
+  }
+
+  /**
+   * Mark an impact or bounce event as carving a crater if it hit the ground,
+   * and record it so later projectiles in the timeline collide with it.
+   */
+  _addCraterToEvent(event, timelineEvents) {
+    const radius = (event.craterSize || 0) * this.CRATER_SCALE;
+    if (radius <= 0) return;
+
+    const { x, y, z } = event.position;
+    const groundHeight = this._getTerrainHeight(x, z, event.time, timelineEvents);
+    if (y > groundHeight + radius) return; // Airburst, too high to dig
+
+    const waterLevel = this._getWaterLevel();
+    if (waterLevel !== null && y < waterLevel) return; // Water absorbs the blast
+
+    event.craterRadius = radius;
+    this._recordTerrainEdit(timelineEvents, { operation: 'crater', x, z, radius, time: event.time, event });
+  }
+
+  /**
+   * Attach a dirt weapon's terrain shape to its impact event and record it
+   * for the rest of the simulation. Tunnels and walls are oriented along the
+   * projectile's horizontal heading.
+   */
+  _addTerrainEffectToEvent(event, terrainEffect, incomingDirection, timelineEvents) {
+    const { operation, radius, ...options } = terrainEffect;
+    const heading = new THREE.Vector2(incomingDirection.x, incomingDirection.z);
+    if (heading.lengthSq() < 1e-6) heading.set(0, 1); // Straight down: pick any heading
+    heading.normalize();
+    options.direction = { x: heading.x, z: heading.y };
+
+    event.terrainEffect = { operation, radius, options };
+    const { x, z } = event.position;
+    this._recordTerrainEdit(timelineEvents, { operation, x, z, radius, options, time: event.time, event });
+  }
+
+  /**
+   * Resolve tank falls and slides caused by the timeline's terrain edits and
+   * knockback from big blasts, in timeline order, and merge their events
+   * into the timeline.
+   * Call once every projectile has been simulated, before broadcasting.
+   * @param {Array} timelineEvents - Fully simulated timeline
+   * @param {number} [after=-Infinity] - Only resolve what happens later than
+   *   this timeline time. An amendment passes its cut: everything before it
+   *   has played out already, and tanks stand where it left them.
+   * @return {Array} The same timeline, sorted, with tank events added
+   */
+  finalizeTimeline(timelineEvents, after = -Infinity) {
+    if (!this.playerManager) return timelineEvents;
+
+    const tanks = new Map();
+    for (const [userId, player] of Object.entries(this.playerManager.getPlayersObject())) {
+      // Moving practice dummies keep to the ground on their own (see PracticeManager)
+      if (!player.isAlive || player.isSpectator || player.isMoving) continue;
+      tanks.set(userId, this._getTankState(player));
+    }
+    const blasts = timelineEvents.filter(event => this._isKnockbackBlast(event));
+    const tankEvents = this._resolveTankMotion(timelineEvents, tanks, blasts, after);
+
+    if (tankEvents.length > 0) {
+      timelineEvents.push(...tankEvents);
+      timelineEvents.sort(compareTimelineEvents);
+    }
+    return timelineEvents;
+  }
+
+  _getTankState(player) {
+    return {
+      position: player.getPosition(),
+      busyUntil: -Infinity, // Still falling from an earlier crater until this time
+      parachutes: player.getItemCount('PA01')
+    };
+  }
+
+  _isKnockbackBlast(event) {
+    return event.type === 'projectileImpact' && event.explosionSize >= this.KNOCKBACK_MIN_EXPLOSION_SIZE;
+  }
+
+  /**
+   * Falls, slides and throws the timeline's terrain edits and knockback
+   * blasts cause, for causes later than `after` and up to `until`, in time
+   * order. Each tank only moves itself, so any subset of them can be
+   * resolved on its own.
+   * @param {Array} timelineEvents
+   * @param {Map<string, Object>} tanks - userId -> state from _getTankState, updated in place
+   * @param {Array} blasts - The timeline's knockback blasts
+   * @param {number} after
+   * @param {number} [until=Infinity]
+   * @return {Array} tankFall, tankMove and tankLand events
+   */
+  _resolveTankMotion(timelineEvents, tanks, blasts, after, until = Infinity) {
+    const edits = this.timelineTerrainEdits.get(timelineEvents) || [];
+
+    // Falls still under way at the cut finish where they were going to
+    for (const event of timelineEvents) {
+      const tank = event.type === 'tankLand' && event.time > after && tanks.get(event.playerId);
+      if (tank && event.time > tank.busyUntil) {
+        tank.position = new THREE.Vector3(event.position.x, event.position.y, event.position.z);
+        tank.busyUntil = event.time;
+      }
+    }
+
+    // A blast throws tanks before its crater can make them fall
+    const causes = [
+      ...blasts.map(blast => ({ time: blast.time, blast })),
+      ...edits.map(edit => ({ time: edit.time, edit }))
+    ].filter(cause => cause.time > after && cause.time <= until)
+      .sort((a, b) => a.time - b.time || !!b.blast - !!a.blast);
+
+    const tankEvents = [];
+    for (const { time, blast, edit } of causes) {
+      const reach = edit && TerrainGenerator.getShapeReach(edit.operation, edit.radius, edit.options);
+      for (const [userId, tank] of tanks) {
+        if (tank.busyUntil > time) continue;
+
+        let knockback = null;
+        if (blast) {
+          if (userId === blast.shieldedPlayerId) continue;
+          knockback = this._getKnockbackVelocity(blast, tank.position);
+          if (!knockback) continue;
+        } else {
+          const dx = tank.position.x - edit.x;
+          const dz = tank.position.z - edit.z;
+          if (Math.sqrt(dx * dx + dz * dz) > reach) continue;
+        }
+
+        const fall = this._simulateTankFall(userId, tank, time, timelineEvents, knockback && {
+          velocity: knockback,
+          attackerId: blast.playerId
+        });
+        if (fall) {
+          tankEvents.push(...fall);
+          tank.busyUntil = fall[fall.length - 1].time;
+        }
+      }
+    }
+    return tankEvents;
+  }
+
+  /**
+   * Where a tank will be at `time` in a timeline still being simulated, once
+   * the craters and blasts simulated so far have moved it the way
+   * finalizeTimeline will. Worked out again only when the simulation adds
+   * another crater or blast.
+   * @return {THREE.Vector3}
+   */
+  _getTankPositionAt(userId, player, time, timelineEvents) {
+    const motion = this._getTankMotion(userId, player, this._scanTankMotionPreview(timelineEvents), timelineEvents);
+    return this._getMotionPositionAt(motion, time);
+  }
+
+  _getMotionPositionAt(motion, time) {
+    let position = motion.start;
+    for (const event of motion.events) {
+      if (event.time > time) break;
+      position = event.position;
+    }
+    return new THREE.Vector3(position.x, position.y, position.z);
+  }
+
+  /**
+   * The timeline's preview, brought up to date with the events simulated
+   * since it was last looked at.
+   */
+  _scanTankMotionPreview(timelineEvents) {
+    let preview = this.tankMotionPreviews.get(timelineEvents);
+    if (!preview || timelineEvents[preview.scanned - 1] !== preview.lastScanned) {
+      preview = this._startTankMotionPreview(timelineEvents, preview?.after);
+    }
+    // Timelines only grow while they are simulated, so only new events need a look
+    for (; preview.scanned < timelineEvents.length; preview.scanned++) {
+      const event = timelineEvents[preview.scanned];
+      if (this._isKnockbackBlast(event)) preview.blasts.push(event);
+      if (SHIELD_DRAINING_EVENTS.has(event.type)) preview.shieldDrains.push(event);
+    }
+    preview.lastScanned = timelineEvents[preview.scanned - 1];
+    return preview;
+  }
+
+  /**
+   * A tank's start position and the tank events the timeline's craters and
+   * blasts so far will give it, kept until another crater or blast comes in
+   * that reaches somewhere along the way.
+   */
+  _getTankMotion(userId, player, preview, timelineEvents) {
+    const edits = this.timelineTerrainEdits.get(timelineEvents) || [];
+    let motion = preview.motions.get(userId);
+    if (motion && motion.edits === edits && motion.editCount <= edits.length &&
+        !this._reachesMotion(motion, edits.slice(motion.editCount), preview.blasts.slice(motion.blastCount))) {
+      motion.editCount = edits.length;
+      motion.blastCount = preview.blasts.length;
+    } else {
+      const tank = this._getTankState(player);
+      const start = tank.position.clone();
+      // Moving practice dummies keep to the ground on their own (see PracticeManager)
+      const events = player.isMoving ? [] : [
+        // An amendment's falls still under way at the cut
+        ...timelineEvents.filter(event =>
+          TANK_MOTION_EVENTS.has(event.type) && event.playerId === userId && event.time > preview.after
+        ),
+        ...this._resolveTankMotion(timelineEvents, new Map([[userId, tank]]), preview.blasts, preview.after)
+      ].sort(compareTimelineEvents);
+      motion = { start, events, edits, editCount: edits.length, blastCount: preview.blasts.length };
+      preview.motions.set(userId, motion);
+    }
+    return motion;
+  }
+
+  /**
+   * Whether any of these craters or blasts reaches a tank at its start or
+   * anywhere it goes, and so could change where it goes.
+   */
+  _reachesMotion(motion, edits, blasts) {
+    const positions = [motion.start, ...motion.events.map(event => event.position)];
+    return edits.some(edit => {
+      const reach = TerrainGenerator.getShapeReach(edit.operation, edit.radius, edit.options);
+      return positions.some(p => Math.hypot(p.x - edit.x, p.z - edit.z) <= reach);
+    }) || blasts.some(blast => positions.some(p => this._getKnockbackVelocity(blast, p)));
+  }
+
+  /**
+   * @param {Array} timelineEvents
+   * @param {number} [after=-Infinity] - An amendment's cut; tanks already stand as it left them
+   */
+  _startTankMotionPreview(timelineEvents, after = -Infinity) {
+    const preview = {
+      after,
+      scanned: 0,
+      lastScanned: undefined,
+      blasts: [],
+      shieldDrains: [], // Impacts, bounces and shield hits, in the order they were simulated
+      motions: new Map(),
+      shieldCharges: new Map() // userId -> { motion, charged, charges } (see _getShieldEnergy)
+    };
+    this.tankMotionPreviews.set(timelineEvents, preview);
+    return preview;
+  }
+
+  /**
+   * Drowning damage for every tank below the water line. Called once at
+   * each turn change, whether or not anyone fired that turn.
+   */
+  drownTanks() {
+    const waterLevel = this._getWaterLevel();
+    if (waterLevel === null || !this.playerManager) return;
+
+    for (const [userId, player] of Object.entries(this.playerManager.getPlayersObject())) {
+      if (!player.isAlive || player.isSpectator) continue;
+      const { x, y, z } = player.getPosition();
+      if (y >= waterLevel) continue;
+
+      this.io.to(this.gameId).emit('tankDrown', { playerId: userId, position: { x, y, z } });
+      this._applyPlayerDamage(userId, player, this.DROWNING_DAMAGE, { isDrowning: true });
+    }
+  }
+
+  /**
+   * Launch velocity for a tank caught in a big blast: outward from the blast
+   * center plus lift, fading to nothing at the edge of the blast.
+   * @return {THREE.Vector3|null} null if the tank is out of reach
+   */
+  _getKnockbackVelocity(blast, tankPosition) {
+    const dx = tankPosition.x - blast.position.x;
+    const dz = tankPosition.z - blast.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    if (!(distance < blast.aoeSize)) return null;
+
+    const speed = this.KNOCKBACK_SPEED * blast.explosionSize * (1 - distance / blast.aoeSize);
+    const outward = distance > 1e-6
+      ? new THREE.Vector3(dx / distance, 0, dz / distance)
+      : new THREE.Vector3(); // Dead center: straight up
+    return outward.multiplyScalar(speed).setY(speed * this.KNOCKBACK_LIFT);
+  }
+
+  /**
+   * Simulate one tank dropping and sliding on the terrain as it is at each
+   * moment of the timeline. Updates tank.position / tank.parachutes.
+   * @param {{velocity: THREE.Vector3, attackerId: string}} [knockback] - Throw the tank instead of letting it drop
+   * @return {Array|null} tankFall, tankMove... and tankLand events, or null if the tank stays put
+   */
+  _simulateTankFall(playerId, tank, startTime, timelineEvents, knockback = null) {
+    const position = tank.position.clone();
+    const velocity = knockback ? knockback.velocity.clone() : new THREE.Vector3();
+    const groundAt = (x, z, time) =>
+      this._getTerrainHeight(x, z, time, timelineEvents) + this.TANK_GROUND_OFFSET;
+
+    const initialDrop = position.y - groundAt(position.x, position.z, startTime);
+    if (initialDrop < -0.05) return null; // Buried under dirt: held in place
+    if (!knockback) {
+      const initialNormal = this._calculateTerrainNormal(position, startTime, timelineEvents);
+      const initiallySteep = Math.acos(Math.min(1, initialNormal.y)) > this.MAX_STABLE_SLOPE;
+      if (initialDrop <= 0.05 && !initiallySteep) return null;
+    }
+
+    // Thrown tanks count the climb to the top of the arc as part of the drop
+    const rise = Math.max(0, velocity.y) ** 2 / (-2 * this.TANK_FALL_GRAVITY);
+    const parachute = tank.parachutes > 0 && initialDrop + rise > this.SAFE_FALL_HEIGHT;
+    if (parachute) tank.parachutes--;
+
+    const knockbackInfo = knockback ? { knockback: true, attackerId: knockback.attackerId } : {};
+    const events = [{
+      type: 'tankFall',
+      time: startTime,
+      playerId,
+      position: { x: position.x, y: position.y, z: position.z },
+      parachute,
+      ...knockbackInfo
+    }];
+
+    const stepMs = this.NETWORK_UPDATE_INTERVAL;
+    const dt = stepMs / 1000;
+    const halfWidth = this.terrainManager.generator.width / 2;
+    const halfDepth = this.terrainManager.generator.depth / 2;
+    let time = startTime;
+    let fallStartY = position.y;
+    let airborne = !!knockback || initialDrop > 0.05;
+    let damage = 0;
+    let largestDrop = 0;
+
+    while (time - startTime < this.MAX_TANK_FALL_TIME) {
+      time += stepMs;
+
+      if (airborne) {
+        velocity.y += this.TANK_FALL_GRAVITY * dt;
+        if (parachute) velocity.y = Math.max(velocity.y, -this.PARACHUTE_FALL_SPEED);
+        position.addScaledVector(velocity, dt);
+        position.x = Math.max(-halfWidth, Math.min(halfWidth, position.x));
+        position.z = Math.max(-halfDepth, Math.min(halfDepth, position.z));
+        fallStartY = Math.max(fallStartY, position.y);
+
+        const ground = groundAt(position.x, position.z, time);
+        if (position.y <= ground) {
+          const drop = fallStartY - ground;
+          largestDrop = Math.max(largestDrop, drop);
+          if (!parachute && drop > this.SAFE_FALL_HEIGHT) {
+            damage += (drop - this.SAFE_FALL_HEIGHT) * this.FALL_DAMAGE_PER_UNIT;
+          }
+          position.y = ground;
+          velocity.y = 0;
+          if (knockback) {
+            velocity.x *= this.KNOCKBACK_LANDING_SPEED_KEPT;
+            velocity.z *= this.KNOCKBACK_LANDING_SPEED_KEPT;
+          }
+          airborne = false;
+        }
+      } else {
+        const normal = this._calculateTerrainNormal(position, time, timelineEvents);
+        const slope = Math.acos(Math.min(1, normal.y));
+        const downhill = new THREE.Vector3(normal.x, 0, normal.z);
+
+        // Gravity pulls the tank downhill on slopes it can't grip
+        if (slope > this.MAX_STABLE_SLOPE && downhill.lengthSq() > 1e-6) {
+          downhill.normalize();
+          velocity.addScaledVector(downhill, -this.TANK_FALL_GRAVITY * Math.sin(slope) * dt);
+        }
+
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+        const slowedSpeed = Math.max(0, speed - this.SLIDE_FRICTION * dt);
+        if (speed > 0) {
+          velocity.x *= slowedSpeed / speed;
+          velocity.z *= slowedSpeed / speed;
+        }
+        if (slowedSpeed < 0.05 && slope <= this.MAX_STABLE_SLOPE) break; // At rest
+
+        position.x = Math.max(-halfWidth, Math.min(halfWidth, position.x + velocity.x * dt));
+        position.z = Math.max(-halfDepth, Math.min(halfDepth, position.z + velocity.z * dt));
+
+        const ground = groundAt(position.x, position.z, time);
+        if (ground < position.y - 0.5) {
+          // Slid off a ledge
+          airborne = true;
+          fallStartY = position.y;
+        } else {
+          position.y = ground;
+        }
+      }
+
+      events.push({
+        type: 'tankMove',
+        time,
+        playerId,
+        position: { x: position.x, y: position.y, z: position.z }
+      });
+    }
+
+    tank.position.copy(position);
+    events.push({
+      type: 'tankLand',
+      time,
+      playerId,
+      position: { x: position.x, y: position.y, z: position.z },
+      fallHeight: largestDrop,
+      damage: Math.round(damage),
+      parachute,
+      ...knockbackInfo
+    });
+    return events;
+  }
+
+  /**
+   * Check if a movement between two points intersects with terrain.
+   *
+   * Walks the heightfield cells under the segment (DDA) and skips any cell
+   * whose height bound lies below the segment there; only the remaining cells
+   * are sampled, and the first crossing found is refined by bisection.
+   * Craters only lower the ground; dirt added earlier in the timeline is
+   * covered by raising every bound by the most it could have added.
+   */
+  _checkTerrainIntersection(start, end, radius, time = Infinity, timelineEvents = null) {
+    const generator = this.terrainManager.generator;
+    const cellMaxHeights = generator.getCellMaxHeights();
+    const n = generator.segments;
+    const raise = this._getTimelineRaise(time, timelineEvents) + 1e-6;
+
+    // Segment in grid space, parameterised by t in [0, 1]
+    const gx0 = ((start.x + generator.width / 2) / generator.width) * n;
+    const gz0 = ((start.z + generator.depth / 2) / generator.depth) * n;
+    const dgx = ((end.x + generator.width / 2) / generator.width) * n - gx0;
+    const dgz = ((end.z + generator.depth / 2) / generator.depth) * n - gz0;
+    const dy = end.y - start.y;
+
+    let cellX = Math.floor(gx0);
+    let cellZ = Math.floor(gz0);
+    const stepX = Math.sign(dgx);
+    const stepZ = Math.sign(dgz);
+    const tDeltaX = stepX !== 0 ? 1 / Math.abs(dgx) : Infinity;
+    const tDeltaZ = stepZ !== 0 ? 1 / Math.abs(dgz) : Infinity;
+    let tMaxX = stepX > 0 ? (cellX + 1 - gx0) * tDeltaX : stepX < 0 ? (gx0 - cellX) * tDeltaX : Infinity;
+    let tMaxZ = stepZ > 0 ? (cellZ + 1 - gz0) * tDeltaZ : stepZ < 0 ? (gz0 - cellZ) * tDeltaZ : Infinity;
+    let tEnter = 0;
+
+    while (true) {
+      const tExit = Math.min(tMaxX, tMaxZ, 1);
+
+      // Points off the map sample the clamped edge, so use the edge cell bound
+      const boundX = Math.max(0, Math.min(n - 1, cellX));
+      const boundZ = Math.max(0, Math.min(n - 1, cellZ));
+      const lowestY = start.y + dy * (dy < 0 ? tExit : tEnter);
+      if (lowestY <= cellMaxHeights[boundZ * n + boundX] + raise) {
+        const hit = this._findTerrainCrossing(start, end, tEnter, tExit, radius, time, timelineEvents);
+        if (hit) return hit;
+      }
+
+      if (tExit >= 1) break;
+      if (tMaxX < tMaxZ) {
+        cellX += stepX;
+        tEnter = tMaxX;
+        tMaxX += tDeltaX;
+      } else {
+        cellZ += stepZ;
+        tEnter = tMaxZ;
+        tMaxZ += tDeltaZ;
       }
     }
 
     return { collision: false, position: null };
   }
 
+  /**
+   * Sample the segment between parameters t0 and t1 at most `radius` apart
+   * and bisect the first above-to-below transition down to a precise hit.
+   * @returns {{collision: boolean, position: THREE.Vector3}|null}
+   */
+  _findTerrainCrossing(start, end, t0, t1, radius, time, timelineEvents) {
+    const length = start.distanceTo(end) * (t1 - t0);
+    const steps = Math.max(1, Math.ceil(length / radius));
+    const point = new THREE.Vector3();
+    const isBelow = (t) => {
+      point.lerpVectors(start, end, t);
+      return point.y <= this._getTerrainHeight(point.x, point.z, time, timelineEvents);
+    };
+
+    let aboveT = null;
+    for (let i = 0; i <= steps; i++) {
+      let t = t0 + (t1 - t0) * (i / steps);
+      if (!isBelow(t)) {
+        aboveT = t;
+        continue;
+      }
+
+      if (aboveT !== null) {
+        // Exact refinement: bisect until the bracket is a hundredth of a unit
+        let belowT = t;
+        const tolerance = 0.01 / Math.max(start.distanceTo(end), 1e-6);
+        while (belowT - aboveT > tolerance) {
+          const mid = (aboveT + belowT) / 2;
+          if (isBelow(mid)) belowT = mid;
+          else aboveT = mid;
+        }
+        t = belowT;
+      }
+
+      point.lerpVectors(start, end, t);
+      const groundHeight = this._getTerrainHeight(point.x, point.z, time, timelineEvents);
+      return {
+        collision: true,
+        position: new THREE.Vector3(point.x, groundHeight, point.z)
+      };
+    }
+
+    return null;
+  }
+
   /**
    * Simulate multiple projectiles and return a timeline of events
    */
@@ -183,6 +825,133 @@ export default class PrecalculatedProjectileManager {
     return timelineEvents;
   }
 
+  /**
+   * Fire a straight, instant beam and return its timeline: a single
+   * beamFire event at time 0 holding the beam's path and what it hit.
+   *
+   * The beam stops at the first tank, helicopter or terrain it meets. With
+   * pierceDepth it passes through ridges thinner than that (the budget is
+   * shared across ridges), cutting a trench through each one when trenchWidth
+   * is set. With pierceTargets it carries on through tanks and helicopters,
+   * each one further along taking pierceDamageFalloff times less damage.
+   *
+   * @param {string} playerId - Shooter
+   * @param {Object} beamData - { startPos, direction, damage, pierceDepth,
+   *   trenchWidth, pierceTargets, pierceDamageFalloff, beamWidth, beamColor, duration }
+   * @return {Array} Timeline events
+   */
+  simulateBeam(playerId, beamData, weaponId, weaponCode) {
+    const timelineEvents = [];
+    const start = beamData.startPos.clone();
+    const direction = beamData.direction.clone().normalize();
+    const pointAt = (distance) => start.clone().addScaledVector(direction, distance);
+
+    // Terrain: find where the beam stops, piercing thin ridges on the way
+    let stopDistance = this.BEAM_RANGE;
+    let pierceBudget = beamData.pierceDepth ?? 0;
+    const piercedRidges = [];
+    let from = 0;
+    while (from < this.BEAM_RANGE) {
+      const hit = this._checkTerrainIntersection(pointAt(from), pointAt(this.BEAM_RANGE), this.BEAM_STEP, 0, timelineEvents);
+      if (!hit.collision) break;
+
+      const entry = Math.max(from, hit.position.clone().sub(start).dot(direction));
+      let exit = entry;
+      while (exit - entry <= pierceBudget && exit < this.BEAM_RANGE) {
+        exit += this.BEAM_STEP;
+        const point = pointAt(exit);
+        if (point.y > this._getTerrainHeight(point.x, point.z, 0, timelineEvents)) break;
+      }
+      if (exit - entry > pierceBudget || exit >= this.BEAM_RANGE) {
+        stopDistance = entry;
+        break;
+      }
+
+      pierceBudget -= exit - entry;
+      piercedRidges.push({ entry, exit });
+      from = exit + this.BEAM_STEP;
+    }
+
+    const terrainStopDistance = stopDistance;
+
+    // Targets along the beam, nearest first
+    const targets = [];
+    const beamSegment = direction.clone().multiplyScalar(stopDistance);
+    const players = this.playerManager ? this.playerManager.getPlayersObject() : {};
+    for (const [userId, player] of Object.entries(players)) {
+      if (userId === playerId || !player.isAlive || player.isSpectator) continue;
+      const t = this._segmentSphereEntry(start, beamSegment, player.getPosition(), this.TANK_HIT_RADIUS);
+      if (t !== null) targets.push({ type: 'tank', id: userId, distance: t * stopDistance });
+    }
+    if (this.helicopterManager) {
+      const now = Date.now();
+      for (const helicopterId of this.helicopterManager.getHelicopterIds()) {
+        const state = this.helicopterManager.getHelicopterPositionAtTime(helicopterId, now);
+        if (!state) continue;
+        const t = this._segmentSphereEntry(start, beamSegment, state.position, this.HELICOPTER_HIT_RADIUS);
+        if (t !== null) targets.push({ type: 'helicopter', id: helicopterId, distance: t * stopDistance });
+      }
+    }
+    targets.sort((a, b) => a.distance - b.distance);
+
+    const hitTargets = beamData.pierceTargets ? targets : targets.slice(0, 1);
+    if (!beamData.pierceTargets && hitTargets.length > 0) {
+      stopDistance = hitTargets[0].distance;
+    }
+
+    let damage = beamData.damage ?? 50;
+    const hits = hitTargets.map(target => {
+      const position = pointAt(target.distance);
+      const hit = {
+        type: target.type,
+        id: target.id,
+        position: { x: position.x, y: position.y, z: position.z },
+        damage: Math.round(damage)
+      };
+      damage *= beamData.pierceDamageFalloff ?? 0.75;
+      return hit;
+    });
+
+    // Trenches through the ridges the beam actually got through
+    const terrainEffects = [];
+    if (beamData.trenchWidth > 0) {
+      const halfWidth = beamData.trenchWidth / 2;
+      const horizontal = Math.hypot(direction.x, direction.z);
+      for (const ridge of piercedRidges) {
+        if (ridge.entry >= stopDistance || horizontal < 1e-3) continue;
+        const entryPoint = pointAt(ridge.entry);
+        const options = {
+          direction: { x: direction.x / horizontal, z: direction.z / horizontal },
+          width: beamData.trenchWidth,
+          floorY: entryPoint.y - halfWidth,
+          slope: direction.y / horizontal
+        };
+        const radius = (Math.min(ridge.exit, stopDistance) - ridge.entry) * horizontal;
+        terrainEffects.push({ operation: 'trench', radius, options, position: { x: entryPoint.x, y: entryPoint.y, z: entryPoint.z } });
+        this._recordTerrainEdit(timelineEvents, { operation: 'trench', x: entryPoint.x, z: entryPoint.z, radius, options, time: 0 });
+      }
+    }
+
+    const end = pointAt(stopDistance);
+    timelineEvents.push({
+      type: 'beamFire',
+      time: 0,
+      playerId,
+      weaponId,
+      weaponCode,
+      start: { x: start.x, y: start.y, z: start.z },
+      end: { x: end.x, y: end.y, z: end.z },
+      hits,
+      terrainEffects,
+      hitTerrain: stopDistance === terrainStopDistance && stopDistance < this.BEAM_RANGE,
+      beamWidth: beamData.beamWidth ?? 0.3,
+      beamColor: beamData.beamColor ?? 0xff2222,
+      duration: beamData.duration ?? 600
+    });
+
+    return timelineEvents;
+  }
+
   /**
    * Simulate a single projectile's complete trajectory
    */
@@ -224,6 +993,9 @@ export default class PrecalculatedProjectileManager {
 
     let isActive = true;
     const previousPosition = position.clone();
+    const waterLevel = this._getWaterLevel();
+    let inWater = waterLevel !== null && position.y < waterLevel;
+    let burrow = null; // Underground run state while a digger is burrowing
 
     while (isActive && timeAccumulator < this.MAX_SIMULATION_TIME) {
       // Calculate dynamic time factor
@@ -258,6 +1030,39 @@ export default class PrecalculatedProjectileManager {
       // Store previous position for collision checking
       previousPosition.copy(position);
 
+      // ==== BURROWING ====
+      // Underground the shell ignores the ground and physics and just runs
+      // along under the surface until it surfaces or detonates
+      if (burrow) {
+        const eventTime = startTime + (realTimeAccumulator * effectiveTimeFactor);
+        const outcome = this._stepBurrow(projectile, burrow, position, velocity, simulationTimeStep, eventTime, timelineEvents);
+        timeAccumulator += simulationTimeStep;
+        realTimeAccumulator += realTimeStep;
+
+        if (outcome === 'detonated') {
+          isActive = false;
+          continue;
+        }
+        if (outcome === 'surfaced') {
+          burrow = null;
+          direction.copy(velocity).normalize();
+          currentSpeed = velocity.length();
+          usingFixedBounceSpeed = true;
+          skipAccelerationForOneFrame = true;
+        }
+
+        if (realTimeAccumulator - lastNetworkUpdateTime >= this.NETWORK_UPDATE_INTERVAL) {
+          timelineEvents.push({
+            type: 'projectileMove',
+            time: startTime + (realTimeAccumulator * effectiveTimeFactor),
+            projectileId: projectile.id,
+            position: { x: position.x, y: position.y, z: position.z }
+          });
+          lastNetworkUpdateTime = realTimeAccumulator;
+        }
+        continue;
+      }
+
       // Update physics using simulation time step
       // Only apply acceleration if we're not using a fixed bounce speed
       if (!skipAccelerationForOneFrame) {
@@ -300,30 +1105,24 @@ export default class PrecalculatedProjectileManager {
         velocity.y += (projectile.gravity * 0.3) * (simulationTimeStep / 1000);
       }
 
+      // Apply wind (guided missiles correct for it once guidance kicks in)
+      if (projectile.windFactor !== 0 &&
+          (!projectile.isGuided || realTimeAccumulator <= projectile.guidanceDelay)) {
+        velocity.x += this.wind.x * projectile.windFactor * (simulationTimeStep / 1000);
+        velocity.z += this.wind.z * projectile.windFactor * (simulationTimeStep / 1000);
+      }
+
       // Update position
       position.add(velocity.clone().multiplyScalar(simulationTimeStep / 1000));
 
       // ==== GUIDED MISSILE LOGIC ====
       // Add guidance for guided missiles
-      if (projectile.isGuided && projectile.targetHelicopterId && this.helicopterManager) {
+      if (projectile.isGuided) {
         // Only start guidance after delay
         if (realTimeAccumulator > projectile.guidanceDelay) {
-          const currentTime = startTime + realTimeAccumulator + Date.now();
+          const targetPos = this._getGuidanceTarget(projectile, startTime + realTimeAccumulator);
           
-          // Get helicopter position at current time + small lookahead
-          const helicopterState = this.helicopterManager.getHelicopterPositionAtTime(
-            projectile.targetHelicopterId, 
-            currentTime + 350, // Look ahead time
-          );
-          
-          if (helicopterState) {
-            // Calculate direction to target
-            const targetPos = new THREE.Vector3(
-              helicopterState.position.x,
-              helicopterState.position.y,
-              helicopterState.position.z
-            );
-            
+          if (targetPos) {
             // Vector from current position to target
             const toTarget = targetPos.clone().sub(position);
             const distanceToTarget = toTarget.length();
@@ -392,9 +1191,9 @@ export default class PrecalculatedProjectileManager {
                 position: { x: position.x, y: position.y, z: position.z },
                 direction: { x: direction.x, y: direction.y, z: direction.z },
                 targetPosition: { 
-                  x: helicopterState.position.x, 
-                  y: helicopterState.position.y, 
-                  z: helicopterState.position.z 
+                  x: targetPos.x, 
+                  y: targetPos.y, 
+                  z: targetPos.z 
                 },
                 distanceToTarget: distanceToTarget,
                 currentSpeed: currentSpeed, // NEW: Add current speed to event data
@@ -406,8 +1205,58 @@ export default class PrecalculatedProjectileManager {
       }
       // ==== END GUIDED MISSILE LOGIC ====
 
+      // Crossing the water surface splashes; once in, the water slows everything
+      if (waterLevel !== null) {
+        const wasInWater = inWater;
+        inWater = position.y < waterLevel;
+
+        const eventTime = startTime + (realTimeAccumulator * effectiveTimeFactor);
+        let splashPos = null;
+        if (inWater !== wasInWater && projectile.doesCollide) {
+          const t = (previousPosition.y - waterLevel) / (previousPosition.y - position.y);
+          splashPos = previousPosition.clone().lerp(position, t);
+          splashPos.y = waterLevel;
+
+          // Dipping below the water level over dry land is a terrain hit, not a splash
+          if (this._getTerrainHeight(splashPos.x, splashPos.z, eventTime, timelineEvents) >= waterLevel) {
+            splashPos = null;
+          }
+        }
+
+        if (splashPos) {
+          timelineEvents.push({
+            type: 'projectileSplash',
+            time: eventTime,
+            projectileId: projectile.id,
+            playerId: projectile.playerId,
+            weaponCode: projectile.weaponCode,
+            position: { x: splashPos.x, y: splashPos.y, z: splashPos.z },
+            speed: velocity.length(),
+            explosionSize: projectile.explosionSize,
+            isEntering: inWater
+          });
+
+          if (inWater && projectile.waterBehavior === 'fizzle') {
+            this._handleFizzle(projectile, splashPos, eventTime, timelineEvents, velocity.clone());
+            isActive = false;
+            continue;
+          }
+
+          if (inWater) {
+            // The surface sheds most of the speed, and there is no more thrust
+            velocity.multiplyScalar(this.WATER_SPEED_DAMPING);
+            currentSpeed *= this.WATER_SPEED_DAMPING;
+            projectile.maxSpeed = Math.min(projectile.maxSpeed, currentSpeed);
+          }
+        }
+
+        if (inWater) {
+          velocity.multiplyScalar(Math.exp(-this.WATER_DRAG * (simulationTimeStep / 1000)));
+        }
+      }
+
       // Check for helicopter collision if we have a helicopter manager
-      if (this.helicopterManager && projectile.doesCollide) {
+      if (this.helicopterManager && projectile.doesCollide && !projectile.ignoresHelicopters) {
         const collisionTime = startTime + (realTimeAccumulator * effectiveTimeFactor) + Date.now();
         const helicopterCollision = this._checkHelicopterCollision(
           previousPosition, 
@@ -432,20 +1281,65 @@ export default class PrecalculatedProjectileManager {
         }
       }
 
+      // Deflector and force shields catch shells entering their bubble
+      if (projectile.doesCollide) {
+        const eventTime = startTime + (realTimeAccumulator * effectiveTimeFactor);
+        const shieldHit = this._checkShieldCollision(projectile, previousPosition, position, eventTime, timelineEvents);
+
+        if (shieldHit && shieldHit.shieldType === 'force') {
+          timelineEvents.push(this._createShieldEvent('shieldAbsorb', projectile, shieldHit, eventTime));
+          // The field swallows the shell: no crater, no dirt, no weapon effects
+          // and no harm to the owner (see _handleImpact)
+          this._handleImpact(projectile, shieldHit.position, eventTime, timelineEvents, velocity.clone(), {
+            craterSize: 0,
+            shieldedPlayerId: shieldHit.userId
+          });
+          isActive = false;
+          continue;
+        }
+
+        if (shieldHit) {
+          velocity.reflect(shieldHit.normal).multiplyScalar(this.SHIELD_DEFLECT_RESTITUTION);
+          position.copy(shieldHit.position).addScaledVector(shieldHit.normal, 0.05);
+          direction.copy(velocity).normalize();
+          currentSpeed = velocity.length();
+          usingFixedBounceSpeed = true;
+          skipAccelerationForOneFrame = true;
+
+          timelineEvents.push({
+            ...this._createShieldEvent('shieldDeflect', projectile, shieldHit, eventTime),
+            velocity: { x: velocity.x, y: velocity.y, z: velocity.z }
+          });
+        }
+      }
+
       // Check for terrain collision
       const hasCollisionGracePeriod = timeAccumulator < this.COLLISION_GRACE_PERIOD;
       if (!hasCollisionGracePeriod && projectile.doesCollide) {
         const intersection = this._checkTerrainIntersection(
           previousPosition,
           position,
-          projectile.collisionRadius
+          projectile.collisionRadius,
+          startTime + (realTimeAccumulator * effectiveTimeFactor),
+          timelineEvents
         );
 
-        if (intersection.collision) {
+        if (intersection.collision && projectile.burrowDistance > 0 && !projectile.hasBurrowed) {
+          burrow = this._startBurrow(
+            projectile,
+            intersection.position,
+            velocity,
+            startTime + (realTimeAccumulator * effectiveTimeFactor),
+            timelineEvents
+          );
+          position.copy(burrow.position);
+        } else if (intersection.collision) {
           // Check if we should process automatic bounce:
-          // 1. If it's a guided missile - always bounce
+          // 1. If it's a helicopter-hunting missile - always bounce
           // 2. If it's a regular projectile - bounce if preImpactBounces not exhausted
-          if (projectile.isGuided || projectile.currentBounces < projectile.preImpactBounces) {
+          // Missiles guided to a ground point or tank blow up on whatever they hit.
+          const skipsOffGround = projectile.isGuided && projectile.targetHelicopterId;
+          if (skipsOffGround || projectile.currentBounces < projectile.preImpactBounces) {
             // Handle automatic bounce
             const bounceResult = this._handleAutomaticBounce(
               projectile,
@@ -526,6 +1420,129 @@ export default class PrecalculatedProjectileManager {
     }
   }
 
+  /**
+   * A digger has hit the ground: take it under the surface and return the
+   * burrow state that _stepBurrow advances.
+   */
+  _startBurrow(projectile, entryPos, velocity, time, timelineEvents) {
+    projectile.hasBurrowed = true;
+
+    const heading = new THREE.Vector2(velocity.x, velocity.z);
+    if (heading.lengthSq() < 1e-6) heading.set(0, 1); // Straight down: pick any heading
+    heading.normalize();
+
+    timelineEvents.push({
+      type: 'projectileBurrow',
+      phase: 'enter',
+      time,
+      projectileId: projectile.id,
+      playerId: projectile.playerId,
+      position: { x: entryPos.x, y: entryPos.y, z: entryPos.z }
+    });
+
+    return {
+      position: new THREE.Vector3(entryPos.x, entryPos.y - projectile.burrowDepth, entryPos.z),
+      entry: { x: entryPos.x, y: entryPos.y, z: entryPos.z },
+      heading,
+      traveled: 0,
+      lastDustTime: time
+    };
+  }
+
+  /**
+   * Move a burrowing digger one step along under the surface, leaving dust
+   * events above it. Detonates under the first enemy tank it reaches (or at
+   * the map edge) and surfaces once it has run burrowDistance.
+   * Updates position and velocity in place.
+   * @return {'burrowing'|'detonated'|'surfaced'}
+   */
+  _stepBurrow(projectile, burrow, position, velocity, stepMs, time, timelineEvents) {
+    const step = Math.min(
+      projectile.burrowSpeed * (stepMs / 1000),
+      projectile.burrowDistance - burrow.traveled
+    );
+    burrow.traveled += step;
+    position.x += burrow.heading.x * step;
+    position.z += burrow.heading.y * step;
+    velocity.set(burrow.heading.x * projectile.burrowSpeed, 0, burrow.heading.y * projectile.burrowSpeed);
+
+    const surfaceY = this._getTerrainHeight(position.x, position.z, time, timelineEvents);
+    position.y = surfaceY - projectile.burrowDepth;
+    const surface = { x: position.x, y: surfaceY, z: position.z };
+
+    if (time - burrow.lastDustTime >= this.BURROW_DUST_INTERVAL) {
+      timelineEvents.push({
+        type: 'projectileBurrow',
+        phase: 'dig',
+        time,
+        projectileId: projectile.id,
+        playerId: projectile.playerId,
+        position: surface
+      });
+      burrow.lastDustTime = time;
+    }
+
+    const generator = this.terrainManager.generator;
+    const offMap = Math.abs(position.x) > generator.width / 2 || Math.abs(position.z) > generator.depth / 2;
+    if (offMap || this._isUnderEnemyTank(projectile.playerId, position)) {
+      this._endBurrow(projectile, burrow, 'detonate', surface, time, timelineEvents);
+      this._handleImpact(projectile, position.clone(), time, timelineEvents, velocity.clone());
+      return 'detonated';
+    }
+
+    if (burrow.traveled >= projectile.burrowDistance) {
+      this._endBurrow(projectile, burrow, 'exit', surface, time, timelineEvents);
+      position.y = surfaceY + projectile.collisionRadius;
+      velocity.set(
+        burrow.heading.x * projectile.burrowSpeed,
+        projectile.burrowExitSpeed,
+        burrow.heading.y * projectile.burrowSpeed
+      );
+      return 'surfaced';
+    }
+
+    return 'burrowing';
+  }
+
+  /**
+   * Close a burrow: record the furrow it carved for the rest of the
+   * simulation and attach it to the final projectileBurrow event so the
+   * heightfield is lowered when that event is replayed.
+   */
+  _endBurrow(projectile, burrow, phase, surface, time, timelineEvents) {
+    const options = {
+      direction: { x: burrow.heading.x, z: burrow.heading.y },
+      width: projectile.tunnelWidth,
+      depth: projectile.tunnelDepth
+    };
+    const radius = burrow.traveled;
+    this._recordTerrainEdit(timelineEvents, {
+      operation: 'furrow', x: burrow.entry.x, z: burrow.entry.z, radius, options, time
+    });
+
+    timelineEvents.push({
+      type: 'projectileBurrow',
+      phase,
+      time,
+      projectileId: projectile.id,
+      playerId: projectile.playerId,
+      position: surface,
+      terrainEffects: [{ operation: 'furrow', radius, options, position: burrow.entry }]
+    });
+  }
+
+  _isUnderEnemyTank(shooterId, position) {
+    if (!this.playerManager) return false;
+    for (const [userId, player] of Object.entries(this.playerManager.getPlayersObject())) {
+      if (userId === shooterId || !player.isAlive || player.isSpectator) continue;
+      const tankPos = player.getPosition();
+      const dx = tankPos.x - position.x;
+      const dz = tankPos.z - position.z;
+      if (dx * dx + dz * dz <= this.TANK_HIT_RADIUS * this.TANK_HIT_RADIUS) return true;
+    }
+    return false;
+  }
+
   /**
    * Check if a movement between two points collides with a helicopter
    * @param {THREE.Vector3} start - Starting position
@@ -537,57 +1554,219 @@ export default class PrecalculatedProjectileManager {
    */
   _checkHelicopterCollision(start, end, time, radius, isGuided) {
     if (!this.helicopterManager) return null;
-    
-    const direction = end.clone().sub(start);
-    const distance = direction.length();
-    const steps = Math.ceil(distance / radius) || 1; // At least 1 step
-    
-    direction.normalize();
-    const stepSize = distance / steps;
-    
-    // Get all active helicopters
-    const allHelicopters = this.helicopterManager.getAllHelicopters();
-    if (!allHelicopters || !allHelicopters.length) return null;
-    
-    for (let i = 0; i <= steps; i++) {
-      const point = start.clone().add(direction.clone().multiplyScalar(i * stepSize));
-      
-      // Convert THREE.Vector3 to the format expected by helicopterManager
-      const pointObj = { x: point.x, y: point.y, z: point.z };
-      
-      // Check collisions with all helicopters
-      for (const helicopter of allHelicopters) {
-        const helicopterId = helicopter.id;
-        const helicopterState = this.helicopterManager.getHelicopterPositionAtTime(helicopterId, time);
-        
-        if (!helicopterState) continue;
-        
-        // Simple distance-based collision check
-        const helicopterPos = helicopterState.position;
-        const dx = helicopterPos.x - pointObj.x;
-        const dy = helicopterPos.y - pointObj.y;
-        const dz = helicopterPos.z - pointObj.z;
-        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-        
-        // Use different helicopter collision radius based on projectile type
-        // Guided missiles have a smaller radius for precision
-        // Regular projectiles have a larger radius for easier hits
-        const helicopterRadius = isGuided ? 2.5 : 7.5;
-        
-        if (distance < (radius + helicopterRadius)) {
-          return {
-            helicopterId,
-            position: point,
-            helicopterPosition: helicopterPos,
-            distance
-          };
-        }
+
+    const helicopterIds = this.helicopterManager.getHelicopterIds();
+    if (!helicopterIds.length) return null;
+
+    // Use different helicopter collision radius based on projectile type
+    // Guided missiles have a smaller radius for precision
+    // Regular projectiles have a larger radius for easier hits
+    const helicopterRadius = isGuided ? 2.5 : 7.5;
+    const reach = radius + helicopterRadius;
+
+    // Broad phase: the segment's bounding box grown by the combined radius
+    const minX = Math.min(start.x, end.x) - reach;
+    const maxX = Math.max(start.x, end.x) + reach;
+    const minY = Math.min(start.y, end.y) - reach;
+    const maxY = Math.max(start.y, end.y) + reach;
+    const minZ = Math.min(start.z, end.z) - reach;
+    const maxZ = Math.max(start.z, end.z) + reach;
+
+    const segment = end.clone().sub(start);
+    let closest = null;
+
+    for (const helicopterId of helicopterIds) {
+      // Skip helicopters whose whole flight path is nowhere near this segment
+      const bounds = this.helicopterManager.getFlightBounds(helicopterId);
+      if (bounds && time <= bounds.endTime && (
+        bounds.maxX < minX || bounds.minX > maxX ||
+        bounds.maxY < minY || bounds.minY > maxY ||
+        bounds.maxZ < minZ || bounds.minZ > maxZ
+      )) {
+        continue;
+      }
+
+      // The whole segment is checked at one time, so locate each helicopter once
+      const helicopterState = this.helicopterManager.getHelicopterPositionAtTime(helicopterId, time);
+      if (!helicopterState) continue;
+
+      const helicopterPos = helicopterState.position;
+      if (helicopterPos.x < minX || helicopterPos.x > maxX ||
+          helicopterPos.y < minY || helicopterPos.y > maxY ||
+          helicopterPos.z < minZ || helicopterPos.z > maxZ) {
+        continue;
+      }
+
+      // Narrow phase: where the segment first comes within reach
+      const t = this._segmentSphereEntry(start, segment, helicopterPos, reach);
+      if (t !== null && (!closest || t < closest.t)) {
+        closest = { t, helicopterId, helicopterPos };
       }
     }
-    
+
+    if (!closest) return null;
+
+    const position = start.clone().addScaledVector(segment, closest.t);
+    const hp = closest.helicopterPos;
+    return {
+      helicopterId: closest.helicopterId,
+      position,
+      helicopterPosition: hp,
+      distance: Math.sqrt((hp.x - position.x) ** 2 + (hp.y - position.y) ** 2 + (hp.z - position.z) ** 2)
+    };
+  }
+
+  /**
+   * Parameter t in [0, 1] where start + segment * t first enters a sphere,
+   * or null if the segment misses it.
+   */
+  _segmentSphereEntry(start, segment, center, radius) {
+    const fx = start.x - center.x;
+    const fy = start.y - center.y;
+    const fz = start.z - center.z;
+    const c = fx * fx + fy * fy + fz * fz - radius * radius;
+    if (c <= 0) return 0; // Already inside
+
+    const a = segment.lengthSq();
+    if (a === 0) return null;
+    const b = 2 * (fx * segment.x + fy * segment.y + fz * segment.z);
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    return t >= 0 && t <= 1 ? t : null;
+  }
+
+  /**
+   * Where a guided missile is steering at this point of its flight: just
+   * ahead of its helicopter, its ground point, or the tank it locked onto.
+   * @param {SimulatedProjectile} projectile
+   * @param {number} time - Timeline time (ms)
+   * @return {THREE.Vector3|null} null once there is nothing left to steer for
+   */
+  _getGuidanceTarget(projectile, time) {
+    if (projectile.targetHelicopterId) {
+      if (!this.helicopterManager) return null;
+      // Get helicopter position at current time + small lookahead
+      const helicopterState = this.helicopterManager.getHelicopterPositionAtTime(
+        projectile.targetHelicopterId,
+        time + Date.now() + 350
+      );
+      if (!helicopterState) return null;
+      const { x, y, z } = helicopterState.position;
+      return new THREE.Vector3(x, y, z);
+    }
+
+    if (projectile.targetPoint) {
+      const { x, y, z } = projectile.targetPoint;
+      return new THREE.Vector3(x, y, z);
+    }
+
+    if (projectile.targetPlayerId && this.playerManager) {
+      const player = this.playerManager.getPlayersObject()[projectile.targetPlayerId];
+      if (!player || !player.isAlive) return null;
+      return player.getPosition();
+    }
+
     return null;
   }
 
+  /**
+   * Find the first deflector or force shield bubble the step from start to
+   * end enters. Shells already inside a bubble (the owner's own shot leaving
+   * it) pass, and so do shells the shield no longer has the energy to stop.
+   * Bubbles move with their tanks as the timeline moves them.
+   * @return {Object|null} { userId, shieldType, position, normal, energyCost }
+   */
+  _checkShieldCollision(projectile, start, end, time, timelineEvents) {
+    if (!this.playerManager) return null;
+
+    const segment = end.clone().sub(start);
+    let closest = null;
+    for (const [userId, player] of Object.entries(this.playerManager.getPlayersObject())) {
+      if (!player.isAlive || player.isSpectator || !SHIELD_TYPES[player.shieldType]) continue;
+
+      const center = this._getTankPositionAt(userId, player, time, timelineEvents);
+      const t = this._segmentSphereEntry(start, segment, center, this.SHIELD_RADIUS);
+      if (!t || (closest && t >= closest.t)) continue;
+
+      const energyCost = Math.max(
+        this.SHIELD_MIN_ENERGY_COST,
+        (projectile.baseDamage || 0) * SHIELD_TYPES[player.shieldType].energyPerDamage
+      );
+      if (this._getShieldEnergy(userId, player, time, timelineEvents) < energyCost) continue;
+
+      const position = start.clone().addScaledVector(segment, t);
+      closest = {
+        t,
+        userId,
+        shieldType: player.shieldType,
+        position,
+        normal: position.clone().sub(center).normalize(),
+        energyCost
+      };
+    }
+    return closest;
+  }
+
+  /**
+   * Shield energy left at `time`: what the player has now, less what hits on
+   * the shield and blasts around it up to then in this timeline will use up
+   * when replayed. Each tank keeps a running list of these charges that only
+   * takes in the events simulated since the last look; blasts are charged
+   * again only when the tank's motion changes.
+   */
+  _getShieldEnergy(userId, player, time, timelineEvents) {
+    const preview = this._scanTankMotionPreview(timelineEvents);
+    const motion = this._getTankMotion(userId, player, preview, timelineEvents);
+    let ledger = preview.shieldCharges.get(userId);
+    if (!ledger || ledger.motion !== motion) {
+      ledger = { motion, charged: 0, charges: [] };
+      preview.shieldCharges.set(userId, ledger);
+    }
+    for (; ledger.charged < preview.shieldDrains.length; ledger.charged++) {
+      const event = preview.shieldDrains[ledger.charged];
+      const cost = event.applied ? 0 : this._getShieldCharge(userId, event, motion);
+      if (cost > 0) ledger.charges.push({ time: event.time, cost });
+    }
+
+    let energy = player.getShield();
+    for (const charge of ledger.charges) {
+      if (charge.time <= time) energy -= charge.cost;
+    }
+    return energy;
+  }
+
+  /**
+   * Energy an event will take from a tank's shield when replayed: the cost
+   * of a hit on it, or the damage of a blast around it before armor and
+   * health share it out.
+   */
+  _getShieldCharge(userId, event, motion) {
+    if (event.type === 'shieldDeflect' || event.type === 'shieldAbsorb') {
+      return event.playerId === userId ? event.energyCost : 0;
+    }
+    if (userId === event.shieldedPlayerId) return 0;
+    if (!this.rules.friendlyFire && this.playerManager.isFriendly(event.playerId, userId)) return 0;
+
+    const blast = this._calculateBlastDamage(event, this._getMotionPositionAt(motion, event.time));
+    return blast ? Math.max(0, Math.round(blast.damage * this.rules.damageMultiplier)) : 0;
+  }
+
+  _createShieldEvent(type, projectile, shieldHit, eventTime) {
+    return {
+      type,
+      time: eventTime,
+      projectileId: projectile.id,
+      playerId: shieldHit.userId,
+      attackerId: projectile.playerId,
+      shieldType: shieldHit.shieldType,
+      position: { x: shieldHit.position.x, y: shieldHit.position.y, z: shieldHit.position.z },
+      normal: { x: shieldHit.normal.x, y: shieldHit.normal.y, z: shieldHit.normal.z },
+      energyCost: shieldHit.energyCost
+    };
+  }
+
   /**
    * Handle projectile impact with a helicopter
    * @param {SimulatedProjectile} projectile - The projectile that hit
@@ -618,6 +1797,7 @@ export default class PrecalculatedProjectileManager {
       isFinalProjectile: projectile.isFinal,
       explosionSize: projectile.explosionSize * 1.5, // Bigger explosion for helicopter
       explosionType: 'helicopter', // Custom explosion type
+      damage: projectile.baseDamage,
       bounceCount: projectile.bounceCount,
       incomingDirection: { 
         x: incomingDirection.x, 
@@ -656,7 +1836,7 @@ export default class PrecalculatedProjectileManager {
    */
   _handleAutomaticBounce(projectile, impactPos, velocity, eventTime, timelineEvents) {
     // Calculate surface normal at impact point
-    const surfaceNormal = this._calculateTerrainNormal(impactPos);
+    const surfaceNormal = this._calculateTerrainNormal(impactPos, eventTime, timelineEvents);
     
     // Calculate reflection direction
     const incomingDirection = velocity.clone().normalize();
@@ -731,6 +1911,7 @@ export default class PrecalculatedProjectileManager {
         craterSize: projectile.bounceCraterSize,
         damage: projectile.bounceDamage
       };
+      this._addCraterToEvent(bounceEvent, timelineEvents);
     }
     
     return {
@@ -746,18 +1927,19 @@ export default class PrecalculatedProjectileManager {
   /**
    * Calculate terrain normal at a given position
    * @param {THREE.Vector3} position - Impact position
+   * @param {number} [time] - Timeline time to sample the terrain at
+   * @param {Array} [timelineEvents] - Timeline whose earlier craters apply
    * @return {THREE.Vector3} Normalized surface normal
    */
-  _calculateTerrainNormal(position) {
+  _calculateTerrainNormal(position, time = Infinity, timelineEvents = null) {
     // Sample points around the impact to determine terrain slope
     const sampleDist = 1.0; // Distance for sampling
     
     // Get heights at sample points
-    const centerHeight = this.terrainManager.generator.getHeightAtPositionBicubic(position.x, position.z);
-    const heightPX = this.terrainManager.generator.getHeightAtPositionBicubic(position.x + sampleDist, position.z);
-    const heightNX = this.terrainManager.generator.getHeightAtPositionBicubic(position.x - sampleDist, position.z);
-    const heightPZ = this.terrainManager.generator.getHeightAtPositionBicubic(position.x, position.z + sampleDist);
-    const heightNZ = this.terrainManager.generator.getHeightAtPositionBicubic(position.x, position.z - sampleDist);
+    const heightPX = this._getTerrainHeight(position.x + sampleDist, position.z, time, timelineEvents);
+    const heightNX = this._getTerrainHeight(position.x - sampleDist, position.z, time, timelineEvents);
+    const heightPZ = this._getTerrainHeight(position.x, position.z + sampleDist, time, timelineEvents);
+    const heightNZ = this._getTerrainHeight(position.x, position.z - sampleDist, time, timelineEvents);
     
     // Calculate slope vectors
     const slopeX = new THREE.Vector3(2 * sampleDist, heightPX - heightNX, 0).normalize();
@@ -794,9 +1976,14 @@ export default class PrecalculatedProjectileManager {
   /**
    * Handle projectile impact with terrain
    */
-  _handleImpact(projectile, impactPos, eventTime, timelineEvents, velocity) {
+  _handleImpact(projectile, impactPos, eventTime, timelineEvents, velocity, details = {}) {
     // Calculate surface normal at impact point
-    const surfaceNormal = this._calculateTerrainNormal(impactPos);
+    const surfaceNormal = this._calculateTerrainNormal(impactPos, eventTime, timelineEvents);
+
+    // Explosions on the bottom of a lake are muffled by the water
+    const waterLevel = this._getWaterLevel();
+    const isUnderwater = waterLevel !== null && impactPos.y < waterLevel;
+    const blastScale = isUnderwater ? this.UNDERWATER_BLAST_SCALE : 1;
     
     // Create a default direction if velocity is not provided
     const incomingDirection = velocity ? 
@@ -811,11 +1998,15 @@ export default class PrecalculatedProjectileManager {
       position: impactPos,
       isFinalProjectile: projectile.isFinal,
       craterSize: projectile.craterSize,
-      aoeSize: projectile.aoeSize,
-      damage: projectile.baseDamage,
-      explosionSize: projectile.explosionSize,
+      aoeSize: projectile.aoeSize * blastScale,
+      damage: projectile.baseDamage * blastScale,
+      damageFalloff: projectile.damageFalloff,
+      directHitRadius: projectile.directHitRadius * blastScale,
+      directHitBonus: projectile.directHitBonus,
+      explosionSize: projectile.explosionSize * blastScale,
       explosionType: projectile.explosionType,
       bounceCount: projectile.bounceCount,
+      isUnderwater,
       // Add these new properties
       incomingDirection: { 
         x: incomingDirection.x, 
@@ -826,20 +2017,21 @@ export default class PrecalculatedProjectileManager {
         x: surfaceNormal.x, 
         y: surfaceNormal.y, 
         z: surfaceNormal.z 
-      }
+      },
+      ...details
     };
     
     timelineEvents.push(impactEvent);
-    
-    /* NOT DOING THIS RIGHT NOW, NEED TO REFACTOR THE CODE FOR TERRAIN MODIFICATIONS.
-    // Modify terrain
-    const patch = this.terrainManager.generator.modifyTerrain(
-      impactPos.x,
-      impactPos.z,
-      projectile.craterSize,
-      'crater'
-    );
-    */
+
+    // Set off at the edge of a force field, which keeps everything else out
+    if (impactEvent.shieldedPlayerId) return;
+
+    // Carve the crater for the rest of this simulation; the heightfield itself
+    // is modified when the impact is replayed
+    this._addCraterToEvent(impactEvent, timelineEvents);
+    if (projectile.terrainEffect) {
+      this._addTerrainEffectToEvent(impactEvent, projectile.terrainEffect, incomingDirection, timelineEvents);
+    }
 
     // Handle weapon-specific effects
     const weaponHandler = this.weaponHandlers.get(projectile.weaponId);
@@ -853,17 +2045,299 @@ export default class PrecalculatedProjectileManager {
     }
   }
 
+  /**
+   * End a projectile that dies on hitting the water: a harmless impact the
+   * client shows as a fizzle, with no crater and no weapon follow-up.
+   */
+  _handleFizzle(projectile, position, eventTime, timelineEvents, velocity) {
+    const incomingDirection = velocity.normalize();
+    timelineEvents.push({
+      type: 'projectileImpact',
+      time: eventTime,
+      projectileId: projectile.id,
+      playerId: projectile.playerId,
+      position: { x: position.x, y: position.y, z: position.z },
+      isFinalProjectile: projectile.isFinal,
+      craterSize: 0,
+      aoeSize: 0,
+      damage: 0,
+      directHitRadius: 0,
+      explosionSize: 0,
+      explosionType: projectile.explosionType,
+      bounceCount: projectile.bounceCount,
+      isUnderwater: true,
+      fizzled: true,
+      incomingDirection: {
+        x: incomingDirection.x,
+        y: incomingDirection.y,
+        z: incomingDirection.z
+      },
+      surfaceNormal: { x: 0, y: 1, z: 0 }
+    });
+  }
+
+  /**
+   * Work out the damage a blast deals to a tank from the 3D distance between
+   * them, the event's falloff curve and its direct-hit bonus.
+   * @param {Object} event - Impact or bounce event
+   * @param {THREE.Vector3} targetPos - Tank position
+   * @return {Object|null} { damage, falloff, distance, directHit } or null if out of range
+   */
+  _calculateBlastDamage(event, targetPos) {
+    const dx = targetPos.x - event.position.x;
+    const dy = targetPos.y - event.position.y;
+    const dz = targetPos.z - event.position.z;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    const directHit = distance <= (event.directHitRadius ?? 0);
+    if (!directHit && !(distance < event.aoeSize)) return null;
+
+    let falloff = 1;
+    if (!directHit) {
+      const curve = DAMAGE_FALLOFF_CURVES[event.damageFalloff] || DAMAGE_FALLOFF_CURVES.linear;
+      falloff = Math.max(0, Math.min(1, curve(distance / event.aoeSize)));
+    }
+    const bonus = directHit ? (event.directHitBonus ?? 1) : 1;
+
+    return {
+      damage: Math.round(event.damage * falloff * bonus),
+      falloff,
+      distance,
+      directHit
+    };
+  }
+
+  /**
+   * Send a finished shot's timeline to clients and start playing it. While
+   * a volley is being gathered the timeline is held back instead, to go out
+   * merged with everyone else's shots.
+   * @param {Array} timeline - Simulated timeline
+   * @return {number} Date.now() at which the timeline starts playing
+   */
+  launchTimeline(timeline) {
+    if (this.volley) {
+      this.volley.timelines.push(timeline);
+      return this.volley.startAt;
+    }
+
+    this.finalizeTimeline(timeline);
+    this.io.to(this.gameId).emit('fullProjectileTimeline', encodeTimeline(timeline));
+    const startAt = Date.now();
+    this.scheduleTimeline(timeline, startAt);
+    return startAt;
+  }
+
+  /**
+   * Start gathering a volley: every shot launched until launchVolley is
+   * simulated against the terrain as it is now and played back together.
+   */
+  beginVolley() {
+    this.volley = { startAt: Date.now(), timelines: [] };
+  }
+
+  /**
+   * Merge the gathered shots into one timeline and resolve tank falls over
+   * all of them at once, then broadcast and schedule it. Damage lands in
+   * time order across all the shots.
+   * @return {Array} The merged timeline
+   */
+  launchVolley() {
+    const { startAt, timelines } = this.volley;
+    this.volley = null;
+
+    const volleyTimeline = [];
+    this.playingVolley = { shots: timelines, timeline: volleyTimeline };
+    this._mergeVolley(this.playingVolley, []);
+    this.finalizeTimeline(volleyTimeline);
+
+    this.io.to(this.gameId).emit('fullProjectileTimeline', encodeTimeline(volleyTimeline));
+    this.scheduleTimeline(volleyTimeline, startAt);
+    return volleyTimeline;
+  }
+
+  /**
+   * (Re)build a volley's merged timeline from its shots: their events and
+   * terrain edits, plus the given tank events.
+   */
+  _mergeVolley(volley, tankEvents) {
+    const { shots, timeline } = volley;
+    timeline.length = 0;
+    timeline.push(...mergeTimelines([...shots, tankEvents]));
+    this.timelineTerrainEdits.set(timeline, shots.flatMap(shot => this.timelineTerrainEdits.get(shot) || []));
+  }
+
+  /**
+   * The volley has played out; timelines go back to one shot at a time.
+   */
+  endVolley() {
+    this.volley = null;
+    this.playingVolley = null;
+  }
+
   /**
    * Schedule timeline events for execution
+   * @param {Array} timeline - Events to schedule
+   * @param {number} startAt - Date.now() at which the timeline started playing
    */
   scheduleTimeline(timeline, startAt = Date.now()) {
+    const elapsed = Date.now() - startAt;
     for (const event of timeline) {
-      const delay = Math.max(event.time, 0);
+      const delay = Math.max(event.time - elapsed, 0);
       const timeoutId = setTimeout(() => {
+        this.eventTimeouts.delete(event);
         this._processScheduledEvent(event);
       }, delay);
       this.scheduledTimeouts.push(timeoutId);
+      this.eventTimeouts.set(event, timeoutId);
+    }
+  }
+
+  /**
+   * Remove matching events from a timeline in place, cancel any that are
+   * already scheduled and forget the terrain edits they made.
+   * @param {Array} timeline
+   * @param {function(Object): boolean} predicate - Events to remove
+   */
+  removeTimelineEvents(timeline, predicate) {
+    const removed = new Set(timeline.filter(predicate));
+    if (removed.size === 0) return;
+
+    removed.forEach(event => {
+      clearTimeout(this.eventTimeouts.get(event));
+      this.eventTimeouts.delete(event);
+    });
+    let kept = 0;
+    for (const event of timeline) {
+      if (!removed.has(event)) timeline[kept++] = event;
+    }
+    timeline.length = kept;
+
+    const edits = this.timelineTerrainEdits.get(timeline);
+    if (edits) {
+      this.timelineTerrainEdits.set(timeline, edits.filter(edit => !removed.has(edit.event)));
+    }
+  }
+
+  /**
+   * Drop everything a timeline does after `time`, except events `keep`
+   * accepts, so the rest of the shot can be simulated again.
+   */
+  truncateTimeline(timeline, time, keep = () => false) {
+    this.removeTimelineEvents(timeline, event => event.time > time && !keep(event));
+    const edits = this.timelineTerrainEdits.get(timeline);
+    if (edits) {
+      this.timelineTerrainEdits.set(timeline, edits.filter(edit => edit.event || edit.time <= time));
+    }
+  }
+
+  /**
+   * Rewrite a timeline that is already playing from `cutTime` on: truncate
+   * it, let `simulate` add the new events and resolve the tank falls they
+   * cause, then send the amendment (every event after the cut plus anything
+   * new) to clients and schedule the new events. Falls already under way at
+   * the cut play out as they were. In a volley, the falls are resolved again
+   * over every shot.
+   * @param {Array} timeline - Scheduled timeline
+   * @param {number} cutTime - Timeline time of the cut
+   * @param {number} startAt - Date.now() at which the timeline started playing
+   * @param {function(Array)} simulate - Adds the replacement events
+   * @param {function(Object): boolean} [keep] - Events after the cut that stay as they are
+   */
+  amendTimeline(timeline, cutTime, startAt, simulate, keep = () => false) {
+    const playing = this.playingVolley ? this.playingVolley.timeline : timeline;
+    const previous = new Set(playing);
+    const fallsUnderWay = this._getFallsUnderWay(playing, cutTime);
+    this.truncateTimeline(timeline, cutTime, event => keep(event) || fallsUnderWay.has(event));
+    this._startTankMotionPreview(timeline, cutTime);
+
+    simulate(timeline);
+    if (this.playingVolley) {
+      this.removeTimelineEvents(playing, event =>
+        event.time > cutTime && TANK_MOTION_EVENTS.has(event.type) && !fallsUnderWay.has(event)
+      );
+      this._mergeVolley(this.playingVolley, playing.filter(event => TANK_MOTION_EVENTS.has(event.type)));
+    }
+    this.finalizeTimeline(playing, cutTime);
+
+    const added = playing.filter(event => !previous.has(event));
+    const addedSet = new Set(added);
+    // Clients replace everything after the cut, so a volley resends the other shots too
+    const amendment = playing.filter(event => event.time > cutTime || addedSet.has(event));
+    this.io.to(this.gameId).emit('projectileTimelineAmendment', {
+      cutTime,
+      timeline: encodeTimeline(amendment)
+    });
+    this.scheduleTimeline(added, startAt);
+    return timeline;
+  }
+
+  /**
+   * The rest of every tank fall that started by `time` and ends after it.
+   * @return {Set<Object>} Their tankMove and tankLand events after `time`
+   */
+  _getFallsUnderWay(timeline, time) {
+    const underWay = new Set();
+    const falling = new Set(); // Players whose fall started by `time`
+    for (const event of [...timeline].sort(compareTimelineEvents)) {
+      if (event.type === 'tankFall') {
+        if (event.time <= time) falling.add(event.playerId);
+        else falling.delete(event.playerId);
+      } else if (TANK_MOTION_EVENTS.has(event.type) && falling.has(event.playerId)) {
+        if (event.time > time) underWay.add(event);
+        if (event.type === 'tankLand') falling.delete(event.playerId);
+      }
     }
+    return underWay;
+  }
+
+  /**
+   * Interpolated position and velocity of a projectile at a timeline time,
+   * from its projectileMove events.
+   * @return {{position: THREE.Vector3, velocity: THREE.Vector3}|null} null outside its flight
+   */
+  getProjectileStateAt(timeline, projectileId, time) {
+    const moves = timeline
+      .filter(event => event.type === 'projectileMove' && event.projectileId === projectileId)
+      .sort((a, b) => a.time - b.time);
+    const next = moves.findIndex(event => event.time > time);
+    if (next <= 0) return null;
+
+    const a = moves[next - 1];
+    const b = moves[next];
+    const from = new THREE.Vector3(a.position.x, a.position.y, a.position.z);
+    const to = new THREE.Vector3(b.position.x, b.position.y, b.position.z);
+    const t = (time - a.time) / (b.time - a.time);
+    return {
+      position: from.clone().lerp(to, t),
+      velocity: to.sub(from).divideScalar((b.time - a.time) / 1000)
+    };
+  }
+
+  /**
+   * Let the firing player cut their carrier shot short with a detonate
+   * input. Replaces any earlier registration for that player.
+   * @param {string} playerId - Only this player may detonate
+   * @param {number} startAt - Date.now() at which the timeline started playing
+   * @param {function(number): boolean} onDetonate - Called with the timeline
+   *   time the input arrived; returns false if it is too late to split
+   */
+  allowDetonation(playerId, startAt, onDetonate) {
+    this.detonations.set(playerId, { startAt, onDetonate });
+  }
+
+  clearDetonation() {
+    this.detonations.clear();
+  }
+
+  /**
+   * Handle a detonate input. Each shot can only be detonated once.
+   * @return {boolean} Whether the carrier was split
+   */
+  detonate(playerId) {
+    const detonation = this.detonations.get(playerId);
+    if (!detonation) return false;
+    this.detonations.delete(playerId);
+    return detonation.onDetonate(Date.now() - detonation.startAt) !== false;
   }
 
   /**
@@ -872,64 +2346,238 @@ export default class PrecalculatedProjectileManager {
   _processScheduledEvent(event) {
     // Handle helicopter impacts
     if (event.type === 'projectileHelicopterImpact') {
-
-      // Emit event to clients
-      this.io.to(this.gameId).emit('helicopterDestroyed', {
-        helicopterId: event.helicopterId,
+      this._hitHelicopter(event.helicopterId, event.damage, {
         position: event.position,
         playerId: event.playerId,
         projectileId: event.projectileId,
         explosionSize: event.explosionSize,
         explosionType: event.explosionType
       });
-
-      // Remove the helicopter if it's not already removed
-      if (this.helicopterManager) {
-        this.helicopterManager.removeHelicopter(event.helicopterId);
-      }
-      
     }
     
     // Handle both impact and bounce events for damage
     if (event.type === 'projectileImpact' || event.type === 'projectileBounce') {
+      event.applied = true; // Its damage to shields is live now (see _getShieldEnergy)
+      // Deform the authoritative terrain in timeline order
+      if (event.craterRadius) {
+        const patch = this.terrainManager.modifyTerrain(
+          event.position.x,
+          event.position.z,
+          event.craterRadius,
+          'crater'
+        );
+        if (patch.length > 0) {
+          this.io.to(this.gameId).emit('terrainPatch', { patch });
+        }
+      }
+
+      if (event.terrainEffect) {
+        const { operation, radius, options } = event.terrainEffect;
+        const patch = this.terrainManager.modifyTerrain(
+          event.position.x,
+          event.position.z,
+          radius,
+          operation,
+          options
+        );
+        if (patch.length > 0) {
+          this.io.to(this.gameId).emit('terrainPatch', { patch });
+        }
+      }
+
       const allPlayers = this.playerManager.getPlayersObject();
       for (const [userId, player] of Object.entries(allPlayers)) {
-        if (!player.isAlive) continue;
-    
-        const playerPos = player.getPosition();
-        const dx = playerPos.x - event.position.x;
-        const dz = playerPos.z - event.position.z;
-        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (!player.isAlive || userId === event.shieldedPlayerId) continue;
     
         // Area-of-effect damage
-        if (distance < event.aoeSize) {
+        const blast = this._calculateBlastDamage(event, player.getPosition());
+        if (blast) {
     
           // Only apply damage if greater than zero
-          if (event.damage > 0) {
-            const damageResult = ArmorShieldManager.applyDamage(player, event.damage);
-      
-            this.io.to(this.gameId).emit('playerDamaged', {
-              id: userId,
-              damage: event.damage,
-              damageDistribution: damageResult,
-              currentHealth: player.getHealth()
+          if (blast.damage > 0) {
+            this._applyPlayerDamage(userId, player, blast.damage, {
+              attackerId: event.playerId,
+              baseDamage: event.damage,
+              falloff: blast.falloff,
+              distance: blast.distance,
+              directHit: blast.directHit
             });
-      
-            if (player.getHealth() <= 0) {
-              player.isAlive = false;
-              this.io.to(this.gameId).emit('playerDefeated', { id: userId });
-            }
-            if (player.hasShield && player.getShield() <= 0) {
-              this.io.to(this.gameId).emit('removeShield', { playerId: userId });
-              player.hasShield = false;
-            }
-    
-            this.io.to(this.gameId).emit('playerListUpdated', this.playerManager.getAllPlayers());
           }
         }
       }
       this.playerManager.adjustPositionsToTerrain();
     }
+
+    // Shield hits use up energy and may bring the shield down
+    if (event.type === 'shieldDeflect' || event.type === 'shieldAbsorb') {
+      event.applied = true;
+      const player = this.playerManager.getPlayersObject()[event.playerId];
+      if (player && player.isAlive && ArmorShieldManager.drainShield(player, event.energyCost)) {
+        player.hasShield = false;
+        this.io.to(this.gameId).emit('removeShield', { playerId: event.playerId });
+      }
+      if (player) {
+        this.io.to(this.gameId).emit('playerListUpdated', this.playerManager.getAllPlayers());
+      }
+    }
+
+    // Tank falls and slides
+    if (event.type === 'tankFall' || event.type === 'tankMove' || event.type === 'tankLand') {
+      const player = this.playerManager.getPlayersObject()[event.playerId];
+      if (!player) return;
+
+      player.setPosition(event.position);
+
+      if (event.type === 'tankFall') {
+        player.isFalling = true;
+        if (event.parachute) {
+          player.removeItem('PA01', 1);
+          this.playerManager.broadcastPlayerUpdate(event.playerId);
+        }
+      } else if (event.type === 'tankLand') {
+        player.isFalling = false;
+        if (event.damage > 0 && player.isAlive) {
+          this._applyPlayerDamage(event.playerId, player, event.damage, {
+            fallHeight: event.fallHeight,
+            isFallDamage: true,
+            isKnockback: event.knockback,
+            attackerId: event.attackerId
+          });
+        }
+        this.playerManager.broadcastPlayerUpdate(event.playerId);
+      }
+    }
+
+    // Digger furrows
+    if (event.type === 'projectileBurrow' && event.terrainEffects) {
+      this._applyTerrainEffects(event.terrainEffects);
+      this.playerManager.adjustPositionsToTerrain();
+    }
+
+    // Beams: trenches first so tanks standing in them settle, then the hits
+    if (event.type === 'beamFire') {
+      this._applyTerrainEffects(event.terrainEffects);
+
+      const allPlayers = this.playerManager.getPlayersObject();
+      for (const hit of event.hits) {
+        if (hit.type === 'helicopter') {
+          this._hitHelicopter(hit.id, hit.damage, {
+            position: hit.position,
+            playerId: event.playerId,
+            explosionSize: 1.5,
+            explosionType: 'helicopter'
+          });
+          continue;
+        }
+
+        const player = allPlayers[hit.id];
+        if (player && player.isAlive && hit.damage > 0) {
+          this._applyPlayerDamage(hit.id, player, hit.damage, {
+            isBeam: true,
+            directHit: true,
+            attackerId: event.playerId
+          });
+        }
+      }
+      this.playerManager.adjustPositionsToTerrain();
+    }
+
+    // Napalm damage over time; a force field keeps the flames out as it does shells
+    if (event.type === 'tankBurn') {
+      const player = this.playerManager.getPlayersObject()[event.playerId];
+      const inForceField = player?.hasShield && player.shieldType === 'force';
+      if (player && player.isAlive && !inForceField) {
+        this._applyPlayerDamage(event.playerId, player, event.damage, {
+          isBurning: true,
+          attackerId: event.attackerId
+        });
+      }
+    }
+  }
+
+  /**
+   * A shot or beam reached a helicopter. Any hit brings one down, except in
+   * co-op defense, where a wave's helicopters have health to get through.
+   * @param {number} helicopterId
+   * @param {number} damage
+   * @param {Object} details - { position, playerId, projectileId?, explosionSize, explosionType }
+   */
+  _hitHelicopter(helicopterId, damage, details) {
+    if (this.rules.coop) {
+      const result = this.helicopterManager?.applyDamageToHelicopter(helicopterId, damage);
+      if (!result?.isDestroyed) return;
+    }
+
+    this.scoreManager?.recordHelicopterKill(details.playerId);
+    this.io.to(this.gameId).emit('helicopterDestroyed', { helicopterId, ...details });
+
+    // Remove the helicopter if it's not already removed
+    if (this.helicopterManager) {
+      this.helicopterManager.removeHelicopter(helicopterId);
+    }
+  }
+
+  /**
+   * Apply shaped terrain edits ({ operation, radius, options, position })
+   * to the heightfield and send the patches to clients.
+   */
+  _applyTerrainEffects(effects) {
+    for (const effect of effects) {
+      const patch = this.terrainManager.modifyTerrain(
+        effect.position.x,
+        effect.position.z,
+        effect.radius,
+        effect.operation,
+        effect.options
+      );
+      if (patch.length > 0) {
+        this.io.to(this.gameId).emit('terrainPatch', { patch });
+      }
+    }
+  }
+
+  /**
+   * Apply damage to a player and notify clients, handling defeat and shield loss.
+   * The game's damage multiplier is applied here, and damage to yourself or
+   * a teammate is dropped when friendly fire is off.
+   * @param {string} userId - Player ID
+   * @param {Player} player - Player instance
+   * @param {number} damage - Damage to apply
+   * @param {Object} [details] - Extra fields for the playerDamaged event
+   */
+  _applyPlayerDamage(userId, player, damage, details = {}) {
+    if (!this.rules.friendlyFire && this.playerManager.isFriendly(details.attackerId, userId)) return;
+    damage = Math.round(damage * this.rules.damageMultiplier);
+    if (damage <= 0) return;
+
+    const healthBefore = player.getHealth();
+    const damageResult = ArmorShieldManager.applyDamage(player, damage);
+    this.scoreManager?.recordDamage(
+      details.attackerId,
+      userId,
+      damageResult.shieldDamage + damageResult.armorDamage + Math.min(damageResult.healthDamage, healthBefore)
+    );
+
+    this.io.to(this.gameId).emit('playerDamaged', {
+      id: userId,
+      damage,
+      ...details,
+      damageDistribution: damageResult,
+      currentHealth: player.getHealth()
+    });
+
+    if (player.getHealth() <= 0) {
+      player.isAlive = false;
+      this.scoreManager?.recordDefeat(userId, details.attackerId);
+      this.io.to(this.gameId).emit('playerDefeated', { id: userId });
+    }
+    if (player.hasShield && player.getShield() <= 0) {
+      this.io.to(this.gameId).emit('removeShield', { playerId: userId });
+      player.hasShield = false;
+      player.shieldType = null;
+    }
+
+    this.io.to(this.gameId).emit('playerListUpdated', this.playerManager.getAllPlayers());
   }
 
   /**
@@ -74,6 +74,11 @@ export const GamePhase = {
       
         this.gameInstance.gameState = GamePhase.SHOPPING;
         this.gameInstance.broadcastGameState();
+
+        // Pay everyone for the round they just played before the shop opens
+        if (this.currentRound > 0) {
+          this.gameInstance.economyManager.payRoundEarnings(this.currentRound);
+        }
       
         // Send available items and duration to clients
         console.log(`[SHOPPING PHASE BEGIN] Shopping for ${this.shoppingDuration} seconds.`)
@@ -127,6 +132,7 @@ export const GamePhase = {
   
       this.currentRound++;
       console.log(`[ROUND MANAGER] Game [${this.gameInstance.gameId}] - Round ${this.currentRound} starting!`);
+      this.gameInstance.scoreManager.startRound();
   
       if (this.currentRound === 1) {
         this.gameInstance.playerManager.initializeTurns();
@@ -142,6 +148,9 @@ export const GamePhase = {
 
       this.gameInstance.io.to(this.gameInstance.gameId).emit('playerListUpdated', this.gameInstance.playerManager.getAllPlayers());
       this.gameInstance.broadcastGameState();
+      if (this.gameInstance.rules.coop) {
+        this.gameInstance.waveManager.startWave();
+      }
       this.gameInstance.playerManager.ensureTurnIsValid();
     }
   
@@ -159,19 +168,44 @@ async checkRoundOver() {
     return false;
   }
 
+  // A practice round lasts until the player leaves; knocked-out tanks respawn
+  if (this.gameInstance.rules.practice) {
+    return false;
+  }
+
   // Count alive non-spectator players
   const alivePlayers = Object.values(this.gameInstance.playerManager.players)
     .filter(p => p.isOnline && p.getHealth() > 0 && !p.isSpectator);
 
   // Get total non-spectator players
-  const totalNonSpectatorPlayers = Object.values(this.gameInstance.playerManager.players)
-    .filter(p => !p.isSpectator).length;
+  const nonSpectators = Object.values(this.gameInstance.playerManager.players)
+    .filter(p => !p.isSpectator);
+  const totalNonSpectatorPlayers = nonSpectators.length;
+
+  // End round if 0-1 players left (excluding spectators), in team games
+  // once everyone still standing is on the same team, and in co-op defense
+  // once the wave is over
+  let roundOver;
+  if (this.gameInstance.rules.coop) {
+    roundOver = this.gameInstance.waveManager.isWaveOver();
+  } else if (this.gameInstance.rules.teams) {
+    roundOver = new Set(alivePlayers.map(p => p.team)).size <= 1 && new Set(nonSpectators.map(p => p.team)).size > 1;
+  } else {
+    roundOver = alivePlayers.length <= 1 && totalNonSpectatorPlayers !== 1;
+  }
+
+  if (roundOver) {
+    if (this.gameInstance.rules.coop) {
+      this.gameInstance.waveManager.endWave();
+    }
 
-  // End round if 0-1 players left (excluding spectators)
-  if (alivePlayers.length <= 1 && totalNonSpectatorPlayers !== 1) {
     // Add 3 second delay
     await new Promise(resolve => setTimeout(resolve, 3000));
-    this.handleRoundEnd();
+    if (this.gameInstance._isDestroyed) return true;
+
+    // Score once anything still falling has landed; the sole survivor wins
+    const result = this.gameInstance.scoreManager.scoreRound(this.currentRound);
+    this.handleRoundEnd(result);
     return true;
   }
 
@@ -179,21 +213,23 @@ async checkRoundOver() {
 }
     /**
      * Handle the end of a round
+     * @param {Object} result - The round's scores from ScoreManager.scoreRound
      */
-    async handleRoundEnd() {
+    async handleRoundEnd(result) {
       if (this.gameInstance._isDestroyed) return;
   
       this.gameInstance.gameState = GamePhase.ROUND_ENDING;
       this.gameInstance.broadcastGameState();
   
       // Announce round end
-      this.gameInstance.io.to(this.gameInstance.gameId).emit('roundEnded', this.currentRound, this.totalRounds);
+      this.gameInstance.io.to(this.gameInstance.gameId).emit('roundEnded', this.currentRound, this.totalRounds, result);
   
       // Short delay then either start shopping or end game
       await new Promise(resolve => setTimeout(resolve, 3000));
       if (this.gameInstance._isDestroyed) return;
   
-      if (this.currentRound >= this.totalRounds) {
+      // Co-op defense is also over once the base falls
+      if (this.currentRound >= this.totalRounds || this.gameInstance.waveManager.isDefeated()) {
         this.endGame();
       } else {
         this.startShoppingPhase();
@@ -209,9 +245,13 @@ async checkRoundOver() {
       this.gameInstance.gameState = GamePhase.GAME_OVER;
       this.gameInstance.broadcastGameState();
   
-      // Announce game over with final stats
+      // Announce game over with final stats and standings
       this.gameInstance.io.to(this.gameInstance.gameId).emit('gameOver', {
-        players: this.gameInstance.playerManager.getAllPlayerStates()
+        players: this.gameInstance.playerManager.getAllPlayerStates(),
+        standings: this.gameInstance.scoreManager.getFinalStandings(),
+        teamStandings: this.gameInstance.scoreManager.getTeamStandings(),
+        rounds: this.gameInstance.scoreManager.roundResults,
+        defense: this.gameInstance.rules.coop ? this.gameInstance.waveManager.getState() : null
       });
   
       console.log(`Game [${this.gameInstance.gameId}] - Game over after ${this.currentRound} rounds.`);
@@ -0,0 +1,252 @@
+// server/ScoreManager.js
+import { TEAMS } from './PlayerManager.js';
+
+/**
+ * Points a player earns in a round. Outlasting is counted per opponent who
+ * was knocked out before you; the winner is the round's sole survivor, or
+ * in team games every member of the last team standing. In co-op defense
+ * everyone wins a wave they shot every helicopter down in.
+ */
+export const ROUND_POINTS = {
+  perOpponentOutlasted: 1,
+  roundWin: 3,
+  perKill: 2,
+  perHelicopter: 1,
+  damagePerPoint: 50, // One point for every this much damage dealt
+};
+
+/**
+ * Tallies what each player does during a round (damage, kills, helicopters
+ * and the order tanks go down in), scores the round when it ends and keeps
+ * the running totals the final standings are ranked by.
+ */
+export default class ScoreManager {
+  /**
+   * @param {GameInstance} gameInstance - Reference to the parent game instance
+   */
+  constructor(gameInstance) {
+    this.gameInstance = gameInstance;
+    this.roundStats = new Map(); // playerId -> { damageDealt, friendlyDamage, kills, helicopterKills }
+    this.defeatOrder = [];       // playerIds in the order they went down this round
+    this.totals = new Map();     // playerId -> running totals across rounds
+    this.teamRoundWins = new Map(); // team -> rounds won
+    this.roundResults = [];
+  }
+
+  /**
+   * Clears the round tally. Called as each round starts.
+   */
+  startRound() {
+    this.roundStats.clear();
+    this.defeatOrder = [];
+  }
+
+  getRoundStats(playerId) {
+    if (!this.roundStats.has(playerId)) {
+      this.roundStats.set(playerId, { damageDealt: 0, friendlyDamage: 0, kills: 0, helicopterKills: 0 });
+    }
+    return this.roundStats.get(playerId);
+  }
+
+  /**
+   * Damage to yourself or a teammate counts against you rather than for you.
+   * @param {string} attackerId - Who fired; damage nobody caused (drowning) isn't recorded.
+   * @param {string} victimId
+   * @param {number} amount - Damage actually taken, overkill excluded.
+   */
+  recordDamage(attackerId, victimId, amount) {
+    if (!attackerId || amount <= 0) return;
+    const stats = this.getRoundStats(attackerId);
+    if (this.gameInstance.playerManager.isFriendly(attackerId, victimId)) {
+      stats.friendlyDamage += amount;
+    } else {
+      stats.damageDealt += amount;
+    }
+  }
+
+  /**
+   * A tank went down; credits the kill unless it was friendly fire.
+   */
+  recordDefeat(victimId, attackerId) {
+    if (!this.defeatOrder.includes(victimId)) {
+      this.defeatOrder.push(victimId);
+    }
+    if (attackerId && !this.gameInstance.playerManager.isFriendly(attackerId, victimId)) {
+      this.getRoundStats(attackerId).kills++;
+    }
+  }
+
+  recordHelicopterKill(playerId) {
+    if (!playerId) return;
+    this.getRoundStats(playerId).helicopterKills++;
+  }
+
+  /**
+   * Places everyone in the round just played, picks the winner and adds the
+   * round's points to the running totals. Survivors share first place; the
+   * rest are placed by how long they lasted, and anyone who left without
+   * being knocked out comes last.
+   * @param {number} round
+   * @returns {Object} { round, winnerId, winningTeam, winnerName, players: [...] } sorted by placement
+   */
+  scoreRound(round) {
+    const players = Object.entries(this.gameInstance.playerManager.players)
+      .filter(([, player]) => !player.isSpectator);
+
+    const survivors = players
+      .filter(([, player]) => player.isOnline && player.getHealth() > 0)
+      .map(([id]) => id);
+    const defeated = [...this.defeatOrder].reverse()
+      .filter(id => !survivors.includes(id) && players.some(([playerId]) => playerId === id));
+    const placed = new Set([...survivors, ...defeated]);
+    const departed = players.map(([id]) => id).filter(id => !placed.has(id));
+
+    const placements = new Map();
+    survivors.forEach(id => placements.set(id, 1));
+    defeated.forEach((id, index) => placements.set(id, survivors.length + index + 1));
+    departed.forEach(id => placements.set(id, players.length));
+
+    const playerManager = this.gameInstance.playerManager;
+    let winnerId = null;
+    let winningTeam = null;
+    const { coop, teams } = this.gameInstance.rules;
+    const waveCleared = coop && this.gameInstance.waveManager.lastWaveCleared;
+    if (teams) {
+      const survivingTeams = new Set(survivors.map(id => playerManager.players[id].team));
+      if (survivingTeams.size === 1) {
+        winningTeam = [...survivingTeams][0];
+        this.teamRoundWins.set(winningTeam, (this.teamRoundWins.get(winningTeam) || 0) + 1);
+      }
+    } else if (survivors.length === 1 && !coop) {
+      winnerId = survivors[0];
+    }
+    const isWinner = (playerId, player) =>
+      waveCleared || playerId === winnerId || (winningTeam !== null && player.team === winningTeam);
+
+    const results = players.map(([playerId, player]) => {
+      const stats = this.getRoundStats(playerId);
+      const placement = placements.get(playerId);
+      const won = isWinner(playerId, player);
+      const outlasted = players.filter(([id]) =>
+        placements.get(id) > placement && !playerManager.isFriendly(playerId, id)
+      ).length;
+      const points =
+        outlasted * ROUND_POINTS.perOpponentOutlasted +
+        (won ? ROUND_POINTS.roundWin : 0) +
+        stats.kills * ROUND_POINTS.perKill +
+        stats.helicopterKills * ROUND_POINTS.perHelicopter +
+        Math.floor(stats.damageDealt / ROUND_POINTS.damagePerPoint);
+
+      const totals = this.getTotals(playerId, player);
+      totals.points += points;
+      totals.roundWins += won ? 1 : 0;
+      totals.kills += stats.kills;
+      totals.damageDealt += Math.round(stats.damageDealt);
+      totals.helicopterKills += stats.helicopterKills;
+
+      return {
+        playerId,
+        name: player.name,
+        team: player.team,
+        placement,
+        points,
+        kills: stats.kills,
+        damageDealt: Math.round(stats.damageDealt),
+        helicopterKills: stats.helicopterKills,
+        survived: survivors.includes(playerId)
+      };
+    }).sort((a, b) => a.placement - b.placement);
+
+    let winnerName = null;
+    if (winnerId) {
+      winnerName = playerManager.players[winnerId].name;
+    } else if (winningTeam !== null) {
+      winnerName = `${TEAMS[winningTeam].name} Team`;
+    }
+
+    const result = {
+      round,
+      winnerId,
+      winningTeam,
+      winnerName,
+      players: results
+    };
+    this.roundResults.push(result);
+    return result;
+  }
+
+  getTotals(playerId, player) {
+    if (!this.totals.has(playerId)) {
+      this.totals.set(playerId, {
+        playerId,
+        name: player.name,
+        color: player.getColor(),
+        team: player.team,
+        points: 0,
+        roundWins: 0,
+        kills: 0,
+        damageDealt: 0,
+        helicopterKills: 0
+      });
+    }
+    return this.totals.get(playerId);
+  }
+
+  /**
+   * Everyone who played a round, best first. Ties on points go to round
+   * wins, then kills, then damage dealt; players level on all four share
+   * a rank.
+   * @returns {Array<Object>} Totals with a `rank` added.
+   */
+  getFinalStandings() {
+    return rank([...this.totals.values()]);
+  }
+
+  /**
+   * Teams ranked the same way, on their members' summed totals and the
+   * rounds the team won. Empty in free-for-all games.
+   * @returns {Array<Object>} { team, name, points, roundWins, kills, damageDealt, helicopterKills, rank }
+   */
+  getTeamStandings() {
+    const teamCount = this.gameInstance.rules.teams;
+    const teams = TEAMS.slice(0, teamCount).map((team, index) => ({
+      team: index,
+      name: `${team.name} Team`,
+      points: 0,
+      roundWins: this.teamRoundWins.get(index) || 0,
+      kills: 0,
+      damageDealt: 0,
+      helicopterKills: 0
+    }));
+
+    for (const totals of this.totals.values()) {
+      const entry = teams[totals.team];
+      if (!entry) continue;
+      entry.points += totals.points;
+      entry.kills += totals.kills;
+      entry.damageDealt += totals.damageDealt;
+      entry.helicopterKills += totals.helicopterKills;
+    }
+    return rank(teams);
+  }
+}
+
+const RANKING_KEYS = ['points', 'roundWins', 'kills', 'damageDealt'];
+
+function compareStandings(a, b) {
+  for (const key of RANKING_KEYS) {
+    if (a[key] !== b[key]) return b[key] - a[key];
+  }
+  return 0;
+}
+
+/**
+ * Sorts best first and adds a `rank`; entries level on every key share one.
+ */
+function rank(entries) {
+  const sorted = [...entries].sort(compareStandings);
+  return sorted.map((entry) => {
+    const tiedWith = sorted.findIndex(other => compareStandings(entry, other) === 0);
+    return { ...entry, rank: tiedWith + 1 };
+  });
+}
@@ -0,0 +1,57 @@
+// server/SeededRandom.js
+import { Alea } from './TerrainGenerator.js';
+
+/**
+ * Deterministic random source for a single game. Every subsystem draws from
+ * the game's instance, so the same seed plus the same input log replays the
+ * same match.
+ */
+export default class SeededRandom {
+  /**
+   * @param {number|string} [seed] - Seed value; defaults to the current time
+   */
+  constructor(seed = Date.now()) {
+    this.seed = seed;
+    this.alea = new Alea(String(seed));
+  }
+
+  /**
+   * @returns {number} Float in [0, 1)
+   */
+  next() {
+    return this.alea.next();
+  }
+
+  /**
+   * @returns {number} Float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * @returns {number} Integer in [0, maxExclusive)
+   */
+  int(maxExclusive) {
+    return Math.floor(this.next() * maxExclusive);
+  }
+
+  /**
+   * @returns {*} A random element of the array, or undefined if empty
+   */
+  pick(array) {
+    return array[this.int(array.length)];
+  }
+
+  /**
+   * Fisher-Yates shuffle in place.
+   * @returns {Array} The same array
+   */
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = this.int(i + 1);
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+}
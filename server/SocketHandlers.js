@@ -45,6 +45,24 @@ export function registerPlayerSocketHandlers(socket, gameInstance) {
       gameInstance.processPlayerInput(userId, input);
     },
 
+    'teamChange': (team) => {
+      const userId = getUserIdFromSocket(socket);
+      if (!userId) return;
+      const error = gameInstance.setPlayerTeam(userId, team);
+      if (error) {
+        socket.emit('errorMessage', error);
+      }
+    },
+
+    'practiceCommand': async (command) => {
+      const userId = getUserIdFromSocket(socket);
+      if (!userId) return;
+      const error = await gameInstance.practiceManager.handleCommand(userId, command);
+      if (error) {
+        socket.emit('errorMessage', error);
+      }
+    },
+
     'weaponChange': (tankId, weaponCode) => {
       const userId = getUserIdFromSocket(socket);
       if (!userId) return;
@@ -1,11 +1,14 @@
 // SpawnManager.js
+import SeededRandom from './SeededRandom.js';
+
 export default class SpawnManager {
-    constructor(terrainManager, players) {
+    constructor(terrainManager, players, rng = null) {
         if (!terrainManager) {
             throw new Error('TerrainManager is required for SpawnManager initialization');
         }
         this.terrainManager = terrainManager;
         this.players = players;
+        this.rng = rng || new SeededRandom();
         
         // Configuration constants
         this.MAP_SIZE = 240;
@@ -46,7 +49,7 @@ export default class SpawnManager {
         }
 
         // Get random available spawn index
-        const randomIdx = Math.floor(Math.random() * this.availablePregameSpawns.length);
+        const randomIdx = this.rng.int(this.availablePregameSpawns.length);
         const spawnIndex = this.availablePregameSpawns[randomIdx];
         
         // Remove this spawn point from available pool
@@ -88,7 +91,7 @@ export default class SpawnManager {
     
     getRandomCoordinate() {
         const max = this.MAP_BOUNDARY - this.MIN_EDGE_DISTANCE;
-        return (Math.random() * 2 - 1) * max;
+        return this.rng.range(-max, max);
     }
     
     isValidSpawnPosition(x, y, z) {
@@ -4,6 +4,24 @@ import { createNoise2D } from 'simplex-noise';
 const DEFAULT_YIELD_INTERVAL = 2;         // For row-based loops
 const DEFAULT_DROPLET_YIELD_INTERVAL = 100; // For droplet iterations in hydraulic erosion
 
+// Largest amount a Catmull-Rom bicubic patch can exceed the max of its 4x4
+// samples, as a fraction of the samples' range (sum of the negative weights).
+const BICUBIC_OVERSHOOT = 0.28125;
+
+export const THEMES = ['grassland', 'arctic', 'desert'];
+
+// Height of the water surface per theme; themes without water are omitted
+// (arctic lakes are frozen solid).
+export const WATER_LEVELS = {
+  grassland: -5,
+};
+
+// Defaults for the shaped dirt operations (see getShapeOffset)
+const TUNNEL_SPREAD = Math.PI / 8;  // Half-angle of a tunnel's cone
+const TUNNEL_MIN_HALF_WIDTH = 1;    // Width of the cone at its apex
+const WALL_HEIGHT = 6;
+const WALL_THICKNESS = 3;
+
 export default class TerrainGenerator {
   constructor(options = {}) {
     this.width = options.width || 240;
@@ -11,6 +29,7 @@ export default class TerrainGenerator {
     this.segments = options.segments || 250;
     this.seed = options.seed || Math.floor(Math.random() * 10000);
     this.theme = options.theme || 'grassland';
+    this.waterLevel = WATER_LEVELS[this.theme] ?? null;
 
     this.yieldInterval = options.yieldInterval || DEFAULT_YIELD_INTERVAL;
     this.dropletYieldInterval = options.dropletYieldInterval || DEFAULT_DROPLET_YIELD_INTERVAL;
@@ -20,6 +39,7 @@ export default class TerrainGenerator {
     
     // Create a seeded random number generator
     const aleaGen = new Alea(this.seed.toString());
+    this.random = aleaGen;
     
     // Initialize noise generators with different seeds for variety
     this.baseNoise = createNoise2D(() => aleaGen.next());
@@ -178,8 +198,8 @@ export default class TerrainGenerator {
   async applyHydraulicErosion() {
     const { dropletCount, erosionStrength, depositionStrength } = this.config.erosion;
     for (let i = 0; i < dropletCount; i++) {
-      let x = Math.random() * this.segments;
-      let z = Math.random() * this.segments;
+      let x = this.random.next() * this.segments;
+      let z = this.random.next() * this.segments;
       let water = 1.0;
       let sediment = 0.0;
       const maxSteps = 64;
@@ -287,33 +307,139 @@ export default class TerrainGenerator {
     return t * t * (3 - 2 * t);
   }
 
-  modifyTerrain(centerX, centerZ, radius, operation = 'flatten') {
+  /**
+   * Depth removed by a crater of the given radius at a distance from its center.
+   * Full depth across the inner half, easing to zero at the rim.
+   */
+  static getCraterDepth(distance, radius) {
+    if (radius <= 0 || distance > radius) return 0;
+    if (distance <= radius * 0.5) return radius;
+    const blendFactor = 1.0 - (distance - radius * 0.5) / (radius * 0.5);
+    return radius * blendFactor * blendFactor;
+  }
+
+  /**
+   * Signed height change a shaped operation makes at an offset (dx, dz) from
+   * its center. 'crater' and 'tunnel' remove dirt, 'mound' and 'wall' add it.
+   *
+   * - mound: dome of `radius` rising `options.height` (default: radius)
+   * - tunnel: cone starting at the center and opening along
+   *   `options.direction` for `radius` units, `options.depth` deep at the apex
+   *   and shallowing out towards the far end
+   * - wall: ridge `options.height` tall and `options.thickness` thick, running
+   *   `radius` to either side of the center across `options.direction`
+   * - furrow: groove `options.width` wide and `options.depth` deep running
+   *   `radius` from the center along `options.direction`
+   * - trench: channel `options.width` wide running `radius` from the center
+   *   along `options.direction`, cut down to a floor that starts at
+   *   `options.floorY` and changes by `options.slope` per unit along it.
+   *   Only cuts ground above the floor, so it needs `currentHeight`.
+   *
+   * `options.direction` is a horizontal unit vector {x, z}.
+   */
+  static getShapeOffset(operation, dx, dz, radius, options = {}, currentHeight = -Infinity) {
+    if (radius <= 0) return 0;
+    const direction = options.direction || { x: 0, z: 1 };
+
+    switch (operation) {
+      case 'crater':
+        return -TerrainGenerator.getCraterDepth(Math.sqrt(dx * dx + dz * dz), radius);
+      case 'mound': {
+        const t = Math.sqrt(dx * dx + dz * dz) / radius;
+        if (t >= 1) return 0;
+        return (options.height ?? radius) * Math.sqrt(1 - t * t);
+      }
+      case 'tunnel': {
+        const along = dx * direction.x + dz * direction.z;
+        if (along < 0 || along > radius) return 0;
+        const across = Math.abs(dx * direction.z - dz * direction.x);
+        const halfWidth = TUNNEL_MIN_HALF_WIDTH + along * Math.tan(options.spread ?? TUNNEL_SPREAD);
+        if (across >= halfWidth) return 0;
+        const s = across / halfWidth;
+        return -(options.depth ?? radius * 0.5) * (1 - along / radius) * (1 - s * s);
+      }
+      case 'wall': {
+        const across = Math.abs(dx * direction.x + dz * direction.z);
+        const along = Math.abs(dx * direction.z - dz * direction.x);
+        const halfThickness = (options.thickness ?? WALL_THICKNESS) / 2;
+        if (across >= halfThickness || along >= radius) return 0;
+        // Flat top, rounded sides, and ends that slope down over the last fifth
+        const side = across / halfThickness;
+        const endTaper = Math.min(1, (1 - along / radius) * 5);
+        return (options.height ?? WALL_HEIGHT) * (1 - side ** 4) * endTaper;
+      }
+      case 'furrow': {
+        const along = dx * direction.x + dz * direction.z;
+        const across = Math.abs(dx * direction.z - dz * direction.x);
+        const halfWidth = options.width / 2;
+        // Round caps at both ends
+        const overshoot = along < 0 ? -along : Math.max(0, along - radius);
+        const distance = Math.hypot(across, overshoot);
+        if (distance >= halfWidth) return 0;
+        const s = distance / halfWidth;
+        return -options.depth * (1 - s * s);
+      }
+      case 'trench': {
+        const along = dx * direction.x + dz * direction.z;
+        const across = Math.abs(dx * direction.z - dz * direction.x);
+        const halfWidth = options.width / 2;
+        if (across >= halfWidth || along < -halfWidth || along > radius + halfWidth) return 0;
+        const floor = options.floorY + options.slope * Math.max(0, Math.min(radius, along));
+        // Rounded sides so the cut doesn't leave vertical cliffs
+        const side = across / halfWidth;
+        const cut = Math.min(0, floor - currentHeight);
+        return cut * (1 - side * side);
+      }
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Farthest distance from the center a shaped operation can reach.
+   */
+  static getShapeReach(operation, radius, options = {}) {
+    if (operation === 'wall') {
+      return Math.hypot(radius, (options.thickness ?? WALL_THICKNESS) / 2);
+    }
+    if (operation === 'trench' || operation === 'furrow') {
+      return radius + options.width / 2;
+    }
+    return radius;
+  }
+
+  /**
+   * Apply a terrain operation around a point and return the changed vertices.
+   * 'flatten' levels the area to the height at its center; any other
+   * operation is a shape from getShapeOffset.
+   * @param {Object} [options] - Shape options passed to getShapeOffset
+   * @returns {Array<{index: number, height: number}>} Terrain patch
+   */
+  modifyTerrain(centerX, centerZ, radius, operation = 'flatten', options = {}) {
     const patch = [];
     const startHeight = this.getHeightAtPosition(centerX, centerZ);
-    for (let z = 0; z <= this.segments; z++) {
-      for (let x = 0; x <= this.segments; x++) {
+    const reach = TerrainGenerator.getShapeReach(operation, radius, options);
+
+    // Only visit grid cells inside the bounding square of the affected circle
+    const minX = Math.max(0, Math.floor(this.worldToGrid(centerX - reach, 'x')));
+    const maxX = Math.min(this.segments, Math.ceil(this.worldToGrid(centerX + reach, 'x')));
+    const minZ = Math.max(0, Math.floor(this.worldToGrid(centerZ - reach, 'z')));
+    const maxZ = Math.min(this.segments, Math.ceil(this.worldToGrid(centerZ + reach, 'z')));
+
+    for (let z = minZ; z <= maxZ; z++) {
+      for (let x = minX; x <= maxX; x++) {
         const xPos = this.gridToWorld(x, 'x');
         const zPos = this.gridToWorld(z, 'z');
         const distance = Math.sqrt((xPos - centerX) ** 2 + (zPos - centerZ) ** 2);
-        if (distance > radius) continue;
+        if (distance > reach) continue;
         const currentHeight = this.getHeight(x, z);
         let newHeight = currentHeight;
-        switch (operation) {
-          case 'flatten': {
-            const t = Math.max(0, Math.min(1, distance / radius));
-            const blend = t * t * (3 - 2 * t);
-            newHeight = startHeight * (1 - blend) + currentHeight * blend;
-            break;
-          }
-          case 'crater': {
-            if (radius > 0) {
-              const blendFactor = distance > radius*0.5 
-                ? 1.0 - (distance - radius*0.5)/(radius*0.5)
-                : 1.0;
-              newHeight -= radius * blendFactor * (distance <= radius*0.5 ? 1 : blendFactor);
-            break;
-            }
-          }
+        if (operation === 'flatten') {
+          const t = Math.max(0, Math.min(1, distance / radius));
+          const blend = t * t * (3 - 2 * t);
+          newHeight = startHeight * (1 - blend) + currentHeight * blend;
+        } else {
+          newHeight += TerrainGenerator.getShapeOffset(operation, xPos - centerX, zPos - centerZ, radius, options, currentHeight);
         }
         if (Math.abs(newHeight - currentHeight) > 0.001) {
           this.setHeight(x, z, newHeight);
@@ -334,13 +460,15 @@ export default class TerrainGenerator {
       width: this.width,
       depth: this.depth,
       segments: this.segments,
-      theme: this.theme
+      theme: this.theme,
+      waterLevel: this.waterLevel
     };
   }
 
   setHeight(x, z, height) {
     const index = z * (this.segments + 1) + x;
     this.heightData[index] = height;
+    this.cellBoundsDirty = true;
   }
 
   getHeight(x, z) {
@@ -365,33 +493,57 @@ export default class TerrainGenerator {
     const fx = gridX - xCenter;
     const fz = gridZ - zCenter;
   
-    // Create 9x9 grid of samples
-    // We'll use a 4x4 grid for each cubic interpolation, which needs 16 samples
-    // The samples will be centered around the target position
-    const radius = 4; // How many grid cells in each direction from center
+    // Collect the 4x4 samples the cubic interpolation needs, from one cell
+    // before the central cell to two after, clamped at the terrain edges
     const samples = [];
-    
-    // Collect the height samples in a 9x9 grid
-    for (let zi = -radius; zi <= radius; zi++) {
+    for (let zi = -1; zi <= 2; zi++) {
       const row = [];
-      for (let xi = -radius; xi <= radius; xi++) {
-        // Calculate grid coordinates with clamping
+      const sampleZ = Math.max(0, Math.min(this.segments, zCenter + zi));
+      for (let xi = -1; xi <= 2; xi++) {
         const sampleX = Math.max(0, Math.min(this.segments, xCenter + xi));
-        const sampleZ = Math.max(0, Math.min(this.segments, zCenter + zi));
-        
-        // Get height at this grid point
         row.push(this.getHeight(sampleX, sampleZ));
       }
       samples.push(row);
     }
-  
-    // Use central 4x4 grid for the actual interpolation
-    // The 9x9 grid ensures we have enough samples for edge cases
-    const startX = radius - 1;
-    const startZ = radius - 1;
-    
+
     // Now perform bicubic interpolation
-    return this.bicubicInterpolate(samples, startX, startZ, fx, fz);
+    return this.bicubicInterpolate(samples, 0, 0, fx, fz);
+  }
+
+  /**
+   * Upper bound of the bicubic surface over every grid cell, for skipping
+   * cells a ray passes safely above. Rebuilt lazily after heights change.
+   * @returns {Float64Array} segments * segments bounds, indexed z * segments + x
+   */
+  getCellMaxHeights() {
+    if (this.cellMaxHeights && !this.cellBoundsDirty) {
+      return this.cellMaxHeights;
+    }
+
+    const n = this.segments;
+    if (!this.cellMaxHeights) {
+      this.cellMaxHeights = new Float64Array(n * n);
+    }
+
+    for (let z = 0; z < n; z++) {
+      for (let x = 0; x < n; x++) {
+        // Same 4x4 neighbourhood getHeightAtPositionBicubic uses for this cell
+        let max = -Infinity;
+        let min = Infinity;
+        for (let zi = -1; zi <= 2; zi++) {
+          const sampleZ = Math.max(0, Math.min(n, z + zi));
+          for (let xi = -1; xi <= 2; xi++) {
+            const height = this.getHeight(Math.max(0, Math.min(n, x + xi)), sampleZ);
+            if (height > max) max = height;
+            if (height < min) min = height;
+          }
+        }
+        this.cellMaxHeights[z * n + x] = max + (max - min) * BICUBIC_OVERSHOOT;
+      }
+    }
+
+    this.cellBoundsDirty = false;
+    return this.cellMaxHeights;
   }
   
   // Helper function to evaluate the cubic basis functions
@@ -457,7 +609,7 @@ export default class TerrainGenerator {
 }
 
 // Alea random number generator
-class Alea {
+export class Alea {
   constructor(seed) {
     this.s0 = 0;
     this.s1 = 0;
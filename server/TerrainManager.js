@@ -1,5 +1,6 @@
 // server/TerrainManager.js
 import TerrainGenerator from './TerrainGenerator.js';
+import SeededRandom from './SeededRandom.js';
 
 /**
  * Configuration for different themes and height-based foliage spawning.
@@ -75,6 +76,8 @@ export default class TerrainManager {
   constructor(options = {}, isPreGame = false) {
     this.generator = new TerrainGenerator(options);
     this.theme = options.theme || 'grassland';
+    // Game-wide random source for foliage; falls back to one seeded from the terrain
+    this.rng = options.rng || new SeededRandom(this.generator.seed);
     // If not in pre-game, terrainData and foliage will be generated asynchronously.
     if (isPreGame) return;
   }
@@ -105,8 +108,8 @@ export default class TerrainManager {
     return this.terrainData.heightData[index] || 0;
   }
 
-  modifyTerrain(x, z, radius, operation = 'crater') {
-    const patch = this.generator.modifyTerrain(x, z, radius, operation);
+  modifyTerrain(x, z, radius, operation = 'crater', options = {}) {
+    const patch = this.generator.modifyTerrain(x, z, radius, operation, options);
     this.terrainData = this.generator.getTerrainData();
     return patch;
   }
@@ -150,10 +153,7 @@ export default class TerrainManager {
       }
     }
     // Shuffle positions using Fisher-Yates
-    for (let i = positions.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [positions[i], positions[j]] = [positions[j], positions[i]];
-    }
+    this.rng.shuffle(positions);
     let attemptCount = 0;
     for (const pos of positions) {
       if (spots.length >= maxSpots || attemptCount >= attempts) break;
@@ -175,7 +175,7 @@ export default class TerrainManager {
       let scale = 0.1;
       if (foliageId && FOLIAGE_SCALE_CONFIG[foliageId]) {
         const { minScale, maxScale } = FOLIAGE_SCALE_CONFIG[foliageId];
-        scale = minScale + Math.random() * (maxScale - minScale);
+        scale = this.rng.range(minScale, maxScale);
         scale /= 10;
       }
       if (foliageId) {
@@ -216,7 +216,7 @@ export default class TerrainManager {
     const tier = config.find(t => y >= t.minHeight && y < t.maxHeight);
     if (!tier || tier.foliageIds.length === 0) return null;
     const foliageIds = tier.foliageIds;
-    return foliageIds[Math.floor(Math.random() * foliageIds.length)];
+    return this.rng.pick(foliageIds);
   }
 
   destroy() {
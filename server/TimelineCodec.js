@@ -0,0 +1,160 @@
+// server/TimelineCodec.js
+
+/**
+ * Compact wire format for `fullProjectileTimeline`.
+ *
+ * `projectileMove` and `tankMove` events make up nearly all of a big
+ * volley's timeline, so they are pulled out into one path per projectile and
+ * one per tank: times become Uint16 millisecond deltas and positions become
+ * quantized xyz deltas in an Int16Array (Int32Array when a step does not
+ * fit). A guided projectile's `projectileGuidanceUpdate` rides along with the
+ * move that follows it in the same simulation step, as a quantized direction
+ * and speed on its path. Socket.io sends typed arrays as binary attachments.
+ * Every other event is passed through as-is.
+ *
+ * The client counterpart lives in client/src/TimelineCodec.js.
+ */
+
+export const TIMELINE_FORMAT = 'compact-v2';
+
+// Quantization steps per world unit (0.01 unit precision)
+export const POSITION_SCALE = 100;
+// Quantization steps for a unit direction component and a speed in units/s
+export const DIRECTION_SCALE = 10000;
+export const SPEED_SCALE = 100;
+
+const INT16_MIN = -32768;
+const INT16_MAX = 32767;
+const UINT16_MAX = 65535;
+
+/**
+ * @param {Array<Object>} timelineEvents - Timeline as produced by the projectile manager
+ * @returns {{format: string, scale: number, events: Array<Object>, paths: Array<Object>, tankPaths: Array<Object>}}
+ */
+export function encodeTimeline(timelineEvents) {
+  const events = [];
+  const movesByProjectile = new Map();
+  const guidanceByProjectile = new Map();
+  const movesByTank = new Map();
+
+  for (const event of timelineEvents) {
+    if (event.type === 'projectileMove') {
+      addToGroup(movesByProjectile, event.projectileId, event);
+    } else if (event.type === 'projectileGuidanceUpdate') {
+      addToGroup(guidanceByProjectile, event.projectileId, event);
+    } else if (event.type === 'tankMove') {
+      addToGroup(movesByTank, event.playerId, event);
+    } else {
+      events.push(event);
+    }
+  }
+
+  const paths = [];
+  movesByProjectile.forEach((moves, projectileId) => {
+    moves.sort((a, b) => a.time - b.time);
+    const path = { projectileId, ...encodePath(moves) };
+    const updates = guidanceByProjectile.get(projectileId);
+    if (updates) {
+      const { guidance, unmatched } = encodeGuidance(moves, updates);
+      if (guidance) path.guidance = guidance;
+      events.push(...unmatched);
+      guidanceByProjectile.delete(projectileId);
+    }
+    paths.push(path);
+  });
+  // Guidance for a projectile that never reported a move has nothing to ride on
+  guidanceByProjectile.forEach(updates => events.push(...updates));
+
+  const tankPaths = [];
+  movesByTank.forEach((moves, playerId) => {
+    moves.sort((a, b) => a.time - b.time);
+    tankPaths.push({ playerId, ...encodePath(moves) });
+  });
+
+  return { format: TIMELINE_FORMAT, scale: POSITION_SCALE, events, paths, tankPaths };
+}
+
+function addToGroup(groups, key, event) {
+  if (!groups.has(key)) {
+    groups.set(key, []);
+  }
+  groups.get(key).push(event);
+}
+
+/**
+ * Pair each guidance update with the first move at or after it. Updates left
+ * without a move (the projectile hit something that step) stay plain events.
+ */
+function encodeGuidance(moves, updates) {
+  updates.sort((a, b) => a.time - b.time);
+  const indices = [];
+  const directions = [];
+  const speeds = [];
+  const unmatched = [];
+
+  let moveIndex = 0;
+  for (const update of updates) {
+    while (moveIndex < moves.length && moves[moveIndex].time < update.time) moveIndex++;
+    if (moveIndex >= moves.length || indices[indices.length - 1] === moveIndex) {
+      unmatched.push(update);
+      continue;
+    }
+    indices.push(moveIndex);
+    directions.push(
+      Math.round(update.direction.x * DIRECTION_SCALE),
+      Math.round(update.direction.y * DIRECTION_SCALE),
+      Math.round(update.direction.z * DIRECTION_SCALE)
+    );
+    speeds.push(Math.min(UINT16_MAX, Math.max(0, Math.round(update.currentSpeed * SPEED_SCALE))));
+  }
+
+  const guidance = indices.length > 0
+    ? {
+      indices: Uint16Array.from(indices),
+      directions: Int16Array.from(directions),
+      speeds: Uint16Array.from(speeds),
+    }
+    : null;
+  return { guidance, unmatched };
+}
+
+function encodePath(moves) {
+  const startTime = Math.round(moves[0].time);
+  const timeDeltas = new Uint16Array(moves.length);
+  const positionDeltas = new Array(moves.length * 3);
+
+  let prevTime = startTime;
+  let prevX = 0;
+  let prevY = 0;
+  let prevZ = 0;
+  let wide = false;
+
+  moves.forEach((move, i) => {
+    const time = Math.round(move.time);
+    timeDeltas[i] = Math.min(UINT16_MAX, Math.max(0, time - prevTime));
+    prevTime += timeDeltas[i];
+
+    const x = Math.round(move.position.x * POSITION_SCALE);
+    const y = Math.round(move.position.y * POSITION_SCALE);
+    const z = Math.round(move.position.z * POSITION_SCALE);
+    const dx = x - prevX;
+    const dy = y - prevY;
+    const dz = z - prevZ;
+    positionDeltas[i * 3] = dx;
+    positionDeltas[i * 3 + 1] = dy;
+    positionDeltas[i * 3 + 2] = dz;
+    if (Math.min(dx, dy, dz) < INT16_MIN || Math.max(dx, dy, dz) > INT16_MAX) {
+      wide = true;
+    }
+    prevX = x;
+    prevY = y;
+    prevZ = z;
+  });
+
+  return {
+    startTime,
+    wide,
+    times: timeDeltas,
+    positions: wide ? Int32Array.from(positionDeltas) : Int16Array.from(positionDeltas),
+  };
+}
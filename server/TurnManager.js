@@ -11,7 +11,10 @@ export default class TurnManager {
     this.gameId = gameId;
     this.playerManager = playerManager;
     this.gameInstance = gameInstance; // New: store a reference to the game instance
-    this.TURN_DURATION = 40000;
+    this.TURN_DURATION = gameInstance.rules.turnDuration;
+
+    this.wind = { x: 0, z: 0 };
+    this.windRound = null; // Round the current wind was picked in
 
     this.players = new Map(); // Map of userId -> {id, name}
     this.playerOrder = [];    // Array of userIds in turn order
@@ -82,13 +85,17 @@ export default class TurnManager {
   randomizeOrder() {
     // Randomize the player order
     for (let i = this.playerOrder.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = this.gameInstance.rng.int(i + 1);
       [this.playerOrder[i], this.playerOrder[j]] = [this.playerOrder[j], this.playerOrder[i]];
     }
+
+    if (this.gameInstance.rules.teams) {
+      this.playerOrder = this.interleaveTeams(this.playerOrder);
+    }
     
     // Set initial turn index if we have players
     if (this.playerOrder.length > 0) {
-      this.currentTurnIndex = Math.floor(Math.random() * this.playerOrder.length);
+      this.currentTurnIndex = this.gameInstance.rng.int(this.playerOrder.length);
     }
 
     // Broadcast the updated player list to reflect new order
@@ -96,17 +103,56 @@ export default class TurnManager {
   }
 
 
+  /**
+   * Reorders so turns alternate between teams, keeping each team's own
+   * shuffled order. Once a smaller team runs out, the rest go in turn.
+   */
+  interleaveTeams(order) {
+    const byTeam = new Map();
+    for (const playerId of order) {
+      const team = this.playerManager.players[playerId]?.team ?? null;
+      if (!byTeam.has(team)) byTeam.set(team, []);
+      byTeam.get(team).push(playerId);
+    }
+
+    const queues = [...byTeam.values()];
+    const interleaved = [];
+    while (interleaved.length < order.length) {
+      for (const queue of queues) {
+        if (queue.length > 0) interleaved.push(queue.shift());
+      }
+    }
+    return interleaved;
+  }
+
+  /**
+   * Whether everyone aims and fires together (see VolleyManager) rather
+   * than one player at a time.
+   */
+  isSimultaneous() {
+    return this.gameInstance.rules.fireMode === 'simultaneous';
+  }
+
   startTurnTimer() {
+    if (this.isSimultaneous()) {
+      this.gameInstance.volleyManager.startAiming();
+      return;
+    }
     // Stop any previous timer.
     this.stopTurnTimer();
     if (this.currentTurnIndex === -1 || this.playerOrder.length === 0) {
       return;
     }
+    this.updateWind();
+    // Practice games take as long as the player likes
+    if (this.gameInstance.rules.practice) {
+      this.broadcastTurnUpdate();
+      return;
+    }
     // Start the turn timer.
     this.turnStartTime = Date.now();
-    this.turnTimer = setTimeout(() => {
-      this.advanceTurn();
-    }, this.TURN_DURATION);
+    // A turn that runs out still drowns tanks and, in co-op, lets the helicopters attack
+    this.turnTimer = setTimeout(() => this.gameInstance.passTurn(), this.TURN_DURATION);
     // Notify all players of the turn update.
     this.broadcastTurnUpdate();
 
@@ -118,7 +164,36 @@ export default class TurnManager {
     }
   }
 
+  /**
+   * Fresh wind for a new turn or volley, unless the rules hold it for the
+   * whole round and it has already been picked this round.
+   */
+  updateWind() {
+    const round = this.gameInstance.roundManager?.currentRound ?? null;
+    if (this.gameInstance.rules.windChange === 'round' && round === this.windRound) {
+      return;
+    }
+    this.windRound = round;
+    this.randomizeWind();
+  }
+
+  /**
+   * Pick a new wind vector and hand it to the projectile simulator.
+   */
+  randomizeWind() {
+    const angle = this.gameInstance.rng.next() * Math.PI * 2;
+    const strength = this.gameInstance.rng.next() * this.gameInstance.rules.maxWind;
+    this.wind = {
+      x: Math.cos(angle) * strength,
+      z: Math.sin(angle) * strength
+    };
+    this.gameInstance?.projectileManager?.setWind(this.wind);
+  }
+
   stopTurnTimer() {
+    if (this.isSimultaneous()) {
+      this.gameInstance.volleyManager.stopAiming();
+    }
     if (this.turnTimer) {
       clearTimeout(this.turnTimer);
       this.turnTimer = null;
@@ -164,16 +239,22 @@ export default class TurnManager {
   }
   
   getTimeRemaining() {
+    if (this.gameInstance.rules.practice) return 0;
     if (!this.turnStartTime) return this.TURN_DURATION;
     const elapsed = Date.now() - this.turnStartTime;
     return Math.max(0, this.TURN_DURATION - elapsed);
   }
 
   broadcastTurnUpdate() {
+    if (this.isSimultaneous()) {
+      this.gameInstance.volleyManager.broadcastAiming();
+      return;
+    }
     this.io.to(this.gameId).emit('turnUpdate', {
       currentPlayerId: this.getCurrentPlayerId(),
       turnTimeRemaining: this.getTimeRemaining(),
-      turnStartTime: Date.now() // server timestamp
+      turnStartTime: Date.now(), // server timestamp
+      wind: this.wind
     });  
   }
 
@@ -0,0 +1,202 @@
+// server/VolleyManager.js
+import { GamePhase } from './RoundManager.js';
+import { fireShot } from './PlayerInput.js';
+
+/**
+ * Runs simultaneous-fire games. Instead of taking turns, every living tank
+ * aims in one shared window and locks in a shot. Once everyone has (or the
+ * window runs out) the shots are all simulated against the same terrain and
+ * played back as one merged timeline, damage landing in time order.
+ */
+export default class VolleyManager {
+  /**
+   * @param {GameInstance} gameInstance - Reference to the parent game instance
+   */
+  constructor(gameInstance) {
+    this.gameInstance = gameInstance;
+    this.lockedIn = new Map(); // playerId -> { weaponCode, target }
+    this.aimTimer = null;
+    this.aimStartTime = null;
+    this.isResolving = false;  // Shots are being fired or played back
+    this.endAt = 0;            // Date.now() the volley playing out is held open until
+    this.endTimer = null;
+  }
+
+  isAiming() {
+    return this.aimStartTime !== null;
+  }
+
+  /**
+   * Living tanks that get a shot in this volley.
+   */
+  getShooterIds() {
+    return Object.entries(this.gameInstance.playerManager.players)
+      .filter(([, player]) => !player.isSpectator && player.isOnline && player.getHealth() > 0)
+      .map(([id]) => id);
+  }
+
+  /**
+   * Whether a player may still aim: the window is open, their tank is alive
+   * and they haven't locked in yet.
+   */
+  canAim(playerId) {
+    return this.isAiming() && !this.lockedIn.has(playerId) && this.getShooterIds().includes(playerId);
+  }
+
+  /**
+   * Open the shared aiming window with the volley's wind. CPUs start working out
+   * their shots straight away.
+   */
+  startAiming() {
+    if (this.isResolving) return;
+    this.stopAiming();
+    if (this.gameInstance._isDestroyed) return;
+
+    const { playerManager } = this.gameInstance;
+    const turnManager = playerManager.turnManager;
+    this.lockedIn.clear();
+    turnManager.updateWind();
+
+    this.aimStartTime = Date.now();
+    this.aimTimer = setTimeout(() => this.resolve(), turnManager.TURN_DURATION);
+    this.broadcastAiming();
+
+    for (const playerId of this.getShooterIds()) {
+      const player = playerManager.players[playerId];
+      if (player.isCPU && typeof player.simulateTurn === 'function') {
+        player.simulateTurn(this.gameInstance, playerId);
+      }
+    }
+  }
+
+  stopAiming() {
+    if (this.aimTimer) {
+      clearTimeout(this.aimTimer);
+      this.aimTimer = null;
+    }
+    this.aimStartTime = null;
+  }
+
+  getTimeRemaining() {
+    if (!this.isAiming()) return 0;
+    const { TURN_DURATION } = this.gameInstance.playerManager.turnManager;
+    return Math.max(0, TURN_DURATION - (Date.now() - this.aimStartTime));
+  }
+
+  /**
+   * Send each player a turnUpdate: those still aiming are told it's their
+   * turn, everyone else sees nobody's. `lockedIn` says who is done aiming
+   * without giving away their shot.
+   */
+  broadcastAiming() {
+    const { playerManager, io } = this.gameInstance;
+    const update = {
+      turnTimeRemaining: this.getTimeRemaining(),
+      turnStartTime: Date.now(), // server timestamp
+      wind: playerManager.turnManager.wind,
+      simultaneous: true,
+      lockedIn: [...this.lockedIn.keys()]
+    };
+
+    for (const [playerId, player] of Object.entries(playerManager.players)) {
+      if (!player.currentSocketId) continue;
+      io.to(player.currentSocketId).emit('turnUpdate', {
+        ...update,
+        currentPlayerId: this.canAim(playerId) ? playerId : null
+      });
+    }
+  }
+
+  /**
+   * Hold a player's checked shot until the volley fires. Fires right away
+   * once every living tank is locked in.
+   * @param {Object} shot - { weaponCode, target } from checkShot
+   */
+  lockIn(playerId, shot) {
+    if (!this.canAim(playerId)) return;
+
+    this.lockedIn.set(playerId, shot);
+    console.log(`Game [${this.gameInstance.gameId}] - ${playerId} locked in ${shot.weaponCode}.`);
+
+    if (this.getShooterIds().every(id => this.lockedIn.has(id))) {
+      this.resolve();
+    } else {
+      this.broadcastAiming();
+    }
+  }
+
+  /**
+   * Fire every locked-in shot together. Everyone's aim is revealed first so
+   * the turrets line up with the shells leaving them.
+   */
+  resolve() {
+    this.stopAiming();
+    const { playerManager, projectileManager } = this.gameInstance;
+    if (this.gameInstance._isDestroyed || this.gameInstance.gameState !== GamePhase.ROUND_IN_PROGRESS) return;
+
+    this.isResolving = true;
+    this.broadcastAiming();
+
+    for (const player of Object.values(playerManager.players)) {
+      if (player.isCPU) player.clearTurnTimeouts();
+    }
+    for (const playerId of this.getShooterIds()) {
+      playerManager.broadcastPlayerUpdate(playerId);
+    }
+
+    const shots = [...this.lockedIn].filter(([playerId]) => playerManager.players[playerId]?.getHealth() > 0);
+    this.lockedIn.clear();
+    if (shots.length === 0) {
+      this.holdFor(this.gameInstance.turnChangeDelay);
+      return;
+    }
+
+    projectileManager.beginVolley();
+    for (const [playerId, shot] of shots) {
+      fireShot(playerManager.players[playerId], playerId, shot, this.gameInstance);
+    }
+    const timeline = projectileManager.launchVolley();
+
+    const finalEventTime = timeline.length ? timeline[timeline.length - 1].time : 0;
+    this.holdFor(finalEventTime + this.gameInstance.turnChangeDelay);
+  }
+
+  /**
+   * Keep the volley playing for at least `delay` more ms. Each shot asks
+   * for as long as its own weapon needs, and again if it gets amended.
+   */
+  holdFor(delay) {
+    const endAt = Date.now() + delay;
+    if (endAt <= this.endAt) return;
+
+    this.endAt = endAt;
+    clearTimeout(this.endTimer);
+    this.endTimer = setTimeout(() => this.finishVolley(), delay);
+  }
+
+  /**
+   * The volley has played out: tanks under water drown, then the round ends
+   * if it's over, otherwise the next aiming window opens.
+   */
+  async finishVolley() {
+    this.endTimer = null;
+    this.endAt = 0;
+    this.isResolving = false;
+    if (this.gameInstance._isDestroyed) return;
+
+    this.gameInstance.projectileManager.clearDetonation();
+    this.gameInstance.projectileManager.endVolley();
+    this.gameInstance.projectileManager.drownTanks();
+    if (!(await this.gameInstance.roundManager.checkRoundOver()) &&
+        this.gameInstance.gameState === GamePhase.ROUND_IN_PROGRESS) {
+      this.startAiming();
+    }
+  }
+
+  destroy() {
+    this.stopAiming();
+    clearTimeout(this.endTimer);
+    this.endTimer = null;
+    this.lockedIn.clear();
+  }
+}
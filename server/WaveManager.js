@@ -0,0 +1,282 @@
+// server/WaveManager.js
+import * as THREE from 'three';
+import { GamePhase } from './RoundManager.js';
+
+/**
+ * How co-op defense waves grow and what they cost the base. Each wave is
+ * one round; wave N brings firstWaveSize + N - 1 helicopters (up to
+ * maxWaveSize), each tougher and better armed than the last wave's.
+ */
+export const WAVES = {
+  baseHealth: 1000,
+  firstWaveSize: 2,
+  maxWaveSize: 8,
+  helicopterHealth: 60,      // A wave 1 helicopter's health
+  healthPerWave: 20,         // Extra helicopter health for each wave after the first
+  missileDamage: 20,         // A wave 1 helicopter's missile
+  missileDamagePerWave: 5,
+  waveDuration: 120000,      // ms the helicopters stay before pulling out
+  breakthroughDamage: 150,   // Base damage per helicopter still flying when the wave ends
+  tankLossDamage: 100,       // Base damage per tank knocked out
+};
+
+/**
+ * Whose shots helicopter missiles are. No player has this id, so their
+ * damage is never friendly fire and never scores for anyone.
+ */
+export const HELICOPTER_ATTACKER_ID = 'helicopters';
+
+// The missile every helicopter fires on its attack run
+const HELICOPTER_MISSILE = {
+  power: 30,
+  craterSize: 10,
+  aoeSize: 5,
+  explosionSize: 1,
+  explosionType: 'guided',
+  projectileStyle: 'missile',
+  projectileScale: 0.8,
+  isGuided: true,
+  maxTurnRate: 0.08,
+  guidanceDelay: 200,
+  acceleration: 40,
+  ignoresHelicopters: true,
+};
+const HELICOPTER_WEAPON_ID = 'helicopterMissile';
+const HELICOPTER_WEAPON_CODE = 'GM01'; // Looks and sounds like a Guided Missile
+const MISSILE_DROP = 4;      // Missiles leave from this far below the helicopter
+const MISSILE_SPREAD = 4;    // How far from its tank a missile may be aimed
+const SETTLE_DELAY = 1500;   // ms between the last missile landing and the next turn
+
+/**
+ * Runs co-op helicopter defense games. Every tank is on one side, taking
+ * turns as usual; between turns each helicopter over the map fires on the
+ * nearest tank. The team shares one pool of base health, worn down by
+ * tanks being knocked out and by helicopters still flying when the wave's
+ * time runs out. A wave ends once its helicopters are all down, its time
+ * is up or no tank is left standing; the game ends when the base falls or
+ * the last wave (the game's round count) has been survived.
+ */
+export default class WaveManager {
+  /**
+   * @param {GameInstance} gameInstance - Reference to the parent game instance
+   */
+  constructor(gameInstance) {
+    this.gameInstance = gameInstance;
+    this.wave = 0;
+    this.baseHealth = WAVES.baseHealth;
+    this.wavesSurvived = 0;
+    this.helicopterIds = [];      // The wave's helicopters, shot down or not
+    this.lostTankIds = new Set(); // Tanks already charged to the base this wave
+    this.waveTimer = null;
+    this.waveEndsAt = 0;
+    this.timeUp = false;
+    this.lastWaveCleared = false; // Every helicopter of the wave just ended was shot down
+  }
+
+  /**
+   * Send in the next wave and start its clock. Called as each round starts.
+   */
+  startWave() {
+    this.stopTimer();
+    this.wave++;
+    this.timeUp = false;
+    this.lastWaveCleared = false;
+    this.lostTankIds.clear();
+
+    const size = Math.min(WAVES.maxWaveSize, WAVES.firstWaveSize + this.wave - 1);
+    const health = WAVES.helicopterHealth + WAVES.healthPerWave * (this.wave - 1);
+    const loiterTime = WAVES.waveDuration / 1000;
+    this.helicopterIds = [];
+    for (let i = 0; i < size; i++) {
+      const helicopterId = this.gameInstance.helicopterManager.spawnHelicopter({ health, loiterTime });
+      if (helicopterId !== null) this.helicopterIds.push(helicopterId);
+    }
+
+    this.waveEndsAt = Date.now() + WAVES.waveDuration;
+    this.waveTimer = setTimeout(() => this.runOutOfTime(), WAVES.waveDuration);
+    console.log(`Game [${this.gameInstance.gameId}] - Wave ${this.wave}: ${size} helicopters with ${health} health.`);
+    this.broadcastState();
+  }
+
+  /**
+   * The wave's helicopters that are still flying.
+   */
+  getRemainingHelicopterIds() {
+    const { helicopters } = this.gameInstance.helicopterManager;
+    return this.helicopterIds.filter(helicopterId => helicopters.has(helicopterId));
+  }
+
+  getStandingTanks() {
+    return Object.entries(this.gameInstance.playerManager.players)
+      .filter(([, player]) => !player.isSpectator && player.isOnline && player.getHealth() > 0);
+  }
+
+  /**
+   * The helicopters' turn, run once each player's shot has played out:
+   * their attack run, then the base pays for any tank lost since.
+   */
+  async afterTurn() {
+    if (this.gameInstance.gameState !== GamePhase.ROUND_IN_PROGRESS) return;
+    await this.attackRun();
+    if (this.gameInstance._isDestroyed) return;
+    this.chargeTankLosses();
+    this.broadcastState();
+  }
+
+  /**
+   * Every helicopter over the map fires a missile at the nearest tank, all
+   * in one timeline. Resolves once it has played out.
+   */
+  async attackRun() {
+    const { helicopterManager, projectileManager, rng } = this.gameInstance;
+    const tanks = this.getStandingTanks().map(([, player]) => player.getPosition());
+    if (tanks.length === 0) return;
+
+    const now = Date.now();
+    const halfMap = helicopterManager.options.mapSize / 2;
+    const baseDamage = WAVES.missileDamage + WAVES.missileDamagePerWave * (this.wave - 1);
+    const missiles = [];
+    for (const helicopterId of this.getRemainingHelicopterIds()) {
+      const state = helicopterManager.getHelicopterPositionAtTime(helicopterId, now);
+      if (!state || state.isExitPoint) continue;
+      const { x, y, z } = state.position;
+      if (Math.abs(x) > halfMap || Math.abs(z) > halfMap) continue;
+
+      const startPos = new THREE.Vector3(x, y - MISSILE_DROP, z);
+      const nearest = tanks.reduce((best, tank) =>
+        tank.distanceTo(startPos) < best.distanceTo(startPos) ? tank : best
+      );
+      const aim = new THREE.Vector3(
+        nearest.x + (rng.next() * 2 - 1) * MISSILE_SPREAD,
+        nearest.y,
+        nearest.z + (rng.next() * 2 - 1) * MISSILE_SPREAD
+      );
+
+      missiles.push({
+        ...HELICOPTER_MISSILE,
+        startPos,
+        direction: aim.clone().sub(startPos).normalize(),
+        isFinalProjectile: true,
+        baseDamage,
+        targetPoint: { x: aim.x, y: aim.y, z: aim.z },
+      });
+    }
+    if (missiles.length === 0) return;
+
+    const timeline = projectileManager.simulateProjectiles(
+      HELICOPTER_ATTACKER_ID,
+      missiles,
+      HELICOPTER_WEAPON_ID,
+      HELICOPTER_WEAPON_CODE
+    );
+    projectileManager.launchTimeline(timeline);
+
+    const finalEventTime = timeline.length ? timeline[timeline.length - 1].time : 0;
+    await new Promise(resolve => setTimeout(resolve, finalEventTime + SETTLE_DELAY));
+  }
+
+  /**
+   * Charge the base for tanks knocked out since the last check, whoever
+   * knocked them out.
+   */
+  chargeTankLosses() {
+    for (const [playerId, player] of Object.entries(this.gameInstance.playerManager.players)) {
+      if (player.isSpectator || player.getHealth() > 0 || this.lostTankIds.has(playerId)) continue;
+      this.lostTankIds.add(playerId);
+      this.damageBase(WAVES.tankLossDamage);
+    }
+  }
+
+  damageBase(amount) {
+    this.baseHealth = Math.max(0, this.baseHealth - amount);
+  }
+
+  isDefeated() {
+    return this.baseHealth <= 0;
+  }
+
+  /**
+   * Whether the wave is done: its helicopters are down, its time is up,
+   * no tank is left standing or the base has fallen.
+   */
+  isWaveOver() {
+    return this.isDefeated() ||
+      this.timeUp ||
+      this.getRemainingHelicopterIds().length === 0 ||
+      this.getStandingTanks().length === 0;
+  }
+
+  /**
+   * Close out the wave: helicopters still flying break through and hit the
+   * base on their way out. Announced as 'waveEnded'.
+   */
+  endWave() {
+    this.stopTimer();
+    this.chargeTankLosses();
+
+    const breakthroughs = this.getRemainingHelicopterIds();
+    breakthroughs.forEach(helicopterId => this.gameInstance.helicopterManager.removeHelicopter(helicopterId));
+    this.damageBase(breakthroughs.length * WAVES.breakthroughDamage);
+
+    const defeated = this.isDefeated();
+    this.lastWaveCleared = breakthroughs.length === 0 && !defeated;
+    if (!defeated) {
+      this.wavesSurvived++;
+    }
+
+    const { io, gameId } = this.gameInstance;
+    io.to(gameId).emit('waveEnded', {
+      wave: this.wave,
+      cleared: this.lastWaveCleared,
+      breakthroughs: breakthroughs.length,
+      baseHealth: this.baseHealth,
+      wavesSurvived: this.wavesSurvived,
+      defeated
+    });
+    this.broadcastState();
+  }
+
+  /**
+   * The wave's clock ran out. The player whose turn it is loses it, so the
+   * wave can end once the helicopters have had their last attack run.
+   */
+  runOutOfTime() {
+    this.waveTimer = null;
+    this.timeUp = true;
+    this.broadcastState();
+    this.gameInstance.passTurn();
+  }
+
+  /**
+   * @returns {Object} { wave, baseHealth, maxBaseHealth, helicoptersLeft,
+   *   helicoptersInWave, timeRemaining, wavesSurvived }
+   */
+  getState() {
+    return {
+      wave: this.wave,
+      baseHealth: this.baseHealth,
+      maxBaseHealth: WAVES.baseHealth,
+      helicoptersLeft: this.getRemainingHelicopterIds().length,
+      helicoptersInWave: this.helicopterIds.length,
+      timeRemaining: this.waveTimer ? Math.max(0, this.waveEndsAt - Date.now()) : 0,
+      wavesSurvived: this.wavesSurvived
+    };
+  }
+
+  broadcastState() {
+    const { io, gameId } = this.gameInstance;
+    io.to(gameId).emit('waveUpdate', this.getState());
+  }
+
+  stopTimer() {
+    if (this.waveTimer) {
+      clearTimeout(this.waveTimer);
+      this.waveTimer = null;
+    }
+  }
+
+  destroy() {
+    this.stopTimer();
+    this.helicopterIds = [];
+  }
+}
@@ -0,0 +1,109 @@
+// server/WeaponRegistry.js
+
+import BasicWeapon, { WEAPON_DEFINITIONS as BASIC } from './weapons/BasicWeapon.js';
+import MultiShotWeapon, { WEAPON_DEFINITIONS as MULTI_SHOT } from './weapons/MultiShotWeapon.js';
+import { BouncingBettyWeapon, WEAPON_DEFINITIONS as BOUNCING_BETTY } from './weapons/BouncingBetty.js';
+import { BouncingRabbitWeapon, WEAPON_DEFINITIONS as BOUNCING_RABBIT } from './weapons/BouncingRabbit.js';
+import VolleyWeapon, { WEAPON_DEFINITIONS as VOLLEY } from './weapons/VolleyWeapon.js';
+import { MountainMercWeapon, WEAPON_DEFINITIONS as MOUNTAIN_MERC } from './weapons/MountainMerc.js';
+import AirstrikeWeapon, { WEAPON_DEFINITIONS as AIRSTRIKE } from './weapons/AirstrikeWeapon.js';
+import ClusterWeapon, { WEAPON_DEFINITIONS as CLUSTER } from './weapons/ClusterWeapon.js';
+import { JumpingBeanWeapon, WEAPON_DEFINITIONS as JUMPING_BEAN } from './weapons/JumpingBean.js';
+import { SprinklerWeapon, WEAPON_DEFINITIONS as SPRINKLER } from './weapons/SprinklerWeapon.js';
+import { PopcornWeapon, WEAPON_DEFINITIONS as POPCORN } from './weapons/PopcornWeapon.js';
+import GuidedWeapon, { WEAPON_DEFINITIONS as GUIDED } from './weapons/GuidedWeapon.js';
+import MultiGuidedWeapon, { WEAPON_DEFINITIONS as MULTI_GUIDED } from './weapons/MultiGuidedWeapon.js';
+import DirtWeapon, { WEAPON_DEFINITIONS as DIRT } from './weapons/DirtWeapon.js';
+import NapalmWeapon, { WEAPON_DEFINITIONS as NAPALM } from './weapons/NapalmWeapon.js';
+import BeamWeapon, { WEAPON_DEFINITIONS as BEAM } from './weapons/BeamWeapon.js';
+import DiggerWeapon, { WEAPON_DEFINITIONS as DIGGER } from './weapons/DiggerWeapon.js';
+import GroundGuidedWeapon, { WEAPON_DEFINITIONS as GROUND_GUIDED } from './weapons/GroundGuidedWeapon.js';
+
+/**
+ * What a weapon module declares about each code it fires, in its exported
+ * WEAPON_DEFINITIONS table.
+ * @typedef {Object} WeaponDefinition
+ * @property {string} code - Short unique code, also the inventory key.
+ * @property {string} name - Shop name.
+ * @property {string} description - Shop description.
+ * @property {number} cost - Shop price.
+ * @property {string} icon - Shop icon path.
+ * @property {{weight: number, antiAir?: boolean}} ai - CPU hints: relative chance
+ *   of picking the weapon; 0 keeps it away from CPU players altogether. antiAir
+ *   marks weapons that seek out helicopters, which CPUs pick in co-op defense.
+ * @property {Object} projectile - Parameters the module fires with.
+ * @property {'ground'|'tank'} [targeting] - The player has to pick a ground
+ *   point or an enemy tank to fire; it comes in as the fire input's target.
+ * @property {{camera?: string, sound?: Object}} [client] - Presentation hints
+ *   for the client (camera mode, whistle sound settings).
+ */
+
+// Module tables in shop order, each with the class that fires its codes
+const MODULES = [
+  [BasicWeapon, BASIC],
+  [MultiShotWeapon, MULTI_SHOT],
+  [BouncingBettyWeapon, BOUNCING_BETTY],
+  [BouncingRabbitWeapon, BOUNCING_RABBIT],
+  [VolleyWeapon, VOLLEY],
+  [MountainMercWeapon, MOUNTAIN_MERC],
+  [AirstrikeWeapon, AIRSTRIKE],
+  [ClusterWeapon, CLUSTER],
+  [JumpingBeanWeapon, JUMPING_BEAN],
+  [SprinklerWeapon, SPRINKLER],
+  [PopcornWeapon, POPCORN],
+  [GuidedWeapon, GUIDED],
+  [MultiGuidedWeapon, MULTI_GUIDED],
+  [DirtWeapon, DIRT],
+  [NapalmWeapon, NAPALM],
+  [BeamWeapon, BEAM],
+  [DiggerWeapon, DIGGER],
+  [GroundGuidedWeapon, GROUND_GUIDED],
+];
+
+/** @type {Map<string, WeaponDefinition & {WeaponClass: Function}>} */
+const REGISTRY = new Map();
+MODULES.forEach(([WeaponClass, definitions]) => {
+  Object.entries(definitions).forEach(([code, definition]) => {
+    if (REGISTRY.has(code)) {
+      throw new Error(`Weapon code ${code} is declared twice`);
+    }
+    REGISTRY.set(code, { ...definition, code, WeaponClass });
+  });
+});
+
+/**
+ * @param {string} code
+ * @returns {WeaponDefinition|null} null for codes no weapon module declares.
+ */
+export function getWeaponDefinition(code) {
+  return REGISTRY.get(code) || null;
+}
+
+/**
+ * @returns {WeaponDefinition[]} Every weapon, in shop order.
+ */
+export function getAllWeaponDefinitions() {
+  return [...REGISTRY.values()];
+}
+
+/**
+ * Instantiates the weapon module that fires `code`.
+ * @returns {Object|null} The weapon, or null for an unknown code.
+ */
+export function createWeapon(code, projectileManager) {
+  const definition = REGISTRY.get(code);
+  if (!definition) return null;
+  return new definition.WeaponClass(projectileManager, code);
+}
+
+/**
+ * The definitions as sent to clients in gameSetup: everything but the class.
+ * @returns {Object<string, WeaponDefinition>} Keyed by code.
+ */
+export function getClientWeaponDefinitions() {
+  const definitions = {};
+  REGISTRY.forEach(({ WeaponClass, ...definition }, code) => {
+    definitions[code] = definition;
+  });
+  return definitions;
+}
@@ -0,0 +1,114 @@
+// server/benchmarkSimulation.js
+//
+// Times PrecalculatedProjectileManager.simulateProjectiles the way the CPU
+// aiming search drives it: many single-shot simulations with varied pitch,
+// yaw and power over a generated terrain, optionally with helicopters.
+//
+//   node benchmarkSimulation.js [--shots 300] [--seed 1] [--helicopters 5] [--impacts out.json]
+//
+// --impacts writes every shot's impact position so two runs (e.g. before and
+// after a collision change) can be compared.
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { performance } from 'perf_hooks';
+import * as THREE from 'three';
+import TerrainManager from './TerrainManager.js';
+import SeededRandom from './SeededRandom.js';
+import PrecalculatedProjectileManager from './PrecalculatedProjectileManager.js';
+import { HelicopterManager } from './ClaudeHelicopterManager.js';
+
+const { values } = parseArgs({
+  options: {
+    shots: { type: 'string', default: '300' },
+    seed: { type: 'string', default: '1' },
+    theme: { type: 'string', default: 'grassland' },
+    helicopters: { type: 'string', default: '5' },
+    impacts: { type: 'string' },
+    compare: { type: 'string' },
+  },
+});
+
+const shots = Number(values.shots);
+const seed = Number(values.seed);
+const rng = new SeededRandom(seed);
+const io = { to: () => ({ emit: () => {} }) };
+
+const log = console.log;
+console.log = () => {};
+
+const terrainManager = new TerrainManager({ seed, theme: values.theme, rng });
+terrainManager.terrainData = await terrainManager.generator.generate();
+const helicopterManager = new HelicopterManager(io, 'benchmark', terrainManager, { rng });
+for (let i = 0; i < Number(values.helicopters); i++) {
+  helicopterManager.spawnHelicopter();
+}
+const projectileManager = new PrecalculatedProjectileManager(
+  io,
+  'benchmark',
+  terrainManager,
+  { getPlayersObject: () => ({}) },
+  helicopterManager,
+  rng
+);
+
+// Pre-roll the shots so both timing runs fire the same set
+const shotRng = new SeededRandom(seed + 1);
+const shotList = Array.from({ length: shots }, () => ({
+  start: new THREE.Vector3(shotRng.range(-80, 80), 0, shotRng.range(-80, 80)),
+  pitch: shotRng.range(-90, 10),
+  yaw: shotRng.range(0, 360),
+  power: shotRng.range(5, 100),
+}));
+shotList.forEach(shot => {
+  shot.start.y = terrainManager.getHeightAtPosition(shot.start.x, shot.start.z) + 4;
+});
+
+const impacts = [];
+const startedAt = performance.now();
+for (const shot of shotList) {
+  const direction = new THREE.Vector3(0, 0, 1).applyEuler(new THREE.Euler(
+    THREE.MathUtils.degToRad(shot.pitch),
+    THREE.MathUtils.degToRad(shot.yaw),
+    0,
+    'YXZ'
+  ));
+  const timeline = projectileManager.simulateProjectiles('benchmark', [{
+    startPos: shot.start,
+    direction,
+    power: shot.power,
+    isFinalProjectile: true,
+  }], 'benchmark', 'BW01');
+  const impact = timeline.find(e => e.type === 'projectileImpact' || e.type === 'projectileHelicopterImpact');
+  impacts.push(impact ? { type: impact.type, position: impact.position } : null);
+}
+const elapsed = performance.now() - startedAt;
+
+helicopterManager.dispose();
+console.log = log;
+
+console.log(`${shots} shots, ${values.helicopters} helicopters: ${elapsed.toFixed(1)} ms total, ${(elapsed / shots).toFixed(3)} ms/shot`);
+
+if (values.impacts) {
+  fs.writeFileSync(values.impacts, JSON.stringify(impacts));
+}
+
+if (values.compare) {
+  const baseline = JSON.parse(fs.readFileSync(values.compare, 'utf8'));
+  let maxError = 0;
+  let typeChanges = 0;
+  impacts.forEach((impact, i) => {
+    const before = baseline[i];
+    if (!impact || !before || impact.type !== before.type) {
+      if ((impact && impact.type) !== (before && before.type)) typeChanges++;
+      return;
+    }
+    const dx = impact.position.x - before.position.x;
+    const dy = impact.position.y - before.position.y;
+    const dz = impact.position.z - before.position.z;
+    maxError = Math.max(maxError, Math.sqrt(dx * dx + dy * dy + dz * dz));
+  });
+  console.log(`Compared with ${values.compare}: max impact offset ${maxError.toFixed(3)}, ${typeChanges} changed outcomes`);
+}
+
+process.exit(0);
@@ -0,0 +1,82 @@
+// server/checkGolden.js
+//
+// Runs simulateWeapon.js for every weapon, once with bare target tanks and
+// once per shield type, and compares each summary with its golden file in
+// golden/. Exits 1 if any case drifts.
+//
+//   node checkGolden.js [--weapon BW01] [--update]
+//
+// --update rewrites the golden files instead of comparing, for after a change
+// that is meant to alter the simulation. Review the diff before committing.
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { getAllWeaponDefinitions } from './WeaponRegistry.js';
+import { SHIELD_TYPES } from './ArmorShieldManager.js';
+
+const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+const GOLDEN_DIR = path.join(SERVER_DIR, 'golden');
+const CASE_TIMEOUT = 120000; // ms
+
+// One shot from the same spot onto a target it lands next to; guided weapons
+// home in on that target's ground point or tank
+const SHOT_ARGS = ['--seed', '3', '--tank=-30,0', '--target=-30,150', '--pitch=-45', '--power', '50'];
+const GUIDE_ARGS = {
+  ground: ['--guide=-30,150'],
+  tank: ['--guide', 'target1'],
+};
+
+const { values } = parseArgs({
+  options: {
+    weapon: { type: 'string' },
+    update: { type: 'boolean', default: false },
+  },
+});
+
+/**
+ * Every weapon once without a shield, then once behind each shield type.
+ */
+function buildCases() {
+  const cases = [];
+  const shields = [null, ...Object.keys(SHIELD_TYPES)];
+  for (const definition of getAllWeaponDefinitions()) {
+    if (values.weapon && definition.code !== values.weapon) continue;
+    for (const shield of shields) {
+      const name = `${definition.code.toLowerCase()}${shield ? `-${shield}` : ''}`;
+      const args = ['--weapon', definition.code, ...SHOT_ARGS, ...(GUIDE_ARGS[definition.targeting] ?? [])];
+      if (shield) args.push('--shield', shield);
+      cases.push({ name, args, golden: path.join(GOLDEN_DIR, `${name}.json`) });
+    }
+  }
+  return cases;
+}
+
+const cases = buildCases();
+if (cases.length === 0) {
+  console.error(`Unknown weapon "${values.weapon}"`);
+  process.exit(2);
+}
+
+const failures = [];
+for (const { name, args, golden } of cases) {
+  if (!values.update && !fs.existsSync(golden)) {
+    failures.push(`${name}: no golden file (run with --update to create it)`);
+    continue;
+  }
+  const result = spawnSync(
+    process.execPath,
+    ['simulateWeapon.js', ...args, values.update ? '--save-golden' : '--golden', golden],
+    { cwd: SERVER_DIR, encoding: 'utf8', timeout: CASE_TIMEOUT }
+  );
+  if (result.status !== 0) {
+    failures.push(`${name}: ${(result.stderr || String(result.error)).trim()}`);
+  }
+}
+
+failures.forEach(failure => console.error(failure));
+const verb = values.update ? 'Saved' : 'Matched';
+console.log(`${verb} ${cases.length - failures.length}/${cases.length} golden files`);
+process.exit(failures.length > 0 ? 1 : 0);
@@ -89,7 +89,7 @@ parentPort.on('message', (message) => {
   
   switch (message.type) {
     case 'CREATE_GAME': {
-      const { gameName, seed, theme, totalRounds, cpuPlayers, numPlayers } = message.data;
+      const { gameName, seed, theme, totalRounds, cpuPlayers, numPlayers, rules } = message.data;
       
       const ioEmulator = {
         emit: (event, ...args) => {
@@ -149,7 +149,8 @@ parentPort.on('message', (message) => {
                 data: { gameName }
             });
         },
-        workerData?.cpuNames || []
+        workerData?.cpuNames || [],
+        rules
     );
       workerGames.set(gameName, game);
       console.log(`Created game: ${gameName}`);
@@ -222,6 +223,18 @@ parentPort.on('message', (message) => {
             'clientInput': (input) => {
               gameToJoin.processPlayerInput(message.data.playerId, input);
             },
+            'teamChange': (team) => {
+              const error = gameToJoin.setPlayerTeam(message.data.playerId, team);
+              if (error) {
+                socketProxy.emit('errorMessage', error);
+              }
+            },
+            'practiceCommand': async (command) => {
+              const error = await gameToJoin.practiceManager.handleCommand(message.data.playerId, command);
+              if (error) {
+                socketProxy.emit('errorMessage', error);
+              }
+            },
             'weaponChange': (tankId, weaponCode) => {
               gameToJoin.playerManager.processWeaponChange(tankId, weaponCode);
             },
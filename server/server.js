@@ -10,6 +10,7 @@ import { Worker } from 'worker_threads';
 import os from 'os';
 import { initDatabase, getPlayerSession, createPlayerSession, updatePlayerName } from './db/database.js';
 import { loadCpuNames } from './cpuNames.js';
+import { validateRules } from './GameRules.js';
 
 const numCPUs = os.cpus().length;
 const workers = new Map();
@@ -265,6 +266,7 @@ app.get('/lobby-players', (req, res) => {
 
 app.post('/create-game', (req, res) => {
   const { gameName, seed, theme, totalRounds, cpuPlayers, numPlayers } = req.body;
+  const { rules, error: rulesError } = validateRules(req.body.rules);
   console.log ('NumPlayers: ' + numPlayers + " ::: cpuPlayers: " + cpuPlayers);
 
   if (!gameName || typeof gameName !== 'string') {
@@ -274,10 +276,19 @@ app.post('/create-game', (req, res) => {
   if (gameWorkerMapping.has(gameName)) {
     return res.status(400).json({ error: 'That game name is already in use.' });
   }
+
+  if (rulesError) {
+    return res.status(400).json({ error: rulesError });
+  }
+
+  if (rules.practice && (numPlayers !== 1 || cpuPlayers !== 0)) {
+    return res.status(400).json({ error: 'A practice game has one player slot and no CPUs.' });
+  }
+
   const worker = getNextWorker();
   worker.postMessage({
     type: 'CREATE_GAME',
-    data: { gameName, seed, theme, totalRounds, cpuPlayers, numPlayers }
+    data: { gameName, seed, theme, totalRounds, cpuPlayers, numPlayers, rules }
   });
 
   gameWorkerMapping.set(gameName, worker);
@@ -369,6 +380,8 @@ io.on('connection', async (socket) => {
     'playerReady',
     'chatMessage',
     'clientInput',
+    'teamChange',
+    'practiceCommand',
     'weaponChange',
     'itemChange',
     'purchaseRequest'
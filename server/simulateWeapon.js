@@ -0,0 +1,383 @@
+// server/simulateWeapon.js
+//
+// Headless weapon simulation for regression testing. Generates terrain from a
+// seed and theme, places a tank (plus optional target tanks), fires a weapon
+// through the real weapon classes and PrecalculatedProjectileManager, then
+// replays the timeline against the authoritative state and prints JSON.
+//
+//   node simulateWeapon.js --weapon CW01 --seed 42 --theme desert --pitch=-50 --power 60
+//   node simulateWeapon.js --weapon BW01 --target 30,10 --save-golden golden/bw01.json
+//   node simulateWeapon.js --weapon BW01 --target 30,10 --golden golden/bw01.json
+//
+// Projectile and weapon ids are uuids, so they are renamed to stable labels
+// and numbers are rounded before output; this keeps golden files comparable.
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import TerrainManager from './TerrainManager.js';
+import ItemManager from './ItemManager.js';
+import PlayerManager from './PlayerManager.js';
+import Player from './Player.js';
+import SeededRandom from './SeededRandom.js';
+import PrecalculatedProjectileManager from './PrecalculatedProjectileManager.js';
+import { HelicopterManager } from './ClaudeHelicopterManager.js';
+import ArmorShieldManager, { SHIELD_TYPES } from './ArmorShieldManager.js';
+import { getWeaponDefinition, getAllWeaponDefinitions, createWeapon } from './WeaponRegistry.js';
+import { DEFAULT_RULES } from './GameRules.js';
+
+const SIM_GAME_ID = 'simulation';
+const SHOOTER_ID = 'shooter';
+const TANK_GROUND_OFFSET = 2;
+const NUMBER_PRECISION = 1000;
+
+const USAGE = `Usage: node simulateWeapon.js --weapon <code> [options]
+
+Options:
+  --weapon <code>        Weapon code (${getAllWeaponDefinitions().map(definition => definition.code).join(', ')})
+  --seed <n>             Game/terrain seed (default 1)
+  --theme <name>         grassland | desert | arctic (default grassland)
+  --tank <x,z>           Firing tank position (default 0,0)
+  --yaw <deg>            Turret yaw (default 0)
+  --pitch=<deg>          Turret pitch, negative is up (default -45)
+  --power <n>            Firing power (default 50)
+  --wind <x,z>           Wind vector (default 0,0)
+  --target <x,z>         Place a target tank; repeatable
+  --shield <type>        Raise a deflector | force shield on every target tank
+  --guide <x,z|targetN>  Target for guided weapons: a ground point or a target tank
+  --helicopters <n>      Spawn helicopters before firing (not wall-clock stable)
+  --output <mode>        summary | timeline (default summary)
+  --save-golden <file>   Write the result to a golden file
+  --golden <file>        Compare the result with a golden file; exit 1 on mismatch
+  --help                 Show this message`;
+
+/**
+ * Parse an "x,z" pair.
+ */
+function parseXZ(value, name) {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 2 || parts.some(n => !Number.isFinite(n))) {
+    throw new Error(`--${name} expects "x,z", got "${value}"`);
+  }
+  return { x: parts[0], z: parts[1] };
+}
+
+function parseNumber(value, name) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) {
+    throw new Error(`--${name} expects a number, got "${value}"`);
+  }
+  return n;
+}
+
+/**
+ * Build simulation options from CLI arguments.
+ * @param {string[]} argv
+ */
+export function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      weapon: { type: 'string' },
+      seed: { type: 'string', default: '1' },
+      theme: { type: 'string', default: 'grassland' },
+      tank: { type: 'string', default: '0,0' },
+      yaw: { type: 'string', default: '0' },
+      pitch: { type: 'string', default: '-45' },
+      power: { type: 'string', default: '50' },
+      wind: { type: 'string', default: '0,0' },
+      target: { type: 'string', multiple: true, default: [] },
+      shield: { type: 'string' },
+      guide: { type: 'string' },
+      helicopters: { type: 'string', default: '0' },
+      output: { type: 'string', default: 'summary' },
+      'save-golden': { type: 'string' },
+      golden: { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help) return { help: true };
+  if (!values.weapon || !getWeaponDefinition(values.weapon)) {
+    throw new Error(`Unknown or missing --weapon "${values.weapon ?? ''}"`);
+  }
+  if (values.shield && !SHIELD_TYPES[values.shield]) {
+    throw new Error(`--shield must be one of ${Object.keys(SHIELD_TYPES).join(', ')}`);
+  }
+  if (!['summary', 'timeline'].includes(values.output)) {
+    throw new Error(`--output must be "summary" or "timeline"`);
+  }
+
+  return {
+    weaponCode: values.weapon,
+    seed: parseNumber(values.seed, 'seed'),
+    theme: values.theme,
+    tank: parseXZ(values.tank, 'tank'),
+    yaw: parseNumber(values.yaw, 'yaw'),
+    pitch: parseNumber(values.pitch, 'pitch'),
+    power: parseNumber(values.power, 'power'),
+    wind: parseXZ(values.wind, 'wind'),
+    targets: values.target.map(t => parseXZ(t, 'target')),
+    shield: values.shield || null,
+    guide: values.guide
+      ? (/^target\d+$/.test(values.guide) ? { playerId: values.guide } : parseXZ(values.guide, 'guide'))
+      : null,
+    helicopters: parseNumber(values.helicopters, 'helicopters'),
+    output: values.output,
+    saveGolden: values['save-golden'] || null,
+    golden: values.golden || null,
+  };
+}
+
+/**
+ * Drop a tank onto the terrain at (x, z).
+ */
+function placeTank(playerManager, id, { x, z }) {
+  const y = playerManager.terrainManager.getHeightAtPosition(x, z) + TANK_GROUND_OFFSET;
+  const tank = new Player(x, y, z);
+  tank.id = id;
+  tank.name = id;
+  tank.isReady = true;
+  tank.setColor(playerManager.getUniqueColor());
+  playerManager.players[id] = tank;
+  return tank;
+}
+
+/**
+ * Fire one weapon in a headless game and collect its timeline and the
+ * events the replay would broadcast to clients.
+ * @param {Object} options - Result of parseOptions
+ * @returns {Promise<{timeline: Array<Object>, emitted: Array<Object>}>}
+ */
+export async function runSimulation(options) {
+  const rng = new SeededRandom(options.seed);
+  const emitted = [];
+  const io = {
+    to: () => ({
+      emit: (event, ...args) => emitted.push({ event, data: args[0] }),
+    }),
+  };
+
+  const terrainManager = new TerrainManager({ seed: options.seed, theme: options.theme, rng });
+  terrainManager.terrainData = await terrainManager.generator.generate();
+
+  // Just enough of GameCore for the weapons and managers
+  const gameInstance = {
+    gameId: SIM_GAME_ID,
+    io,
+    rng,
+    theme: options.theme,
+    turnChangeDelay: 0,
+    rules: DEFAULT_RULES,
+    endTurnAfter: () => null,
+  };
+  const playerManager = new PlayerManager(io, terrainManager, new ItemManager(), SIM_GAME_ID, gameInstance);
+  const helicopterManager = new HelicopterManager(io, SIM_GAME_ID, terrainManager, { rng });
+  const projectileManager = new PrecalculatedProjectileManager(
+    io,
+    SIM_GAME_ID,
+    terrainManager,
+    playerManager,
+    helicopterManager,
+    rng
+  );
+  Object.assign(gameInstance, { terrainManager, playerManager, helicopterManager, projectileManager });
+
+  for (let i = 0; i < options.helicopters; i++) {
+    helicopterManager.spawnHelicopter();
+  }
+
+  const shooter = placeTank(playerManager, SHOOTER_ID, options.tank);
+  shooter.newTurretYaw(options.yaw);
+  shooter.setTurretPitch(options.pitch);
+  shooter.setPower(options.power);
+  options.targets.forEach((target, i) => {
+    const tank = placeTank(playerManager, `target${i + 1}`, target);
+    if (options.shield) ArmorShieldManager.raiseShield(tank, options.shield);
+  });
+
+  projectileManager.setWind(options.wind);
+
+  // Capture the finalized timeline instead of arming timers, then replay it
+  // synchronously in time order so craters and damage land exactly as live.
+  const timeline = [];
+  projectileManager.scheduleTimeline = (events) => timeline.push(...events);
+
+  const weapon = createWeapon(options.weaponCode, projectileManager);
+  // Guided weapons take a tank name or a ground point, as the fire input would
+  const targeting = getWeaponDefinition(options.weaponCode).targeting;
+  let guideTarget = null;
+  if (targeting === 'tank' && options.guide && options.guide.playerId) {
+    guideTarget = { playerId: options.guide.playerId };
+  } else if (targeting === 'ground' && options.guide && !options.guide.playerId) {
+    const { x, z } = options.guide;
+    guideTarget = { point: { x, y: terrainManager.getHeightAtPosition(x, z), z } };
+  } else if (targeting) {
+    throw new Error(`${options.weaponCode} needs --guide ${targeting === 'tank' ? 'targetN' : '<x,z>'}`);
+  }
+  weapon.fire(shooter, SHOOTER_ID, gameInstance, guideTarget);
+
+  timeline.sort((a, b) => a.time - b.time);
+  emitted.length = 0;
+  timeline.forEach(event => projectileManager._processScheduledEvent(event));
+
+  helicopterManager.dispose();
+  return { timeline, emitted };
+}
+
+/**
+ * Replace uuids with stable labels (in order of first appearance) and round
+ * numbers so output is reproducible across runs.
+ */
+function normalize(value, labels = new Map()) {
+  const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (typeof value === 'string' && uuidPattern.test(value)) {
+    if (!labels.has(value)) labels.set(value, `id${labels.size + 1}`);
+    return labels.get(value);
+  }
+  if (typeof value === 'number') {
+    return Math.round(value * NUMBER_PRECISION) / NUMBER_PRECISION;
+  }
+  if (Array.isArray(value)) {
+    return value.map(v => normalize(v, labels));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const key of Object.keys(value)) {
+      result[key] = normalize(value[key], labels);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Condense a simulation into impacts, damage and duration.
+ */
+export function summarize(options, { timeline, emitted }) {
+  const eventCounts = {};
+  timeline.forEach(event => {
+    eventCounts[event.type] = (eventCounts[event.type] || 0) + 1;
+  });
+
+  const impacts = timeline
+    .filter(event => event.type === 'projectileImpact' || event.type === 'projectileHelicopterImpact')
+    .map(event => ({
+      time: event.time,
+      type: event.type,
+      position: event.position,
+      craterRadius: event.craterRadius || 0,
+      terrainEffect: event.terrainEffect,
+      helicopterId: event.helicopterId,
+    }));
+
+  const damage = emitted
+    .filter(({ event }) => event === 'playerDamaged')
+    .map(({ data }) => ({
+      id: data.id,
+      damage: data.damage,
+      directHit: data.directHit || false,
+      distance: data.distance,
+      isFallDamage: data.isFallDamage || false,
+      currentHealth: data.currentHealth,
+    }));
+
+  const defeated = emitted
+    .filter(({ event }) => event === 'playerDefeated')
+    .map(({ data }) => data.id);
+
+  return {
+    weaponCode: options.weaponCode,
+    seed: options.seed,
+    theme: options.theme,
+    duration: timeline.length ? timeline[timeline.length - 1].time : 0,
+    projectiles: eventCounts.projectileSpawn || 0,
+    eventCounts,
+    impacts,
+    damage,
+    totalDamage: damage.reduce((sum, d) => sum + d.damage, 0),
+    defeated,
+  };
+}
+
+/**
+ * List the paths at which two JSON values differ (capped for readability).
+ */
+export function diffJson(expected, actual, where = '$', diffs = [], limit = 20) {
+  if (diffs.length >= limit) return diffs;
+  if (typeof expected !== typeof actual || Array.isArray(expected) !== Array.isArray(actual)
+      || (expected === null) !== (actual === null)) {
+    diffs.push(`${where}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    return diffs;
+  }
+  if (expected && typeof expected === 'object') {
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const key of keys) {
+      diffJson(expected[key], actual[key], Array.isArray(expected) ? `${where}[${key}]` : `${where}.${key}`, diffs, limit);
+    }
+    return diffs;
+  }
+  if (expected !== actual) {
+    diffs.push(`${where}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+  return diffs;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  // Keep stdout clean JSON; the managers log freely
+  const log = console.log;
+  console.log = () => {};
+  let simulation;
+  try {
+    simulation = await runSimulation(options);
+  } finally {
+    console.log = log;
+  }
+
+  const result = normalize(options.output === 'timeline'
+    ? simulation.timeline
+    : summarize(options, simulation));
+
+  if (options.saveGolden) {
+    fs.mkdirSync(path.dirname(path.resolve(options.saveGolden)), { recursive: true });
+    fs.writeFileSync(options.saveGolden, JSON.stringify(result, null, 2) + '\n');
+    console.error(`Saved golden file ${options.saveGolden}`);
+  }
+
+  if (options.golden) {
+    const expected = JSON.parse(fs.readFileSync(options.golden, 'utf8'));
+    const diffs = diffJson(expected, result);
+    if (diffs.length > 0) {
+      console.error(`Mismatch against ${options.golden}:`);
+      diffs.forEach(d => console.error(`  ${d}`));
+      return 1;
+    }
+    console.error(`Matches ${options.golden}`);
+    return 0;
+  }
+
+  console.log(JSON.stringify(result, null, 2));
+  return 0;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  // Weapons arm turn-change timers; exit once output is written
+  main().then(code => process.exit(code), error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
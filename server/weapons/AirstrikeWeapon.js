@@ -2,11 +2,33 @@
 import { v4 as uuidv4 } from 'uuid';
 import * as THREE from 'three';
 
+export const WEAPON_DEFINITIONS = {
+  RF01: {
+    name: 'Rain Of Fire',
+    description: 'Rain down up to 30 shots from the carrier projectile.',
+    cost: 2300,
+    icon: 'icons/airstrike.png',
+    ai: { weight: 1 },
+    // The carrier; the bombs it drops are set up in _dropBombs
+    projectile: {
+      projectileStyle: 'balloon',
+      projectileScale: 4,
+      baseDamage: 0,
+      gravity: -150,
+    },
+    // Follow the carrier with the camera, with a higher-pitched whistle
+    client: {
+      camera: 'projectile',
+      sound: { startFreq: 2950, endFreq: 1150, maxVolume: 0.3, duration: 4.0 },
+    },
+  },
+};
+
 export default class AirStrikeWeapon {
-  constructor(projectileManager) {
+  constructor(projectileManager, weaponCode) {
     this.projectileManager = projectileManager;
     this.id = uuidv4();
-    this.weaponCode = 'RF01';
+    this.weaponCode = weaponCode;
 
     // Set your config
     this.strikeCount = 20;
@@ -36,13 +58,8 @@ export default class AirStrikeWeapon {
       direction: this.baseDirection.clone(),
       power: tank.power,
       isFinalProjectile: true,
-      projectileStyle: 'balloon',
-      projectileScale: 4,
-      baseDamage: 0, // The carrier itself can do minimal damage
-      
-      // Custom physics for the carrier missile
-      timeFactor: this.carrierTimeFactor,
-      gravity: -150 // low gravity
+      ...WEAPON_DEFINITIONS[this.weaponCode].projectile,
+      timeFactor: this.carrierTimeFactor
     }];
   
     // 1) Simulate the carrier
@@ -61,147 +78,178 @@ export default class AirStrikeWeapon {
     if (!carrierId) {
       console.warn('No carrier found for AirStrikeWeapon');
     } else {
-      let bombsRemaining = this.strikeCount;
-      let nextBombTime = this.initialDelay;
-      let lastBombTime = null;
-      let carrierImpactTime = null;
-      
-      // Find if/when the carrier impacts something
-      const carrierImpactEvent = timeline.find(
-        ev => ev.projectileId === carrierId && ev.type === 'projectileImpact'
+      this._dropBombs(timeline, carrierId, playerId, this.initialDelay);
+    }
+  
+    // 3) Broadcast the combined timeline (carrier + bombs) to clients
+    this.firedAt = this.projectileManager.launchTimeline(timeline);
+  
+    // 4) Schedule turn change
+    this._scheduleTurnChange(gameCore, timeline);
+
+    // 5) Until the bomb run starts, the player can start it early
+    if (carrierId) {
+      this.projectileManager.allowDetonation(playerId, this.firedAt, cutTime =>
+        this.detonate(cutTime, gameCore, timeline, carrierId, playerId)
       );
+    }
+  }
+
+  /**
+   * Player-triggered release: start the bomb run where the carrier is when
+   * the detonate input arrived. The carrier keeps flying until it is empty.
+   * @return {boolean} false if the bomb run has already started
+   */
+  detonate(cutTime, gameCore, timeline, carrierId, playerId) {
+    if (cutTime >= this.initialDelay) return false;
+    if (!this.projectileManager.getProjectileStateAt(timeline, carrierId, cutTime)) return false;
+
+    this.projectileManager.amendTimeline(
+      timeline,
+      cutTime,
+      this.firedAt,
+      amended => this._dropBombs(amended, carrierId, playerId, cutTime),
+      ev => ev.projectileId === carrierId && ev.impactType !== 'self-destruct'
+    );
+    this._scheduleTurnChange(gameCore, timeline);
+    return true;
+  }
+
+  /**
+   * (Re)schedule the turn change for after the timeline's last event.
+   */
+  _scheduleTurnChange(gameCore, timeline) {
+    const finalEventTime = timeline.length
+      ? Math.max(...timeline.map(ev => ev.time))
+      : 0;
+    const totalDelay = finalEventTime + gameCore.turnChangeDelay - (Date.now() - this.firedAt);
+
+    clearTimeout(this.turnChangeTimeout);
+    this.turnChangeTimeout = gameCore.endTurnAfter(totalDelay, () => this.projectileManager.clearDetonation());
+  }
+
+  /**
+   * Drop the bomb run from the carrier starting at startTime, then make the
+   * carrier self-destruct once it is empty.
+   */
+  _dropBombs(timeline, carrierId, playerId, startTime) {
+    let bombsRemaining = this.strikeCount;
+    let nextBombTime = startTime;
+    let lastBombTime = null;
+    let carrierImpactTime = null;
+    
+    // Find if/when the carrier impacts something
+    const carrierImpactEvent = timeline.find(
+      ev => ev.projectileId === carrierId && ev.type === 'projectileImpact'
+    );
+    
+    if (carrierImpactEvent) {
+      carrierImpactTime = carrierImpactEvent.time;
+    }
+
+    while (bombsRemaining > 0) {
+      // If carrier has already collided at this time, stop dropping bomblets
+      if (carrierImpactTime !== null && nextBombTime >= carrierImpactTime) {
+        break;
+      }
       
-      if (carrierImpactEvent) {
-        carrierImpactTime = carrierImpactEvent.time;
+      const relevantEvents = timeline.filter(ev =>
+        ev.projectileId === carrierId && ev.type === 'projectileMove' && ev.time <= nextBombTime
+      );
+
+      if (!relevantEvents.length) {
+        // Means the carrier impacted or no data
+        break;
       }
-  
-      while (bombsRemaining > 0) {
-        // If carrier has already collided at this time, stop dropping bomblets
-        if (carrierImpactTime !== null && nextBombTime >= carrierImpactTime) {
-          break;
-        }
+
+      const lastMoveEvent = relevantEvents[relevantEvents.length - 1];
+      const carrierPos = lastMoveEvent.position;
+      const bombSpawnPos = new THREE.Vector3(
+        carrierPos.x,
+        carrierPos.y + this.altitude,
+        carrierPos.z
+      );
+
+      // Random horizontal deviation
+      const bombDir = this.baseDirection.clone();
+      const horizontalDeviation = (this.projectileManager.rng.next() - 0.5) * this.spreadAngle;
+      bombDir.applyAxisAngle(new THREE.Vector3(0, 1, 0), horizontalDeviation);
+
+      const bombData = {
+        playerId,
+        preImpactBounces: 1,
+        preImpactBouncePower: 5,
+        weaponId: this.id,
+        weaponCode: this.weaponCode + '_BOMBLET',
+        startPos: bombSpawnPos,
+        direction: bombDir,
+        power: 15,
+        isFinalProjectile: false, // bombs themselves are not final
+        explosionSize: 3.0,
+        projectileStyle: 'parabomblet',
+        craterSize: 75,
+        aoeSize: 15,
+        baseDamage: 50,
+        damageFalloff: 'quadratic',
+        waterBehavior: 'fizzle',
         
-        const relevantEvents = timeline.filter(ev =>
-          ev.projectileId === carrierId && ev.type === 'projectileMove' && ev.time <= nextBombTime
-        );
-  
-        if (!relevantEvents.length) {
-          // Means the carrier impacted or no data
-          break;
-        }
-  
-        const lastMoveEvent = relevantEvents[relevantEvents.length - 1];
-        const carrierPos = lastMoveEvent.position;
-        const bombSpawnPos = new THREE.Vector3(
-          carrierPos.x,
-          carrierPos.y + this.altitude,
-          carrierPos.z
-        );
-  
-        // Random horizontal deviation
-        const bombDir = this.baseDirection.clone();
-        const horizontalDeviation = (Math.random() - 0.5) * this.spreadAngle;
-        bombDir.applyAxisAngle(new THREE.Vector3(0, 1, 0), horizontalDeviation);
-  
-        const bombData = {
-          playerId,
-          preImpactBounces: 1,
-          preImpactBouncePower: 5,
+        // Standard speed for bomblets
+        timeFactor: this.bombletTimeFactor,
+        gravity: -20
+      };
+
+      this.projectileManager.simulateSubProjectile(
+        bombData,
+        nextBombTime,
+        timeline
+      );
+
+      bombsRemaining--;
+      lastBombTime = nextBombTime;
+      nextBombTime += this.strikeDelay;
+    }
+    
+    // Add carrier self-destruct one second after the last bomblet is dropped
+    if (lastBombTime !== null && (carrierImpactTime === null || lastBombTime + this.selfDestructDelay < carrierImpactTime)) {
+      // Find the position at the self-destruct time
+      const selfDestructTime = lastBombTime + this.selfDestructDelay;
+      const eventsBeforeSelfDestruct = timeline.filter(ev =>
+        ev.projectileId === carrierId && 
+        ev.type === 'projectileMove' && 
+        ev.time <= selfDestructTime
+      );
+      
+      if (eventsBeforeSelfDestruct.length) {
+        const lastPos = eventsBeforeSelfDestruct[eventsBeforeSelfDestruct.length - 1].position;
+        
+        // Add a manual impact event to timeline
+        const selfDestructEvent = {
+          type: 'projectileImpact',
+          time: selfDestructTime,
+          position: new THREE.Vector3(lastPos.x, lastPos.y, lastPos.z),
+          projectileId: carrierId,
+          playerId: playerId,
           weaponId: this.id,
-          weaponCode: this.weaponCode + '_BOMBLET',
-          startPos: bombSpawnPos,
-          direction: bombDir,
-          power: 15,
-          isFinalProjectile: false, // bombs themselves are not final
-          explosionSize: 3.0,
-          projectileStyle: 'parabomblet',
-          craterSize: 75,
-          aoeSize: 15,
-          baseDamage: 50,
-          
-          // Standard speed for bomblets
-          timeFactor: this.bombletTimeFactor,
-          gravity: -20
+          weaponCode: this.weaponCode,
+          explosionSize: 0.2,  // small explosion for carrier
+          craterSize: 10,
+          aoeSize: 10,
+          baseDamage: 20,      // Minimal damage from carrier explosion
+          impactType: 'self-destruct'
         };
-  
-        this.projectileManager.simulateSubProjectile(
-          bombData,
-          nextBombTime,
-          timeline
-        );
-  
-        bombsRemaining--;
-        lastBombTime = nextBombTime;
-        nextBombTime += this.strikeDelay;
-      }
-      
-      // Add carrier self-destruct one second after the last bomblet is dropped
-      if (lastBombTime !== null && (carrierImpactTime === null || lastBombTime + this.selfDestructDelay < carrierImpactTime)) {
-        // Find the position at the self-destruct time
-        const selfDestructTime = lastBombTime + this.selfDestructDelay;
-        const eventsBeforeSelfDestruct = timeline.filter(ev =>
-          ev.projectileId === carrierId && 
-          ev.type === 'projectileMove' && 
-          ev.time <= selfDestructTime
+        
+        // Remove any carrier events after self-destruct
+        this.projectileManager.removeTimelineEvents(timeline, ev =>
+          ev.projectileId === carrierId && ev.time > selfDestructTime
         );
         
-        if (eventsBeforeSelfDestruct.length) {
-          const lastPos = eventsBeforeSelfDestruct[eventsBeforeSelfDestruct.length - 1].position;
-          
-          // Add a manual impact event to timeline
-          const selfDestructEvent = {
-            type: 'projectileImpact',
-            time: selfDestructTime,
-            position: new THREE.Vector3(lastPos.x, lastPos.y, lastPos.z),
-            projectileId: carrierId,
-            playerId: playerId,
-            weaponId: this.id,
-            weaponCode: this.weaponCode,
-            explosionSize: 0.2,  // small explosion for carrier
-            craterSize: 10,
-            aoeSize: 10,
-            baseDamage: 20,      // Minimal damage from carrier explosion
-            impactType: 'self-destruct'
-          };
-          
-          // Remove any carrier events after self-destruct
-          const filteredTimeline = timeline.filter(ev => 
-            !(ev.projectileId === carrierId && ev.time > selfDestructTime)
-          );
-          
-          // Add our self-destruct event
-          filteredTimeline.push(selfDestructEvent);
-          
-          // Sort the timeline by time
-          filteredTimeline.sort((a, b) => a.time - b.time);
-          
-          // Replace the original timeline
-          timeline.length = 0;
-          timeline.push(...filteredTimeline);
-        }
+        // Add our self-destruct event
+        timeline.push(selfDestructEvent);
+        
+        // Sort the timeline by time
+        timeline.sort((a, b) => a.time - b.time);
       }
     }
-  
-    // 3) Broadcast the combined timeline (carrier + bombs) to clients
-    this.projectileManager.io
-      .to(this.projectileManager.gameId)
-      .emit('fullProjectileTimeline', timeline);
-    this.projectileManager.scheduleTimeline(timeline, Date.now(), gameCore);
-  
-    // 4) Find the last event in the entire timeline and schedule turn change
-    const finalEventTime = timeline.length
-      ? Math.max(...timeline.map(ev => ev.time))
-      : 0;
-    const totalDelay = finalEventTime + gameCore.turnChangeDelay;
-  
-    setTimeout(async () => {
-      if (!(await gameCore.roundManager.checkRoundOver())) {
-        gameCore.playerManager.advanceTurn();
-        gameCore.playerManager.currentPlayer =
-          gameCore.playerManager.turnManager.getCurrentPlayerId();
-        gameCore.playerManager.currentPlayerHasFired = false;
-      }
-    }, totalDelay);
   }
 
   handleImpact(impactEvent, timeline, manager) {
@@ -2,10 +2,25 @@
 import { v4 as uuidv4 } from 'uuid';
 import * as THREE from 'three';
 
+export const WEAPON_DEFINITIONS = {
+  BW01: {
+    name: 'Poverty Shot',
+    description: 'Single shot projectile with a small explosion radius.',
+    cost: 1,
+    icon: 'icons/basic_shot.png',
+    ai: { weight: 1 },
+    projectile: {
+      baseDamage: 20,
+      craterSize: 30,
+      timeFactor: 0.9,
+    },
+  },
+};
+
 export default class BasicWeapon {
-  constructor(projectileManager) {
+  constructor(projectileManager, weaponCode) {
     this.projectileManager = projectileManager;
-    this.weaponCode = 'BW01';
+    this.weaponCode = weaponCode;
     this.id = uuidv4();
 
     projectileManager.registerWeaponHandler(this.id, (impactEvent, timeline, manager) => {
@@ -23,10 +38,7 @@ export default class BasicWeapon {
       direction: direction.normalize(),
       power,
       isFinalProjectile: true,
-      baseDamage: 20,
-      craterSize: 30,
-      timeFactor: 0.9,
-      // etc
+      ...WEAPON_DEFINITIONS[this.weaponCode].projectile,
     }];
   
     // 1) Precompute the flight
@@ -38,10 +50,7 @@ export default class BasicWeapon {
     );
   
     // 2) Broadcast it to clients
-    this.projectileManager.io
-      .to(this.projectileManager.gameId)
-      .emit('fullProjectileTimeline', timeline);
-      this.projectileManager.scheduleTimeline(timeline, Date.now(), gameCore);
+    this.projectileManager.launchTimeline(timeline);
 
   
     // 3) Find the final time in the timeline
@@ -52,14 +61,7 @@ export default class BasicWeapon {
     // 4) Turn change after a delay
     const totalDelay = finalEventTime + gameCore.turnChangeDelay;
   
-    setTimeout(async () => {
-      if (!(await gameCore.roundManager.checkRoundOver())) {
-        gameCore.playerManager.advanceTurn();
-        gameCore.playerManager.currentPlayer =
-          gameCore.playerManager.turnManager.getCurrentPlayerId();
-        gameCore.playerManager.currentPlayerHasFired = false;
-      }
-    }, totalDelay);
+    gameCore.endTurnAfter(totalDelay);
   }
 
   destroy() {
@@ -0,0 +1,71 @@
+// BeamWeapon.js
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Hitscan weapons: a straight beam from the barrel, no gravity or wind.
+ * Options are the beamData fields of PrecalculatedProjectileManager.simulateBeam.
+ */
+export const WEAPON_DEFINITIONS = {
+  LZ01: {
+    name: 'Laser',
+    description: 'Point and burn. No arc, no wind, no second chances.',
+    cost: 1800,
+    icon: 'icons/basic_shot.png',
+    ai: { weight: 0 }, // CPU aiming is ballistic
+    projectile: {
+      damage: 35,
+      pierceDepth: 0,
+      pierceTargets: false,
+      trenchWidth: 0,
+      beamWidth: 0.25,
+      beamColor: 0xff2222,
+      duration: 500,
+    },
+  },
+  RG01: {
+    name: 'Railgun',
+    description: 'Punches through ridges and everyone lined up behind them.',
+    cost: 3500,
+    icon: 'icons/basic_shot.png',
+    ai: { weight: 0 },
+    projectile: {
+      damage: 60,
+      pierceDepth: 8,
+      pierceTargets: true,
+      pierceDamageFalloff: 0.6,
+      trenchWidth: 2.5,
+      beamWidth: 0.5,
+      beamColor: 0x66ccff,
+      duration: 800,
+    },
+  },
+};
+
+export default class BeamWeapon {
+  constructor(projectileManager, weaponCode) {
+    this.projectileManager = projectileManager;
+    this.weaponCode = weaponCode;
+    this.config = WEAPON_DEFINITIONS[weaponCode].projectile;
+    this.id = uuidv4();
+  }
+
+  fire(tank, playerId, gameCore) {
+    const timeline = this.projectileManager.simulateBeam(
+      playerId,
+      {
+        ...this.config,
+        startPos: tank.getBarrelTip(),
+        direction: tank.getFireDirection(),
+      },
+      this.id,
+      this.weaponCode
+    );
+
+    this.projectileManager.launchTimeline(timeline);
+
+    // Let the beam fade (and any tank knocked off a trench wall land) first
+    const finalEventTime = Math.max(this.config.duration, ...timeline.map(ev => ev.time));
+
+    gameCore.endTurnAfter(finalEventTime + gameCore.turnChangeDelay);
+  }
+}
@@ -2,11 +2,28 @@
 import { v4 as uuidv4 } from 'uuid';
 import * as THREE from 'three';
 
+export const WEAPON_DEFINITIONS = {
+  BB01: {
+    name: 'Bouncing Betty',
+    description: 'Boing! .. Boing! .. Boing! .. Boing!',
+    cost: 300,
+    icon: 'icons/basic_shot.png',
+    ai: { weight: 1 },
+    projectile: {
+      explosionType: 'normal',
+      explosionSize: 2,
+      projectileScale: 1,
+      projectileStyle: 'missile',
+      craterSize: 50,
+    },
+  },
+};
+
 export class BouncingBettyWeapon {
-  constructor(projectileManager) {
+  constructor(projectileManager, weaponCode) {
     this.projectileManager = projectileManager;
     this.id = uuidv4();
-    this.weaponCode = 'BB01';
+    this.weaponCode = weaponCode;
     
     this.maxBounces = 4;
     this.spreadVariance = 0.2; // Reduced for more predictable bounces
@@ -40,12 +57,8 @@ export class BouncingBettyWeapon {
       direction: this.baseFireDirection,
       power: tank.power,
       isFinalProjectile: false,
-      explosionType: 'normal',
-      explosionSize: 2,
-      projectileScale: 1,
-      projectileStyle: 'missile',
+      ...WEAPON_DEFINITIONS[this.weaponCode].projectile,
       bounceCount: 0,
-      craterSize: 50,
       
       // Faster travel time with same trajectory
       timeFactor: this.timeFactor,
@@ -61,11 +74,7 @@ export class BouncingBettyWeapon {
     );
   
     // 2) Broadcast to clients
-    this.projectileManager.io
-      .to(this.projectileManager.gameId)
-      .emit('fullProjectileTimeline', timeline);
-
-    this.projectileManager.scheduleTimeline(timeline, Date.now(), gameCore);
+    this.projectileManager.launchTimeline(timeline);
   
     // 3) Find the last event time in the timeline
     const finalEventTime = timeline.length
@@ -76,15 +85,7 @@ export class BouncingBettyWeapon {
     const totalDelay = finalEventTime + gameCore.turnChangeDelay;
   
     // 5) Schedule the actual turn change
-    setTimeout(async () => {
-      // e.g. check if round is over, otherwise advance turn
-      if (!(await gameCore.roundManager.checkRoundOver())) {
-        gameCore.playerManager.advanceTurn();
-        gameCore.playerManager.currentPlayer =
-          gameCore.playerManager.turnManager.getCurrentPlayerId();
-        gameCore.playerManager.currentPlayerHasFired = false;
-      }
-    }, totalDelay);
+    gameCore.endTurnAfter(totalDelay);
   }
 
   handleImpact(impactData, timeline, manager) {
@@ -155,8 +156,8 @@ export class BouncingBettyWeapon {
     const upVector = new THREE.Vector3().crossVectors(bounceDir, rightVector).normalize();
     
     // Apply random spread in right and up directions
-    const rightSpread = (Math.random() - 0.5) * 2 * varianceFactor;
-    const upSpread = (Math.random() - 0.5) * 2 * varianceFactor;
+    const rightSpread = (this.projectileManager.rng.next() - 0.5) * 2 * varianceFactor;
+    const upSpread = (this.projectileManager.rng.next() - 0.5) * 2 * varianceFactor;
     
     bounceDir.add(
       rightVector.multiplyScalar(rightSpread)
@@ -1,11 +1,29 @@
 import { v4 as uuidv4 } from 'uuid';
 import * as THREE from 'three';
 
+export const WEAPON_DEFINITIONS = {
+  BR01: {
+    name: 'Bouncing Rabbit',
+    description: 'Multiplies on impact!',
+    cost: 500,
+    icon: 'icons/basic_shot.png',
+    ai: { weight: 1 },
+    projectile: {
+      explosionType: 'normal',
+      explosionSize: 1,
+      projectileScale: 3,
+      projectileStyle: 'missile',
+      craterSize: 30,
+      baseDamage: 40,
+    },
+  },
+};
+
 export class BouncingRabbitWeapon {
-  constructor(projectileManager) {
+  constructor(projectileManager, weaponCode) {
     this.projectileManager = projectileManager;
     this.id = uuidv4();
-    this.weaponCode = 'BR01';
+    this.weaponCode = weaponCode;
     
     this.maxBounces = 4;
     this.spreadVariance = 0.6; // Slightly reduced for more predictable bounces
@@ -44,13 +62,8 @@ export class BouncingRabbitWeapon {
       direction: this.baseFireDirection.clone(),
       power: tank.power,
       isFinalProjectile: false,
-      explosionType: 'normal',
-      explosionSize: 1,
-      projectileScale: 3,
-      projectileStyle: 'missile',
-      bounceCount: 0,
-      craterSize: 30,
-      baseDamage: 40
+      ...WEAPON_DEFINITIONS[this.weaponCode].projectile,
+      bounceCount: 0
     }];
 
     // 1) Precompute the entire flight
@@ -62,10 +75,7 @@ export class BouncingRabbitWeapon {
     );
 
     // 2) Broadcast the resulting timeline to all clients
-    this.projectileManager.io
-      .to(this.projectileManager.gameId)
-      .emit('fullProjectileTimeline', timeline);
-      this.projectileManager.scheduleTimeline(timeline, Date.now(), gameCore);
+    this.projectileManager.launchTimeline(timeline);
 
 
     // 3) Calculate the final event time and schedule the turn change
@@ -75,16 +85,7 @@ export class BouncingRabbitWeapon {
 
     const totalDelay = finalEventTime + gameCore.turnChangeDelay;
 
-    setTimeout(async () => {
-      // After the real-time delay, see if the round ended
-      if (!(await gameCore.roundManager.checkRoundOver())) {
-        // Otherwise advance to the next turn
-        gameCore.playerManager.advanceTurn();
-        gameCore.playerManager.currentPlayer =
-          gameCore.playerManager.turnManager.getCurrentPlayerId();
-        gameCore.playerManager.currentPlayerHasFired = false;
-      }
-    }, totalDelay);
+    gameCore.endTurnAfter(totalDelay);
   }
 
   /**
@@ -206,7 +207,7 @@ export class BouncingRabbitWeapon {
       bounceDir.add(rightVector.multiplyScalar(spreadFactor * this.spreadVariance));
       
       // Add slight random variation
-      const randomAngle = (Math.random() - 0.5) * 0.3; // Small random angle
+      const randomAngle = (this.projectileManager.rng.next() - 0.5) * 0.3; // Small random angle
       bounceDir.applyAxisAngle(new THREE.Vector3(0, 1, 0), randomAngle);
     }
     
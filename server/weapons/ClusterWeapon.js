@@ -1,11 +1,29 @@
 import * as THREE from 'three';
 import { v4 as uuidv4 } from 'uuid';
 
+export const WEAPON_DEFINITIONS = {
+  CW01: {
+    name: 'Cluster Weapon',
+    description: 'A carrier projectile splits into multiple projectiles at the apex of flight.',
+    cost: 1250,
+    icon: 'icons/cluster_shot.png',
+    ai: { weight: 1 },
+    // The carrier; the bomblets are set up in _split
+    projectile: {
+      projectileStyle: 'missile',
+      explosionSize: 1,
+      projectileScale: 2,
+      craterSize: 5,
+      baseDamage: 10,
+    },
+  },
+};
+
 export default class ClusterWeapon {
-  constructor(projectileManager) {
+  constructor(projectileManager, weaponCode) {
     this.projectileManager = projectileManager;
     this.id = uuidv4();
-    this.weaponCode = 'CW01';
+    this.weaponCode = weaponCode;
 
     // Configuration
     this.clusterCount = 10;
@@ -26,6 +44,7 @@ export default class ClusterWeapon {
    * 3) At the apex, inject an impact event (so the carrier is removed)
    *    and spawn cluster sub-projectiles that maintain parent momentum.
    * 4) Broadcast the combined timeline and schedule turn change.
+   * 5) Until the apex, let the player detonate the carrier early.
    */
   fire(tank, playerId, gameCore) {
     const baseDirection = tank.getFireDirection();
@@ -38,11 +57,7 @@ export default class ClusterWeapon {
       direction: baseDirection.clone(),
       power: power,
       isFinalProjectile: false, // not final, because we want to split mid-air
-      projectileStyle: 'missile',
-      explosionSize: 1,
-      projectileScale: 2,
-      craterSize: 5,
-      baseDamage: 10 // Carrier does minimal damage
+      ...WEAPON_DEFINITIONS[this.weaponCode].projectile
     }];
 
     // 2) Simulate entire flight
@@ -106,27 +121,62 @@ export default class ClusterWeapon {
       carrierVelocity = nextPos.clone().sub(prevPos).normalize();
     }
 
-    // 4) At apex, remove future events for the carrier and add an impact event to remove it.
+    // A force field that swallows the carrier on its way up leaves it nothing to split
+    const absorbed = timeline.some(ev => ev.type === 'shieldAbsorb' && ev.projectileId === carrierId);
+    if (absorbed && apexIndex === carrierMoves.length - 1) {
+      this._broadcastAndScheduleTurn(gameCore, timeline);
+      return;
+    }
+
+    // 4) Split at the apex
     const apexTime = apexEvent.time;
     const apexPos = new THREE.Vector3(
       apexEvent.position.x,
       apexEvent.position.y,
       apexEvent.position.z
     );
-    // Remove any carrier events after apex
-    for (let i = timeline.length - 1; i >= 0; i--) {
-      const ev = timeline[i];
-      if (ev.projectileId === carrierId && ev.time > apexTime) {
-        timeline.splice(i, 1);
-      }
-    }
-    // Inject an impact event at apex so the carrier is removed on the client.
+    this._split(timeline, carrierId, playerId, apexTime, apexPos, carrierVelocity);
+
+    // 5) Broadcast and schedule turn change
+    this._broadcastAndScheduleTurn(gameCore, timeline);
+
+    // 6) Until the apex, the player can split the carrier early
+    this.projectileManager.allowDetonation(playerId, this.firedAt, cutTime =>
+      this.detonate(cutTime, gameCore, timeline, carrierId, playerId, apexTime)
+    );
+  }
+
+  /**
+   * Player-triggered split: cut the timeline where the carrier is when the
+   * detonate input arrived and split it there instead of at the apex.
+   * @return {boolean} false if the carrier has already split
+   */
+  detonate(cutTime, gameCore, timeline, carrierId, playerId, apexTime) {
+    if (cutTime >= apexTime) return false;
+    const state = this.projectileManager.getProjectileStateAt(timeline, carrierId, cutTime);
+    if (!state) return false;
+
+    this.projectileManager.amendTimeline(timeline, cutTime, this.firedAt, amended =>
+      this._split(amended, carrierId, playerId, cutTime, state.position, state.velocity.normalize())
+    );
+    this._scheduleTurnChange(gameCore, timeline);
+    return true;
+  }
+
+  /**
+   * End the carrier at splitTime (an impact event removes it on the client)
+   * and spawn cluster sub-projectiles that keep its momentum.
+   */
+  _split(timeline, carrierId, playerId, splitTime, splitPos, carrierVelocity) {
+    // Remove any carrier events after the split
+    this.projectileManager.truncateTimeline(timeline, splitTime);
+
     timeline.push({
       type: 'projectileImpact',
-      time: apexTime,
+      time: splitTime,
       projectileId: carrierId,
       playerId: playerId,
-      position: { x: apexPos.x, y: apexPos.y, z: apexPos.z },
+      position: { x: splitPos.x, y: splitPos.y, z: splitPos.z },
       isFinalProjectile: false,
       craterSize: 0,
       aoeSize: 0,
@@ -138,8 +188,7 @@ export default class ClusterWeapon {
       hitHelicopterId: null
     });
 
-    // 5) Spawn cluster bombs at the apex
-    const spawnTime = apexTime + 10;
+    const spawnTime = splitTime + 10;
     for (let i = 0; i < this.clusterCount; i++) {
       // Use the carrier's velocity as base direction for child projectiles
       const direction = this._getClusterDirection(carrierVelocity);
@@ -165,16 +214,18 @@ export default class ClusterWeapon {
       
       // Create cluster projectile with parent momentum plus spread
       const subData = {
-        startPos: apexPos.clone(),
+        startPos: splitPos.clone(),
         direction: direction,
         power: 20,
         isFinalProjectile: isFinal,
         projectileStyle: 'bomblet',
         explosionSize: 1,
         explosionType: 'normal',
-        projectileScale: 0.8 + (Math.random() * 0.4),
+        projectileScale: 0.8 + (this.projectileManager.rng.next() * 0.4),
         craterSize: 25,
         baseDamage: 40, 
+        damageFalloff: 'quadratic',
+        waterBehavior: 'fizzle',
         weaponId: this.id, 
         weaponCode: this.weaponCode,
         preImpactBounces: preImpactBounces,
@@ -182,9 +233,6 @@ export default class ClusterWeapon {
       };
       this.projectileManager.simulateSubProjectile(subData, spawnTime, timeline);
     }
-
-    // 6) Broadcast and schedule turn change
-    this._broadcastAndScheduleTurn(gameCore, timeline);
   }
 
   /**
@@ -204,9 +252,9 @@ export default class ClusterWeapon {
     const direction = baseVelocity.clone();
     
     // Add random spread
-    const spreadX = (Math.random() - 0.5) * this.spreadAngle;
-    const spreadY = (Math.random() - 0.5) * this.spreadAngle;
-    const spreadZ = (Math.random() - 0.5) * this.spreadAngle;
+    const spreadX = (this.projectileManager.rng.next() - 0.5) * this.spreadAngle;
+    const spreadY = (this.projectileManager.rng.next() - 0.5) * this.spreadAngle;
+    const spreadZ = (this.projectileManager.rng.next() - 0.5) * this.spreadAngle;
     
     direction.add(new THREE.Vector3(spreadX, spreadY, spreadZ));
     return direction.normalize();
@@ -216,24 +264,21 @@ export default class ClusterWeapon {
    * Broadcast the timeline and schedule the turn change.
    */
   _broadcastAndScheduleTurn(gameCore, timeline) {
-    this.projectileManager.io
-      .to(this.projectileManager.gameId)
-      .emit('fullProjectileTimeline', timeline);
-    this.projectileManager.scheduleTimeline(timeline, Date.now(), gameCore);
+    this.firedAt = this.projectileManager.launchTimeline(timeline);
+    this._scheduleTurnChange(gameCore, timeline);
+  }
 
+  /**
+   * (Re)schedule the turn change for after the timeline's last event.
+   */
+  _scheduleTurnChange(gameCore, timeline) {
     const lastEventTime = timeline.length
       ? Math.max(...timeline.map(e => e.time))
       : 0;
-    const totalDelay = lastEventTime + gameCore.turnChangeDelay;
-
-    setTimeout(async () => {
-      if (!(await gameCore.roundManager.checkRoundOver())) {
-        gameCore.playerManager.advanceTurn();
-        gameCore.playerManager.currentPlayer =
-          gameCore.playerManager.turnManager.getCurrentPlayerId();
-        gameCore.playerManager.currentPlayerHasFired = false;
-      }
-    }, totalDelay);
+    const totalDelay = lastEventTime + gameCore.turnChangeDelay - (Date.now() - this.firedAt);
+
+    clearTimeout(this.turnChangeTimeout);
+    this.turnChangeTimeout = gameCore.endTurnAfter(totalDelay, () => this.projectileManager.clearDetonation());
   }
 
   destroy() {
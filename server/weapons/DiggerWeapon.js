@@ -0,0 +1,90 @@
+// DiggerWeapon.js
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Shells that burrow on hitting the ground instead of exploding. Underground
+ * they carve a furrow and blow up under the first enemy tank they reach, or
+ * pop back out after burrowDistance and explode where they land.
+ */
+export const WEAPON_DEFINITIONS = {
+  DG01: {
+    name: 'Digger',
+    description: 'Burrows on landing and surfaces under whoever is hiding nearby.',
+    cost: 1100,
+    icon: 'icons/basic_shot.png',
+    ai: { weight: 1 },
+    projectile: {
+      burrowDistance: 25,
+      baseDamage: 35,
+      aoeSize: 6,
+      craterSize: 25,
+      tunnelWidth: 2.5,
+      tunnelDepth: 1.5,
+      explosionSize: 1.2,
+      projectileStyle: 'spike_bomb',
+    },
+  },
+  DG02: {
+    name: 'Sandhog',
+    description: 'A bigger digger that tunnels much further.',
+    cost: 2000,
+    icon: 'icons/basic_shot.png',
+    ai: { weight: 1 },
+    projectile: {
+      burrowDistance: 45,
+      baseDamage: 50,
+      aoeSize: 8,
+      craterSize: 35,
+      tunnelWidth: 3.5,
+      tunnelDepth: 2.5,
+      explosionSize: 1.2,
+      projectileStyle: 'spike_bomb',
+    },
+  },
+};
+
+export default class DiggerWeapon {
+  constructor(projectileManager, weaponCode) {
+    this.projectileManager = projectileManager;
+    this.weaponCode = weaponCode;
+    this.config = WEAPON_DEFINITIONS[weaponCode].projectile;
+    this.id = uuidv4();
+
+    projectileManager.registerWeaponHandler(this.id, (impactEvent, timeline, manager) => {
+      // Burrowing is handled by the projectile manager
+    });
+  }
+
+  fire(tank, playerId, gameCore) {
+    const direction = tank.getFireDirection();
+    const spawnPos = tank.getBarrelTip();
+    const power = tank.power;
+
+    const projectileData = [{
+      ...this.config,
+      startPos: spawnPos.clone(),
+      direction: direction.normalize(),
+      power,
+      isFinalProjectile: true,
+    }];
+
+    const timeline = this.projectileManager.simulateProjectiles(
+      playerId,
+      projectileData,
+      this.id,
+      this.weaponCode
+    );
+
+    this.projectileManager.launchTimeline(timeline);
+
+    const finalEventTime = timeline.length
+      ? Math.max(...timeline.map(ev => ev.time))
+      : 0;
+
+    gameCore.endTurnAfter(finalEventTime + gameCore.turnChangeDelay);
+  }
+
+  destroy() {
+    this.projectileManager.weaponHandlers.delete(this.id);
+  }
+}
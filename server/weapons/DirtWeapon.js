@@ -0,0 +1,107 @@
+// DirtWeapon.js
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Dirt weapons don't hurt anyone directly: on impact they reshape the
+ * terrain to bury tanks, build cover or dig out.
+ * terrainEffect is { operation, radius, ...shape options } as understood by
+ * TerrainGenerator.getShapeOffset.
+ */
+export const WEAPON_DEFINITIONS = {
+  DC01: {
+    name: 'Dirt Clod',
+    description: 'A small heap of dirt. Harmless, mostly.',
+    cost: 200,
+    icon: 'icons/basic_shot.png',
+    ai: { weight: 0 },
+    projectile: {
+      terrainEffect: { operation: 'mound', radius: 4, height: 4 },
+      projectileScale: 1,
+    },
+  },
+  DB01: {
+    name: 'Dirt Ball',
+    description: 'Buries whatever it lands on.',
+    cost: 450,
+    icon: 'icons/basic_shot.png',
+    ai: { weight: 0 },
+    projectile: {
+      terrainEffect: { operation: 'mound', radius: 9, height: 8 },
+      projectileScale: 1.5,
+    },
+  },
+  RC01: {
+    name: 'Riot Charge',
+    description: 'Digs a tunnel onward from where it lands. Good for digging out.',
+    cost: 700,
+    icon: 'icons/basic_shot.png',
+    ai: { weight: 0 },
+    projectile: {
+      terrainEffect: { operation: 'tunnel', radius: 25, depth: 8 },
+      projectileScale: 1,
+    },
+  },
+  DW01: {
+    name: 'Dirt Wall',
+    description: 'Raises a wall across its path. Instant cover.',
+    cost: 600,
+    icon: 'icons/basic_shot.png',
+    ai: { weight: 0 },
+    projectile: {
+      terrainEffect: { operation: 'wall', radius: 12, height: 7, thickness: 3 },
+      projectileScale: 1.5,
+    },
+  },
+};
+
+export default class DirtWeapon {
+  constructor(projectileManager, weaponCode) {
+    this.projectileManager = projectileManager;
+    this.weaponCode = weaponCode;
+    this.config = WEAPON_DEFINITIONS[weaponCode].projectile;
+    this.id = uuidv4();
+
+    projectileManager.registerWeaponHandler(this.id, (impactEvent, timeline, manager) => {
+      // The terrain shape rides on the impact event itself
+    });
+  }
+
+  fire(tank, playerId, gameCore) {
+    const direction = tank.getFireDirection();
+    const spawnPos = tank.getBarrelTip();
+    const power = tank.power;
+
+    const projectileData = [{
+      startPos: spawnPos.clone(),
+      direction: direction.normalize(),
+      power,
+      isFinalProjectile: true,
+      baseDamage: 0,
+      craterSize: 0,
+      aoeSize: 0,
+      explosionSize: 0.5,
+      projectileStyle: 'bomblet',
+      projectileScale: this.config.projectileScale,
+      terrainEffect: this.config.terrainEffect,
+    }];
+
+    const timeline = this.projectileManager.simulateProjectiles(
+      playerId,
+      projectileData,
+      this.id,
+      this.weaponCode
+    );
+
+    this.projectileManager.launchTimeline(timeline);
+
+    const finalEventTime = timeline.length
+      ? Math.max(...timeline.map(ev => ev.time))
+      : 0;
+
+    gameCore.endTurnAfter(finalEventTime + gameCore.turnChangeDelay);
+  }
+
+  destroy() {
+    this.projectileManager.weaponHandlers.delete(this.id);
+  }
+}
@@ -0,0 +1,95 @@
+// GroundGuidedWeapon.js
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Missiles that steer for a target the player picked before firing: a point
+ * on the ground, or an enemy tank wherever it sits when the missile arrives.
+ * Steering only starts after guidanceDelay, and anything in the way still
+ * stops them.
+ */
+export const WEAPON_DEFINITIONS = {
+  GM01: {
+    name: 'Guided Missile',
+    description: 'Click a spot on the ground, then fire. Goes where you point.',
+    cost: 2200,
+    icon: 'icons/basic_shot.png',
+    targeting: 'ground',
+    ai: { weight: 1 },
+    projectile: {
+      baseDamage: 45,
+      craterSize: 25,
+      explosionSize: 1.5,
+      explosionType: 'guided',
+      projectileStyle: 'missile',
+      projectileScale: 1.5,
+      maxTurnRate: 0.04,
+      addedTurnRatePerSecond: 0.01,
+      guidanceDelay: 1500,
+      acceleration: 45,
+    },
+  },
+  GM02: {
+    name: 'Tank Seeker',
+    description: 'Click an enemy tank, then fire. They can run, but...',
+    cost: 6000,
+    icon: 'icons/basic_shot.png',
+    targeting: 'tank',
+    ai: { weight: 1 },
+    projectile: {
+      baseDamage: 60,
+      craterSize: 25,
+      explosionSize: 1.5,
+      explosionType: 'guided',
+      projectileStyle: 'missile',
+      projectileScale: 1.5,
+      maxTurnRate: 0.05,
+      addedTurnRatePerSecond: 0.015,
+      guidanceDelay: 1500,
+      acceleration: 45,
+    },
+  },
+};
+
+export default class GroundGuidedWeapon {
+  constructor(projectileManager, weaponCode) {
+    this.projectileManager = projectileManager;
+    this.weaponCode = weaponCode;
+    this.config = WEAPON_DEFINITIONS[weaponCode].projectile;
+    this.id = uuidv4();
+  }
+
+  /**
+   * @param {Object} target - { point } or { playerId }, checked by processInput
+   */
+  fire(tank, playerId, gameCore, target) {
+    const direction = tank.getFireDirection();
+    const spawnPos = tank.getBarrelTip();
+    const power = tank.power;
+
+    const projectileData = [{
+      ...this.config,
+      startPos: spawnPos.clone(),
+      direction: direction.normalize(),
+      power,
+      isFinalProjectile: true,
+      isGuided: true,
+      targetPoint: target.point || null,
+      targetPlayerId: target.playerId || null,
+    }];
+
+    const timeline = this.projectileManager.simulateProjectiles(
+      playerId,
+      projectileData,
+      this.id,
+      this.weaponCode
+    );
+
+    this.projectileManager.launchTimeline(timeline);
+
+    const finalEventTime = timeline.length
+      ? Math.max(...timeline.map(ev => ev.time))
+      : 0;
+
+    gameCore.endTurnAfter(finalEventTime + gameCore.turnChangeDelay);
+  }
+}
@@ -1,10 +1,29 @@
 import { v4 as uuidv4 } from 'uuid';
 import * as THREE from 'three';
 
+export const WEAPON_DEFINITIONS = {
+  HK01: {
+    name: 'Heli Killer',
+    description: 'Seek and ye shall find...',
+    cost: 1250,
+    icon: 'icons/cluster_shot.png',
+    ai: { weight: 1, antiAir: true },
+    projectile: {
+      baseDamage: 40,
+      craterSize: 25,
+      damageFalloff: 'flat',
+      explosionSize: 1.5,
+      explosionType: 'guided',
+      projectileStyle: 'missile',
+      projectileScale: 1.5,
+    },
+  },
+};
+
 export default class GuidedWeapon {
-  constructor(projectileManager) {
+  constructor(projectileManager, weaponCode) {
     this.projectileManager = projectileManager;
-    this.weaponCode = 'GW01';
+    this.weaponCode = weaponCode;
     this.id = uuidv4();
 
     // Register custom impact handler
@@ -48,7 +67,7 @@ export default class GuidedWeapon {
     }
     
     // Select a random helicopter as the target from those that will be in range
-    const targetHelicopter = helicopters[Math.floor(Math.random() * helicopters.length)];
+    const targetHelicopter = this.projectileManager.rng.pick(helicopters);
     
     
     const projectileData = [{
@@ -56,12 +75,7 @@ export default class GuidedWeapon {
       direction: direction.normalize(),
       power: power * 0.8, // Initial speed factor
       isFinalProjectile: true,
-      baseDamage: 40,
-      craterSize: 25,
-      explosionSize: 1.5,
-      explosionType: 'guided',
-      projectileStyle: 'missile',
-      projectileScale: 1.5,
+      ...WEAPON_DEFINITIONS[this.weaponCode].projectile,
       
       // Guided missile specific properties
       isGuided: true,
@@ -87,11 +101,7 @@ export default class GuidedWeapon {
     }
     
     // Broadcast it to clients
-    this.projectileManager.io
-      .to(this.projectileManager.gameId)
-      .emit('fullProjectileTimeline', timeline);
-    
-    this.projectileManager.scheduleTimeline(timeline, Date.now(), gameCore);
+    this.projectileManager.launchTimeline(timeline);
     
     // Find the final time in the timeline
     const finalEventTime = timeline.length
@@ -101,14 +111,7 @@ export default class GuidedWeapon {
     // Turn change after a delay
     const totalDelay = finalEventTime + gameCore.turnChangeDelay + 4000;
     
-    setTimeout(async () => {
-      if (!(await gameCore.roundManager.checkRoundOver())) {
-        gameCore.playerManager.advanceTurn();
-        gameCore.playerManager.currentPlayer =
-          gameCore.playerManager.turnManager.getCurrentPlayerId();
-        gameCore.playerManager.currentPlayerHasFired = false;
-      }
-    }, totalDelay);
+    gameCore.endTurnAfter(totalDelay);
   }
   
   _fireUnguided(tank, playerId, gameCore, spawnPos, direction, power) {
@@ -120,6 +123,7 @@ export default class GuidedWeapon {
       isFinalProjectile: true,
       baseDamage: 30,
       craterSize: 25,
+      damageFalloff: 'flat',
       projectileStyle: 'missile',
       projectileScale: 1.5,
       explosionType: 'guided',
@@ -137,11 +141,7 @@ export default class GuidedWeapon {
       this.weaponCode
     );
     
-    this.projectileManager.io
-      .to(this.projectileManager.gameId)
-      .emit('fullProjectileTimeline', timeline);
-    
-    this.projectileManager.scheduleTimeline(timeline, Date.now(), gameCore);
+    this.projectileManager.launchTimeline(timeline);
         // Find the final time in the timeline
         const finalEventTime = timeline.length
         ? Math.max(...timeline.map(ev => ev.time))
@@ -150,14 +150,7 @@ export default class GuidedWeapon {
       // Turn change after a delay
       const totalDelay = finalEventTime + gameCore.turnChangeDelay;
       
-      setTimeout(async () => {
-        if (!(await gameCore.roundManager.checkRoundOver())) {
-          gameCore.playerManager.advanceTurn();
-          gameCore.playerManager.currentPlayer =
-            gameCore.playerManager.turnManager.getCurrentPlayerId();
-          gameCore.playerManager.currentPlayerHasFired = false;
-        }
-      }, totalDelay);
+      gameCore.endTurnAfter(totalDelay);
   
 
   }
@@ -1,11 +1,26 @@
 import { v4 as uuidv4 } from 'uuid';
 import * as THREE from 'three';
 
+export const WEAPON_DEFINITIONS = {
+  JB01: {
+    name: 'Jumping Bean',
+    description: 'Damn Mexicans!',
+    cost: 1250,
+    icon: 'icons/cluster_shot.png',
+    ai: { weight: 1 },
+    projectile: {
+      explosionType: 'normal',
+      explosionSize: 1.2,
+      projectileStyle: 'missile',
+    },
+  },
+};
+
 export class JumpingBeanWeapon {
-  constructor(projectileManager) {
+  constructor(projectileManager, weaponCode) {
     this.projectileManager = projectileManager;
     this.id = uuidv4();
-    this.weaponCode = 'JB01';
+    this.weaponCode = weaponCode;
 
     // Weapon configuration
     this.maxBounces = 15;
@@ -61,10 +76,8 @@ export class JumpingBeanWeapon {
       minTimeFactor: this.baseTimeFactor,
       
       // Visual properties
-      explosionType: 'normal',
-      explosionSize: 1.2,
+      ...WEAPON_DEFINITIONS[this.weaponCode].projectile,
       projectileScale: this.baseScale,
-      projectileStyle: 'missile',
       craterSize: this.craterSize,
       
       // Damage properties
@@ -106,8 +119,8 @@ export class JumpingBeanWeapon {
 
   calculateNextBounce(position, playerId, currentBounce) {
     // Calculate a tight spread from the current position
-    const angle = Math.random() * Math.PI * 2; // Random direction
-    const radius = this.bounceRadius + (Math.random() - 0.5) * this.radiusVariance;
+    const angle = this.projectileManager.rng.next() * Math.PI * 2; // Random direction
+    const radius = this.bounceRadius + (this.projectileManager.rng.next() - 0.5) * this.radiusVariance;
 
     // Calculate next position with a small offset from current position
     const nextPos = new THREE.Vector3(
@@ -118,9 +131,9 @@ export class JumpingBeanWeapon {
 
     // Calculate a nearby target point for a steeper trajectory
     const targetPos = new THREE.Vector3(
-      nextPos.x + (Math.random() - 0.5) * this.radiusVariance,
+      nextPos.x + (this.projectileManager.rng.next() - 0.5) * this.radiusVariance,
       position.y, // Target at ground level
-      nextPos.z + (Math.random() - 0.5) * this.radiusVariance
+      nextPos.z + (this.projectileManager.rng.next() - 0.5) * this.radiusVariance
     );
 
     // Create direction vector with emphasized vertical component
@@ -181,25 +194,14 @@ export class JumpingBeanWeapon {
   }
 
   _broadcastAndScheduleTurn(gameCore, timeline) {
-    this.projectileManager.io
-      .to(this.projectileManager.gameId)
-      .emit('fullProjectileTimeline', timeline);
-
-    this.projectileManager.scheduleTimeline(timeline, Date.now(), gameCore);
+    this.projectileManager.launchTimeline(timeline);
 
     const lastEventTime = timeline.length
       ? Math.max(...timeline.map(ev => ev.time))
       : 0;
     const totalDelay = lastEventTime + gameCore.turnChangeDelay;
 
-    setTimeout(async () => {
-      if (!(await gameCore.roundManager.checkRoundOver())) {
-        gameCore.playerManager.advanceTurn();
-        gameCore.playerManager.currentPlayer =
-          gameCore.playerManager.turnManager.getCurrentPlayerId();
-        gameCore.playerManager.currentPlayerHasFired = false;
-      }
-    }, totalDelay);
+    gameCore.endTurnAfter(totalDelay);
   }
 
   destroy() {
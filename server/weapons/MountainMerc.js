@@ -1,11 +1,30 @@
 import { v4 as uuidv4 } from 'uuid';
 import * as THREE from 'three';
 
+export const WEAPON_DEFINITIONS = {
+  MM01: {
+    name: 'Mountain Merc',
+    description: 'One thing leads to another...',
+    cost: 900,
+    icon: 'icons/quad_shot.png',
+    ai: { weight: 1 },
+    projectile: {
+      explosionType: 'normal',
+      explosionSize: 0.5,
+      projectileScale: 3,
+      projectileStyle: 'projectile_1',
+      craterSize: 1,
+      baseDamage: 40,
+      timeFactor: 1.0,
+    },
+  },
+};
+
 export class MountainMercWeapon {
-  constructor(projectileManager) {
+  constructor(projectileManager, weaponCode) {
     this.projectileManager = projectileManager;
     this.id = uuidv4();
-    this.weaponCode = 'MM01';
+    this.weaponCode = weaponCode;
 
     // Weapon configuration
     this.childCount = 7;
@@ -32,13 +51,7 @@ export class MountainMercWeapon {
       direction: tank.getFireDirection().clone(),
       power: tank.power,
       isFinalProjectile: false,       // parent spawns children on impact
-      explosionType: 'normal',
-      explosionSize: 0.5,
-      projectileScale: 3,
-      projectileStyle: 'projectile_1',
-      craterSize: 1,
-      baseDamage: 40,
-      timeFactor: 1.0 // Parent projectile uses normal speed
+      ...WEAPON_DEFINITIONS[this.weaponCode].projectile
     }];
 
     const timeline = this.projectileManager.simulateProjectiles(
@@ -80,15 +93,15 @@ export class MountainMercWeapon {
       const spreadDirection = baseDirection.clone();
 
       // Y-axis random rotation
-      const rotationAngle = (Math.random() - 0.5) * this.spreadAngle;
+      const rotationAngle = (this.projectileManager.rng.next() - 0.5) * this.spreadAngle;
       spreadDirection.applyAxisAngle(new THREE.Vector3(0, 1, 0), rotationAngle);
 
       // X tilt
-      const xTiltAngle = (Math.random() - 0.5) * this.spreadAngle;
+      const xTiltAngle = (this.projectileManager.rng.next() - 0.5) * this.spreadAngle;
       spreadDirection.applyAxisAngle(new THREE.Vector3(1, 0, 0), xTiltAngle);
 
       // Z tilt
-      const zTiltAngle = (Math.random() - 0.5) * this.spreadAngle;
+      const zTiltAngle = (this.projectileManager.rng.next() - 0.5) * this.spreadAngle;
       spreadDirection.applyAxisAngle(new THREE.Vector3(0, 0, 1), zTiltAngle);
 
       const isFinal = (i === this.childCount - 1);
@@ -96,14 +109,15 @@ export class MountainMercWeapon {
       childProjectiles.push({
         startPos: new THREE.Vector3(position.x, position.y + 5, position.z),
         direction: spreadDirection.normalize(),
-        power: parentPower * this.childPowerMultiplier * (0.5 + Math.random()),
+        power: parentPower * this.childPowerMultiplier * (0.5 + this.projectileManager.rng.next()),
         isFinalProjectile: isFinal,
         explosionType: 'normal',
         explosionSize: 3.0,
-        projectileScale: 0.7 * (0.5 + Math.random()),
+        projectileScale: 0.7 * (0.5 + this.projectileManager.rng.next()),
         projectileStyle: 'bomblet',
         craterSize: 80,
         baseDamage: 50,
+        damageFalloff: 'smooth',
         preImpactBounces: 1,
         preImpactBouncePower: 10,
         // Time control configuration:
@@ -118,24 +132,14 @@ export class MountainMercWeapon {
   }
 
   _broadcastAndScheduleTurn(gameCore, timeline) {
-    this.projectileManager.io
-      .to(this.projectileManager.gameId)
-      .emit('fullProjectileTimeline', timeline);
-    this.projectileManager.scheduleTimeline(timeline, Date.now(), gameCore);
+    this.projectileManager.launchTimeline(timeline);
 
     const lastEventTime = timeline.length
       ? Math.max(...timeline.map(ev => ev.time))
       : 0;
     const totalDelay = lastEventTime + gameCore.turnChangeDelay;
 
-    setTimeout(async () => {
-      if (!(await gameCore.roundManager.checkRoundOver())) {
-        gameCore.playerManager.advanceTurn();
-        gameCore.playerManager.currentPlayer =
-          gameCore.playerManager.turnManager.getCurrentPlayerId();
-        gameCore.playerManager.currentPlayerHasFired = false;
-      }
-    }, totalDelay);
+    gameCore.endTurnAfter(totalDelay);
   }
 
   destroy() {
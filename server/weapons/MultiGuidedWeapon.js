@@ -1,10 +1,29 @@
 import { v4 as uuidv4 } from 'uuid';
 import * as THREE from 'three';
 
+export const WEAPON_DEFINITIONS = {
+  HK02: {
+    name: 'Multi Heli Killer',
+    description: 'BOP BOP BOP BOP BOP',
+    cost: 1250,
+    icon: 'icons/cluster_shot.png',
+    ai: { weight: 1, antiAir: true },
+    // One missile per helicopter in range
+    projectile: {
+      baseDamage: 35,
+      craterSize: 20,
+      explosionSize: 1.2,
+      explosionType: 'guided',
+      projectileStyle: 'missile',
+      projectileScale: 0.7,
+    },
+  },
+};
+
 export default class MultiGuidedWeapon {
-  constructor(projectileManager) {
+  constructor(projectileManager, weaponCode) {
     this.projectileManager = projectileManager;
-    this.weaponCode = 'GW02'; 
+    this.weaponCode = weaponCode;
     this.id = uuidv4();
 
     // Register custom impact handler
@@ -57,8 +76,8 @@ export default class MultiGuidedWeapon {
       
       // Add a small random spread to missiles
       if (helicopters.length > 1) {
-        spreadDirection.x += (Math.random() * 2 - 1) * spreadFactor;
-        spreadDirection.y += (Math.random() * 2 - 1) * spreadFactor;
+        spreadDirection.x += (this.projectileManager.rng.next() * 2 - 1) * spreadFactor;
+        spreadDirection.y += (this.projectileManager.rng.next() * 2 - 1) * spreadFactor;
         spreadDirection.normalize();
       }
       
@@ -67,12 +86,7 @@ export default class MultiGuidedWeapon {
         direction: spreadDirection,
         power: power * 0.8, // Initial speed factor
         isFinalProjectile: index === helicopters.length - 1, // Only the last one is final
-        baseDamage: 35, // Slightly reduced damage since there are multiple projectiles
-        craterSize: 20,
-        explosionSize: 1.2,
-        explosionType: 'guided',
-        projectileStyle: 'missile',
-        projectileScale: 0.7,
+        ...WEAPON_DEFINITIONS[this.weaponCode].projectile,
         
         // Guided missile specific properties
         isGuided: true,
@@ -98,11 +112,7 @@ export default class MultiGuidedWeapon {
     });
     
     // Broadcast it to clients
-    this.projectileManager.io
-      .to(this.projectileManager.gameId)
-      .emit('fullProjectileTimeline', timeline);
-    
-    this.projectileManager.scheduleTimeline(timeline, Date.now(), gameCore);
+    this.projectileManager.launchTimeline(timeline);
     
     // Find the final time in the timeline
     const finalEventTime = timeline.length
@@ -112,14 +122,7 @@ export default class MultiGuidedWeapon {
     // Turn change after a delay
     const totalDelay = finalEventTime + gameCore.turnChangeDelay;
     
-    setTimeout(async () => {
-      if (!(await gameCore.roundManager.checkRoundOver())) {
-        gameCore.playerManager.advanceTurn();
-        gameCore.playerManager.currentPlayer =
-          gameCore.playerManager.turnManager.getCurrentPlayerId();
-        gameCore.playerManager.currentPlayerHasFired = false;
-      }
-    }, totalDelay);
+    gameCore.endTurnAfter(totalDelay);
   }
   
   _fireUnguided(tank, playerId, gameCore, spawnPos, direction, power) {
@@ -148,11 +151,7 @@ export default class MultiGuidedWeapon {
       this.weaponCode
     );
     
-    this.projectileManager.io
-      .to(this.projectileManager.gameId)
-      .emit('fullProjectileTimeline', timeline);
-    
-    this.projectileManager.scheduleTimeline(timeline, Date.now(), gameCore);
+    this.projectileManager.launchTimeline(timeline);
     
     const finalEventTime = timeline.length
       ? Math.max(...timeline.map(ev => ev.time))
@@ -160,14 +159,7 @@ export default class MultiGuidedWeapon {
     
     const totalDelay = finalEventTime + gameCore.turnChangeDelay;
     
-    setTimeout(async () => {
-      if (!(await gameCore.roundManager.checkRoundOver())) {
-        gameCore.playerManager.advanceTurn();
-        gameCore.playerManager.currentPlayer =
-          gameCore.playerManager.turnManager.getCurrentPlayerId();
-        gameCore.playerManager.currentPlayerHasFired = false;
-      }
-    }, totalDelay);
+    gameCore.endTurnAfter(totalDelay);
   }
 
   destroy() {
@@ -1,14 +1,30 @@
 import * as THREE from 'three';
 import { v4 as uuidv4 } from 'uuid';
 
+export const WEAPON_DEFINITIONS = {
+  MS01: {
+    name: 'Pea Shooter',
+    description: 'Several consecutive shots but with medium deviation.',
+    cost: 100,
+    icon: 'icons/basic_shot.png',
+    ai: { weight: 1 },
+    projectile: {
+      projectileStyle: 'missile',
+      craterSize: 30,
+      baseDamage: 20,
+      explosionSize: 1,
+    },
+  },
+};
+
 export default class MultiShotWeapon {
-  constructor(projectileManager) {
+  constructor(projectileManager, weaponCode) {
     this.projectileCount = 8;    // total shots
     this.spreadAngle = 0.15;     // random angle
     this.fireInterval = 500;     // ms between shots
     this.projectileManager = projectileManager;
     this.id = uuidv4();
-    this.weaponCode = 'MS01';
+    this.weaponCode = weaponCode;
   }
 
   /**
@@ -33,9 +49,9 @@ export default class MultiShotWeapon {
 
       // Slight random spread
       const randomSpread = new THREE.Vector3(
-        (Math.random() - 0.5) * this.spreadAngle,
-        (Math.random() - 0.5) * this.spreadAngle,
-        (Math.random() - 0.5) * this.spreadAngle
+        (this.projectileManager.rng.next() - 0.5) * this.spreadAngle,
+        (this.projectileManager.rng.next() - 0.5) * this.spreadAngle,
+        (this.projectileManager.rng.next() - 0.5) * this.spreadAngle
       );
 
       const direction = baseDirection.clone().add(randomSpread).normalize();
@@ -48,10 +64,7 @@ export default class MultiShotWeapon {
         direction,
         power,
         isFinalProjectile: isFinal,
-        projectileStyle: 'missile',
-        craterSize: 30,
-        baseDamage: 20,
-        explosionSize: 1,
+        ...WEAPON_DEFINITIONS[this.weaponCode].projectile,
         weaponId: this.id,
         weaponCode: this.weaponCode
       };
@@ -73,10 +86,7 @@ export default class MultiShotWeapon {
    */
   _broadcastAndScheduleTurn(gameCore, timeline) {
     // Send to clients
-    this.projectileManager.io
-      .to(this.projectileManager.gameId)
-      .emit('fullProjectileTimeline', timeline);
-      this.projectileManager.scheduleTimeline(timeline, Date.now(), gameCore);
+    this.projectileManager.launchTimeline(timeline);
 
 
     // Find max event time
@@ -86,14 +96,7 @@ export default class MultiShotWeapon {
 
     const totalDelay = lastEventTime + gameCore.turnChangeDelay;
 
-    setTimeout(async () => {
-      if (!(await gameCore.roundManager.checkRoundOver())) {
-        gameCore.playerManager.advanceTurn();
-        gameCore.playerManager.currentPlayer =
-          gameCore.playerManager.turnManager.getCurrentPlayerId();
-        gameCore.playerManager.currentPlayerHasFired = false;
-      }
-    }, totalDelay);
+    gameCore.endTurnAfter(totalDelay);
   }
 
   destroy() {
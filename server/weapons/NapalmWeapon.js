@@ -0,0 +1,220 @@
+// NapalmWeapon.js
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Liquid fire: on impact the payload runs over the heightfield, always
+ * spilling into the lowest cell next to what is already burning. It follows
+ * the slope downhill and fills craters and valleys before climbing out of
+ * them. Tanks touching a burning cell take damage every tick.
+ */
+export const WEAPON_DEFINITIONS = {
+  NP01: {
+    name: 'Napalm',
+    description: 'Burning liquid that runs downhill. Valleys beware.',
+    cost: 1500,
+    icon: 'icons/cluster_shot.png',
+    ai: { weight: 1 },
+    projectile: {
+      cells: 40,          // Grid cells the liquid covers in total
+      damagePerTick: 4,
+      burnDuration: 5000, // ms each cell keeps burning
+    },
+  },
+  NP02: {
+    name: 'Hot Napalm',
+    description: 'More napalm, hotter napalm.',
+    cost: 2800,
+    icon: 'icons/cluster_shot.png',
+    ai: { weight: 1 },
+    projectile: {
+      cells: 80,
+      damagePerTick: 7,
+      burnDuration: 6000,
+    },
+  },
+};
+
+const CELLS_PER_STEP = 3;   // Cells that catch fire per flow step
+const FLOW_STEP_MS = 60;    // Time between flow steps
+const BURN_TICK_MS = 500;   // Damage-over-time interval
+const BURN_RADIUS = 2.5;    // Horizontal reach of a burning cell onto a tank
+const BURN_HEIGHT = 4;      // Vertical reach (the tank sits above the ground)
+
+const NEIGHBORS = [
+  [-1, -1], [0, -1], [1, -1],
+  [-1, 0], [1, 0],
+  [-1, 1], [0, 1], [1, 1],
+];
+
+export default class NapalmWeapon {
+  constructor(projectileManager, weaponCode) {
+    this.projectileManager = projectileManager;
+    this.weaponCode = weaponCode;
+    this.config = WEAPON_DEFINITIONS[weaponCode].projectile;
+    this.id = uuidv4();
+
+    projectileManager.registerWeaponHandler(
+      this.id,
+      (impactEvent, timeline, manager) => this.handleImpact(impactEvent, timeline, manager)
+    );
+  }
+
+  fire(tank, playerId, gameCore) {
+    const direction = tank.getFireDirection();
+    const spawnPos = tank.getBarrelTip();
+    const power = tank.power;
+
+    const projectileData = [{
+      startPos: spawnPos.clone(),
+      direction: direction.normalize(),
+      power,
+      isFinalProjectile: true,
+      baseDamage: 10,
+      craterSize: 0,
+      aoeSize: 3,
+      explosionSize: 0.8,
+      projectileStyle: 'missile',
+    }];
+
+    const timeline = this.projectileManager.simulateProjectiles(
+      playerId,
+      projectileData,
+      this.id,
+      this.weaponCode
+    );
+
+    this.projectileManager.launchTimeline(timeline);
+
+    const finalEventTime = timeline.length
+      ? Math.max(...timeline.map(ev => ev.time))
+      : 0;
+
+    gameCore.endTurnAfter(finalEventTime + gameCore.turnChangeDelay);
+  }
+
+  handleImpact(impactEvent, timeline, manager) {
+    if (impactEvent.isUnderwater) return; // Doused
+
+    const cells = this.simulateFlow(impactEvent, timeline, manager);
+    if (cells.length === 0) return;
+
+    // One napalmBurn event per flow step with the cells that caught fire
+    const steps = new Map();
+    cells.forEach(cell => {
+      if (!steps.has(cell.time)) steps.set(cell.time, []);
+      steps.get(cell.time).push({ x: cell.x, y: cell.y, z: cell.z });
+    });
+    steps.forEach((stepCells, time) => {
+      timeline.push({
+        type: 'napalmBurn',
+        time,
+        projectileId: impactEvent.projectileId,
+        playerId: impactEvent.playerId,
+        cells: stepCells,
+        burnDuration: this.config.burnDuration
+      });
+    });
+
+    timeline.push(...this.calculateBurnDamage(impactEvent, cells, manager, timeline));
+
+    timeline.push({
+      type: 'napalmBurnout',
+      time: cells[cells.length - 1].time + this.config.burnDuration,
+      projectileId: impactEvent.projectileId
+    });
+  }
+
+  /**
+   * Priority flood from the impact: each step ignites the lowest cells that
+   * border the burning area. Heights include craters carved earlier in the
+   * timeline so the liquid pools in them; cells under water are skipped.
+   * @returns {Array<{x: number, y: number, z: number, time: number}>} Cells in ignition order
+   */
+  simulateFlow(impactEvent, timeline, manager) {
+    const generator = manager.terrainManager.generator;
+    const n = generator.segments;
+    const waterLevel = manager._getWaterLevel();
+
+    const startX = Math.max(0, Math.min(n, Math.round(generator.worldToGrid(impactEvent.position.x, 'x'))));
+    const startZ = Math.max(0, Math.min(n, Math.round(generator.worldToGrid(impactEvent.position.z, 'z'))));
+
+    const seen = new Set();
+    const frontier = [];
+    const addToFrontier = (gx, gz) => {
+      if (gx < 0 || gz < 0 || gx > n || gz > n) return;
+      const key = gz * (n + 1) + gx;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const x = generator.gridToWorld(gx, 'x');
+      const z = generator.gridToWorld(gz, 'z');
+      const y = manager._getTerrainHeight(x, z, impactEvent.time, timeline);
+      if (waterLevel !== null && y < waterLevel) return;
+      frontier.push({ gx, gz, x, y, z });
+    };
+
+    addToFrontier(startX, startZ);
+
+    const burning = [];
+    let time = impactEvent.time;
+    while (burning.length < this.config.cells && frontier.length > 0) {
+      for (let i = 0; i < CELLS_PER_STEP && frontier.length > 0; i++) {
+        let lowest = 0;
+        for (let j = 1; j < frontier.length; j++) {
+          if (frontier[j].y < frontier[lowest].y) lowest = j;
+        }
+        const cell = frontier[lowest];
+        frontier[lowest] = frontier[frontier.length - 1];
+        frontier.pop();
+
+        burning.push({ x: cell.x, y: cell.y, z: cell.z, time });
+        NEIGHBORS.forEach(([dx, dz]) => addToFrontier(cell.gx + dx, cell.gz + dz));
+      }
+      time += FLOW_STEP_MS;
+    }
+
+    return burning;
+  }
+
+  /**
+   * Damage-over-time for every tank touching a burning cell, one tankBurn
+   * event per tank per tick. Each tick looks for the tank where falls and
+   * knockback earlier in the timeline have put it by then.
+   */
+  calculateBurnDamage(impactEvent, cells, manager, timeline) {
+    const events = [];
+    const { burnDuration, damagePerTick } = this.config;
+    const firstTime = cells[0].time;
+    const lastTime = cells[cells.length - 1].time + burnDuration;
+
+    const players = manager.playerManager ? manager.playerManager.getPlayersObject() : {};
+    for (const [userId, player] of Object.entries(players)) {
+      if (!player.isAlive || player.isSpectator) continue;
+
+      for (let tick = firstTime; tick < lastTime; tick += BURN_TICK_MS) {
+        const position = manager._getTankPositionAt(userId, player, tick, timeline);
+        const onFire = cells.some(cell => {
+          if (tick < cell.time || tick >= cell.time + burnDuration) return false;
+          const dx = cell.x - position.x;
+          const dz = cell.z - position.z;
+          return dx * dx + dz * dz <= BURN_RADIUS * BURN_RADIUS &&
+            Math.abs(position.y - cell.y) <= BURN_HEIGHT;
+        });
+        if (!onFire) continue;
+        events.push({
+          type: 'tankBurn',
+          time: tick,
+          playerId: userId,
+          attackerId: impactEvent.playerId,
+          position: { x: position.x, y: position.y, z: position.z },
+          damage: damagePerTick
+        });
+      }
+    }
+    return events;
+  }
+
+  destroy() {
+    this.projectileManager.weaponHandlers.delete(this.id);
+  }
+}
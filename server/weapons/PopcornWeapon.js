@@ -1,11 +1,26 @@
 import { v4 as uuidv4 } from 'uuid';
 import * as THREE from 'three';
 
+export const WEAPON_DEFINITIONS = {
+  PC01: {
+    name: 'Popcorn',
+    description: 'Pop pop pop!',
+    cost: 1250,
+    icon: 'icons/cluster_shot.png',
+    ai: { weight: 1 },
+    projectile: {
+      explosionType: 'normal',
+      explosionSize: 1.3,
+      projectileStyle: 'missile',
+    },
+  },
+};
+
 export class PopcornWeapon {
-  constructor(projectileManager) {
+  constructor(projectileManager, weaponCode) {
     this.projectileManager = projectileManager;
     this.id = uuidv4();
-    this.weaponCode = 'PC01';
+    this.weaponCode = weaponCode;
 
     // Weapon configuration
     this.maxBounces = 5;                // Maximum bounces per child projectile
@@ -66,10 +81,8 @@ export class PopcornWeapon {
       minTimeFactor: this.baseTimeFactor,
       
       // Visual properties
-      explosionType: 'normal',
-      explosionSize: 1.3,
+      ...WEAPON_DEFINITIONS[this.weaponCode].projectile,
       projectileScale: this.baseScale,
-      projectileStyle: 'missile',
       craterSize: this.craterSize,
       
       // Damage properties
@@ -119,11 +132,11 @@ export class PopcornWeapon {
 
   calculateNextBounce(position, playerId, currentBounce, isParent) {
     // Calculate a random direction from the current position
-    const angle = Math.random() * Math.PI * 2; // Random angle in radians
+    const angle = this.projectileManager.rng.next() * Math.PI * 2; // Random angle in radians
     
     // Add some variance to the bounce radius
     const effectiveRadius = this.bounceRadius + 
-      (Math.random() - 0.5) * this.radiusVariance * this.bounceRadius;
+      (this.projectileManager.rng.next() - 0.5) * this.radiusVariance * this.bounceRadius;
 
     // Calculate next position with offset from current position
     const nextPos = new THREE.Vector3(
@@ -134,9 +147,9 @@ export class PopcornWeapon {
 
     // Calculate a nearby target point for a steeper trajectory
     const targetPos = new THREE.Vector3(
-      nextPos.x + (Math.random() - 0.5) * this.radiusVariance * 5,
+      nextPos.x + (this.projectileManager.rng.next() - 0.5) * this.radiusVariance * 5,
       position.y, // Target at ground level
-      nextPos.z + (Math.random() - 0.5) * this.radiusVariance * 5
+      nextPos.z + (this.projectileManager.rng.next() - 0.5) * this.radiusVariance * 5
     );
 
     // Create direction vector with emphasized vertical component
@@ -191,30 +204,20 @@ export class PopcornWeapon {
       craterSize: this.craterSize * (1 - currentBounce * 0.2),  // Smaller craters with each bounce
       
       // Damage
-      baseDamage: baseDamage
+      baseDamage: baseDamage,
+      waterBehavior: 'fizzle'
     };
   }
 
   _broadcastAndScheduleTurn(gameCore, timeline) {
-    this.projectileManager.io
-      .to(this.projectileManager.gameId)
-      .emit('fullProjectileTimeline', timeline);
-
-    this.projectileManager.scheduleTimeline(timeline, Date.now(), gameCore);
+    this.projectileManager.launchTimeline(timeline);
 
     const lastEventTime = timeline.length
       ? Math.max(...timeline.map(ev => ev.time))
       : 0;
     const totalDelay = lastEventTime + gameCore.turnChangeDelay;
 
-    setTimeout(async () => {
-      if (!(await gameCore.roundManager.checkRoundOver())) {
-        gameCore.playerManager.advanceTurn();
-        gameCore.playerManager.currentPlayer =
-          gameCore.playerManager.turnManager.getCurrentPlayerId();
-        gameCore.playerManager.currentPlayerHasFired = false;
-      }
-    }, totalDelay);
+    gameCore.endTurnAfter(totalDelay);
   }
 
   destroy() {
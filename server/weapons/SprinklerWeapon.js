@@ -1,11 +1,27 @@
 import { v4 as uuidv4 } from 'uuid';
 import * as THREE from 'three';
 
+export const WEAPON_DEFINITIONS = {
+  SP01: {
+    name: 'Sprinkler',
+    description: 'My sprinkler goes psh psh psh psh psh psh...',
+    cost: 1250,
+    icon: 'icons/cluster_shot.png',
+    ai: { weight: 1 },
+    projectile: {
+      explosionType: 'normal',
+      explosionSize: 1.0,
+      projectileScale: 1.5,
+      projectileStyle: 'missile',
+    },
+  },
+};
+
 export class SprinklerWeapon {
-  constructor(projectileManager) {
+  constructor(projectileManager, weaponCode) {
     this.projectileManager = projectileManager;
     this.id = uuidv4();
-    this.weaponCode = 'SW01';
+    this.weaponCode = weaponCode;
 
     // Weapon configuration
     this.circleSteps = 12;              // Total number of positions in the circle
@@ -57,10 +73,7 @@ export class SprinklerWeapon {
       timeFactor: 1.0,
       
       // Visual properties
-      explosionType: 'normal',
-      explosionSize: 1.0,
-      projectileScale: 1.5,
-      projectileStyle: 'missile',
+      ...WEAPON_DEFINITIONS[this.weaponCode].projectile,
       craterSize: this.craterSize,
       
       // Damage properties
@@ -135,7 +148,7 @@ export class SprinklerWeapon {
         direction.normalize();
         
         // Calculate scale with some randomness
-        const scale = this.baseScale + (Math.random() * this.scaleVariance);
+        const scale = this.baseScale + (this.projectileManager.rng.next() * this.scaleVariance);
         
         // Create the projectile data - now using automatic bounce
         const projectileData = {
@@ -175,7 +188,8 @@ export class SprinklerWeapon {
           
           // Damage (only applied on final impact)
           baseDamage: this.sprinklerDamage,
-          aoeSize: 5 // Area of effect for damage
+          aoeSize: 5, // Area of effect for damage
+          waterBehavior: 'fizzle'
         };
         
         // Simulate this projectile
@@ -185,25 +199,14 @@ export class SprinklerWeapon {
   }
 
   _broadcastAndScheduleTurn(gameCore, timeline) {
-    this.projectileManager.io
-      .to(this.projectileManager.gameId)
-      .emit('fullProjectileTimeline', timeline);
-
-    this.projectileManager.scheduleTimeline(timeline, Date.now(), gameCore);
+    this.projectileManager.launchTimeline(timeline);
 
     const lastEventTime = timeline.length
       ? Math.max(...timeline.map(ev => ev.time))
       : 0;
     const totalDelay = lastEventTime + gameCore.turnChangeDelay;
 
-    setTimeout(async () => {
-      if (!(await gameCore.roundManager.checkRoundOver())) {
-        gameCore.playerManager.advanceTurn();
-        gameCore.playerManager.currentPlayer =
-          gameCore.playerManager.turnManager.getCurrentPlayerId();
-        gameCore.playerManager.currentPlayerHasFired = false;
-      }
-    }, totalDelay);
+    gameCore.endTurnAfter(totalDelay);
   }
 
   destroy() {
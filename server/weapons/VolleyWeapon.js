@@ -1,13 +1,28 @@
 import * as THREE from 'three';
 import { v4 as uuidv4 } from 'uuid';
 
+export const WEAPON_DEFINITIONS = {
+  VW01: {
+    name: 'Volley Weapon',
+    description: 'Shoots a volley of projectiles with medium spread.',
+    cost: 950,
+    icon: 'icons/triple_shot.png',
+    ai: { weight: 1 },
+    // Style, explosion and damage vary with each projectile's bounces
+    projectile: {
+      craterSize: 25,
+      aoeSize: 5,
+    },
+  },
+};
+
 export default class VolleyWeapon {
-  constructor(projectileManager) {
+  constructor(projectileManager, weaponCode) {
     this.projectileCount = 20;
     this.spreadAngle = 0.1;
     this.projectileManager = projectileManager;
     this.id = uuidv4();
-    this.weaponCode = 'VW01';
+    this.weaponCode = weaponCode;
     
     // Bounce configuration
     this.bounciness = 0.02;          // Coefficient of restitution
@@ -87,10 +102,7 @@ export default class VolleyWeapon {
     );
 
     // Broadcast the full timeline to clients
-    this.projectileManager.io
-      .to(this.projectileManager.gameId)
-      .emit('fullProjectileTimeline', timeline);
-    this.projectileManager.scheduleTimeline(timeline, Date.now(), gameCore);
+    this.projectileManager.launchTimeline(timeline);
 
     // Determine the final event time from the timeline
     const finalEventTime = timeline.length
@@ -99,14 +111,7 @@ export default class VolleyWeapon {
     const totalDelay = finalEventTime + gameCore.turnChangeDelay;
 
     // Schedule the turn change after the timeline has finished
-    setTimeout(async () => {
-      if (!(await gameCore.roundManager.checkRoundOver())) {
-        gameCore.playerManager.advanceTurn();
-        gameCore.playerManager.currentPlayer =
-          gameCore.playerManager.turnManager.getCurrentPlayerId();
-        gameCore.playerManager.currentPlayerHasFired = false;
-      }
-    }, totalDelay);
+    gameCore.endTurnAfter(totalDelay);
   }
   
   /**
@@ -184,9 +189,8 @@ export default class VolleyWeapon {
       explosionColor: explosionColor,
       
       // Impact properties
-      craterSize: 25,
-      baseDamage: baseDamage,
-      aoeSize: 5
+      ...WEAPON_DEFINITIONS[this.weaponCode].projectile,
+      baseDamage: baseDamage
     };
   }
   
@@ -196,9 +200,9 @@ export default class VolleyWeapon {
   _getSpreadDirection(baseDirection) {
     // Add random spread
     const randomSpread = new THREE.Vector3(
-      (Math.random() - 0.2) * this.spreadAngle,
-      (Math.random() - 0.2) * this.spreadAngle,
-      (Math.random() - 0.2) * this.spreadAngle
+      (this.projectileManager.rng.next() - 0.2) * this.spreadAngle,
+      (this.projectileManager.rng.next() - 0.2) * this.spreadAngle,
+      (this.projectileManager.rng.next() - 0.2) * this.spreadAngle
     );
 
     return baseDirection.clone().add(randomSpread).normalize();